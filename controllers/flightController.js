@@ -1,7 +1,187 @@
-import { searchFlights, getFareRules, getFareQuote, bookFlight, confirmTicket as confirmBooking, getBookingDetails } from '../utils/tboFlightService.js';
+import {
+  searchFlights,
+  getFareRules,
+  getFareQuote,
+  getSSRDetails,
+  bookFlight,
+  confirmTicket as confirmBooking,
+  getBookingDetails,
+  getCancellationCharges,
+  cancelBooking,
+  getCancellationStatus,
+  releasePNR,
+  getSupplierHealth,
+  getFlightProviderName
+} from '../utils/flightProvider.js';
 import { validationResult } from 'express-validator';
+import FlightBooking from '../models/flightBooking.model.js';
+import { MAX_ONLINE_PASSENGERS } from '../models/groupBooking.model.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { createFlightError, sendError, sendValidationError } from '../utils/flightResponse.js';
+import { verifyQuoteToken, issueQuoteToken } from '../utils/fareQuoteToken.js';
+import { toBookingFare, toBookingPassengers, toBookingSegments, applyTicketNumbers } from '../utils/flightBookingMapper.js';
+import { filterOffers, sortOffers, buildOfferFacets } from '../utils/flightOfferFilters.js';
+import { getFareCalendar } from '../utils/fareCalendar.js';
+import { searchAirports, enrichOffers } from '../utils/referenceData.js';
+import { describeJourney, mapPassengers } from '../utils/passengerMapper.js';
+import { applyMarkup, priceOffer } from '../utils/markupEngine.js';
+import { mapTboResultToOffer } from '../utils/flightOffer.js';
+import { findUsablePayment, assertPaymentMatchesQuote, collectPayment, refundFailedBooking } from '../utils/bookingPayments.js';
+import { generateETicketPdf } from '../utils/eTicketPdf.js';
+import { sendEmail } from '../utils/email.js';
+import { getJobStatus } from '../utils/scheduler.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Load a flight booking that belongs to the current user (admins can load any booking)
+ * @param {Object} req - Express request object
+ * @param {string} id - FlightBooking id
+ * @param {Object} [options]
+ * @param {boolean} [options.allowAdmin=true] - Let admins load bookings they do not own
+ * @returns {Promise<Object>} FlightBooking document
+ */
+const findOwnedBooking = async (req, id, { allowAdmin = true } = {}) => {
+  const booking = await FlightBooking.findById(id);
+
+  if (!booking) {
+    throw createFlightError(404, 'BOOKING_NOT_FOUND', 'No flight booking found with that ID');
+  }
+
+  if (!booking.user.equals(req.user._id) && !(allowAdmin && req.user.role === 'admin')) {
+    throw createFlightError(403, 'FORBIDDEN', 'You do not have access to this booking');
+  }
+
+  return booking;
+};
+
+/**
+ * Email the e-ticket PDF of a freshly ticketed booking to its contact address
+ * @param {Object} booking - Ticketed FlightBooking document
+ * @param {Object} user - Booking owner ({ name, email })
+ * @returns {Promise}
+ */
+const sendETicketEmail = async (booking, user) => {
+  const to = booking.contact?.email || user?.email;
+  const pdf = await generateETicketPdf(booking);
+
+  await sendEmail({
+    to,
+    subject: `E-ticket for PNR ${booking.pnr} (${booking.bookingReference})`,
+    template: 'eTicket',
+    data: {
+      name: user?.name,
+      pnr: booking.pnr,
+      bookingReference: booking.bookingReference,
+      segments: booking.segments.map(s => ({
+        airline: s.airline,
+        flightNumber: s.flightNumber,
+        origin: s.origin,
+        destination: s.destination,
+        departureTime: s.departureTime ? new Date(s.departureTime).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : ''
+      })),
+      passengers: booking.passengers.map(p => ({
+        name: [p.title, p.firstName, p.lastName].filter(Boolean).join(' '),
+        ticketNumber: p.ticketNumber
+      })),
+      totalFare: booking.fare.totalFare,
+      currency: booking.fare.currency
+    },
+    attachments: [{
+      filename: `e-ticket-${booking.pnr || booking.bookingReference}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+};
+
+// Used when the supplier does not return a ticketing deadline for a hold
+const DEFAULT_HOLD_HOURS = 2;
+// Held PNRs must be ticketed at least this long before departure
+const HOLD_DEPARTURE_MARGIN_HOURS = 3;
+
+/**
+ * Work out until when a held booking can be paid and ticketed
+ * @param {string} [supplierDeadline] - Last ticketing date returned by the supplier
+ * @param {Date} [departureTime] - First departure of the booking
+ * @returns {Date} Ticketing deadline
+ */
+const getTicketingDeadline = (supplierDeadline, departureTime) => {
+  const deadlines = [
+    supplierDeadline ? new Date(supplierDeadline) : new Date(Date.now() + DEFAULT_HOLD_HOURS * 3600000),
+    departureTime && new Date(new Date(departureTime).getTime() - HOLD_DEPARTURE_MARGIN_HOURS * 3600000)
+  ].filter(date => date && !Number.isNaN(date.getTime()));
+
+  return new Date(Math.min(...deadlines));
+};
+
+const JOURNEY_TYPES = {
+  oneway: '1',
+  roundtrip: '2',
+  multicity: '3'
+};
+
+const CANCELLABLE_STATUSES = ['booked', 'ticketed', 'partially_cancelled'];
+// Passenger status while the supplier processes their cancellation
+const CANCELLATION_PENDING = 'CANCELLATION_REQUESTED';
+
+/**
+ * Resolve the passengers and segments a cancellation applies to and build the
+ * supplier request for it. No selection means the whole booking is cancelled.
+ * @param {Object} booking - FlightBooking document
+ * @param {Object} selection - Request body
+ * @param {Array<string>} [selection.passengerIds] - Passenger subdocument ids to cancel
+ * @param {Array<Object>} [selection.segments] - Segments ({ origin, destination }) to cancel
+ * @returns {Object} Cancellation type, selected passengers/segments and supplier params
+ */
+const buildCancellation = (booking, { passengerIds = [], segments = [] } = {}) => {
+  if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+    throw createFlightError(409, 'INVALID_BOOKING_STATUS', `Booking cannot be cancelled while ${booking.status}`);
+  }
+
+  const activePassengers = booking.passengers.filter(p => !['CANCELLED', CANCELLATION_PENDING].includes(p.status));
+  const passengers = passengerIds.map(id => {
+    const passenger = activePassengers.find(p => p._id.equals(id));
+    if (!passenger) {
+      throw createFlightError(400, 'INVALID_PASSENGER', `Passenger ${id} is not part of this booking or is already cancelled`);
+    }
+    return passenger;
+  });
+
+  const selectedSegments = segments.map(({ origin, destination } = {}) => {
+    const segment = booking.segments.find(s =>
+      s.origin === String(origin).toUpperCase() && s.destination === String(destination).toUpperCase()
+    );
+    if (!segment) {
+      throw createFlightError(400, 'INVALID_SEGMENT', `Segment ${origin}-${destination} is not part of this booking`);
+    }
+    return { origin: segment.origin, destination: segment.destination };
+  });
+
+  const isPartial = (passengers.length > 0 && passengers.length < activePassengers.length) || selectedSegments.length > 0;
+
+  return {
+    type: isPartial ? 'partial' : 'full',
+    passengers: isPartial ? passengers : activePassengers,
+    segments: selectedSegments,
+    params: {
+      BookingId: booking.supplierBookingId,
+      PNR: booking.pnr,
+      ...(isPartial && passengers.length > 0 && {
+        Passengers: passengers.map(p => ({
+          Title: p.title,
+          FirstName: p.firstName,
+          LastName: p.lastName,
+          PassengerType: p.passengerType,
+          TicketNumber: p.ticketNumber
+        }))
+      }),
+      ...(selectedSegments.length > 0 && {
+        Segments: selectedSegments.map(s => ({ Origin: s.origin, Destination: s.destination }))
+      })
+    }
+  };
+};
+
 // @desc    Search for flights
 // @route   POST /api/flights/search
 // @access  Public
@@ -28,9 +208,22 @@ export const searchFlightsCtrl = async (req, res) => {
       children = 0,
       infants = 0,
       cabinClass = '2', // Default to Economy
-      tripType = 'oneway'
+      tripType = 'oneway',
+      legs = [],
+      filters = {},
+      sortBy
     } = req.body;
 
+    const totalPassengers = Number(adults) + Number(children) + Number(infants);
+    if (totalPassengers > MAX_ONLINE_PASSENGERS) {
+      throw createFlightError(
+        400,
+        'GROUP_BOOKING_REQUIRED',
+        `Parties of more than ${MAX_ONLINE_PASSENGERS} passengers are booked through our group desk`,
+        { maxPassengers: MAX_ONLINE_PASSENGERS, totalPassengers, groupRequestPath: '/api/v1/flights/group-requests' }
+      );
+    }
+
     logger.info('Flight search request:', {
       origin,
       destination,
@@ -41,6 +234,9 @@ export const searchFlightsCtrl = async (req, res) => {
       infants,
       cabinClass,
       tripType,
+      legs,
+      filters,
+      sortBy,
       ip: req.ip
     });
 
@@ -53,12 +249,26 @@ export const searchFlightsCtrl = async (req, res) => {
       children: parseInt(children),
       infants: parseInt(infants),
       travelclass: cabinClass,
-      journey_type: tripType === 'roundtrip' ? '2' : '1'
+      journey_type: JOURNEY_TYPES[tripType] || '1',
+      ...(tripType === 'multicity' && {
+        legs: legs.map(leg => ({
+          origin: leg.origin,
+          destination: leg.destination,
+          departure_date: leg.departureDate
+        }))
+      })
     };
 
     const results = await searchFlights(searchParams);
     
     if (results && results.success) {
+      // Facets describe every offer; the offers list itself is filtered and sorted.
+      // Prices are selling prices, so markup is applied before both
+      const offers = await applyMarkup(await enrichOffers(results.data.offers || []));
+      results.data.facets = buildOfferFacets(offers);
+      results.data.offers = sortOffers(filterOffers(offers, filters), sortBy);
+      results.data.totalOffers = offers.length;
+
       return res.json({
         success: true,
         data: results
@@ -87,12 +297,58 @@ export const searchFlightsCtrl = async (req, res) => {
       error: {
         code: errorCode,
         message: errorMessage,
-        ...(process.env.NODE_ENV === 'development' && { details: error.stack })
+        ...(error.details !== undefined && { details: error.details }),
+        ...(error.details === undefined && process.env.NODE_ENV === 'development' && { details: error.stack })
       }
     });
   }
 };
 
+// @desc    Get the lowest fare per day around a departure date
+// @route   POST /api/flights/fare-calendar
+// @access  Public
+export const getFareCalendarCtrl = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const calendar = await getFareCalendar(req.body);
+
+    res.json({
+      success: true,
+      data: calendar
+    });
+  } catch (error) {
+    logger.error('Fare calendar error:', { error: error.message, body: req.body });
+    sendError(res, error, { code: 'FARE_CALENDAR_ERROR', message: 'Failed to get fare calendar' });
+  }
+};
+
+// @desc    Autocomplete airports by code, city or name
+// @route   GET /api/flights/airports?q=
+// @access  Public
+export const getAirportsCtrl = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const airports = await searchAirports(req.query.q, { limit: parseInt(req.query.limit) || 10 });
+
+    res.json({
+      success: true,
+      results: airports.length,
+      data: airports
+    });
+  } catch (error) {
+    logger.error('Airport autocomplete error:', { error: error.message, q: req.query.q });
+    sendError(res, error, { code: 'AIRPORTS_ERROR', message: 'Failed to search airports' });
+  }
+};
+
 // @desc    Get fare rules for a specific flight
 // @route   POST /api/flights/fare-rules
 // @access  Public
@@ -130,50 +386,138 @@ export const getFareRulesCtrl = async (req, res) => {
     });
   } catch (error) {
     console.error('Get fare rules error:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Failed to get fare rules',
-        details: process.env.NODE_ENV === 'development' ? error.message : {}
-      }
-    });
+    sendError(res, error, { code: 'SERVER_ERROR', message: 'Failed to get fare rules' });
   }
 };
 
-// @desc    Get fare quote for a specific flight
+// @desc    Reprice a flight before booking and issue a quote token
 // @route   POST /api/flights/fare-quote
 // @access  Public
 export const getFareQuoteCtrl = async (req, res) => {
   try {
-    const { resultIndex, traceId } = req.body;
-    
-    if (!resultIndex || !traceId) {
-      return res.status(400).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { resultIndex, traceId, originalFare } = req.body;
+
+    const fareQuote = await getFareQuote(resultIndex, traceId, req);
+
+    if (!fareQuote?.Fare) {
+      throw createFlightError(502, 'FARE_QUOTE_UNAVAILABLE', 'The airline did not return a fare for this flight');
+    }
+
+    const currency = fareQuote.Fare.Currency || 'INR';
+    const oldFare = Math.round(Number(originalFare) * 100) / 100;
+    // Tells the client which passenger documents to collect before booking
+    const journey = await describeJourney(fareQuote);
+    // Priced with the same rules as search, so an unchanged supplier fare keeps the searched price
+    const pricing = await priceOffer(mapTboResultToOffer(fareQuote), { isDomestic: journey.isDomestic });
+    const newFare = pricing.sellingPrice;
+    const { quoteToken, expiresAt } = issueQuoteToken({
+      resultIndex,
+      traceId,
+      fare: newFare,
+      netFare: pricing.netFare,
+      markup: pricing.markup,
+      markupRule: pricing.rule,
+      currency,
+      isLCC: fareQuote.IsLCC,
+      journey
+    });
+
+    if (newFare !== oldFare) {
+      logger.info('Fare changed at repricing:', { resultIndex, traceId, oldFare, newFare });
+
+      return res.status(409).json({
         success: false,
         error: {
-          code: 'MISSING_PARAMS',
-          message: 'resultIndex and traceId are required'
+          code: 'PRICE_CHANGED',
+          message: 'The fare has changed since your search',
+          details: {
+            oldFare,
+            newFare,
+            difference: Math.round((newFare - oldFare) * 100) / 100,
+            currency,
+            quoteToken,
+            expiresAt,
+            journey
+          }
         }
       });
     }
 
-    const fareQuote = await getFareQuote(resultIndex, traceId, req);
-    
     res.json({
       success: true,
-      data: fareQuote
+      data: {
+        fare: newFare,
+        currency,
+        priceChanged: false,
+        quoteToken,
+        expiresAt,
+        journey,
+        fareQuote
+      }
     });
   } catch (error) {
-    console.error('Get fare quote error:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'SERVER_ERROR',
-        message: 'Failed to get fare quote',
-        details: process.env.NODE_ENV === 'development' ? error.message : {}
+    logger.error('Get fare quote error:', { error: error.message, resultIndex: req.body.resultIndex });
+    sendError(res, error, { code: 'SERVER_ERROR', message: 'Failed to get fare quote' });
+  }
+};
+
+// @desc    Get seat maps, meal and extra baggage options for a flight
+// @route   POST /api/flights/ssr
+// @access  Public
+export const getSSRDetailsCtrl = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { resultIndex, traceId } = req.body;
+    const ssr = await getSSRDetails(resultIndex, traceId);
+    const { seatMaps, meals, baggage, mealPreferences, seatPreferences, metadata } = ssr.data;
+
+    res.json({
+      success: true,
+      data: {
+        seatMaps,
+        meals,
+        baggage,
+        mealPreferences,
+        seatPreferences,
+        metadata
       }
     });
+  } catch (error) {
+    logger.error('Get SSR details error:', { error: error.message, resultIndex: req.body.resultIndex });
+    sendError(res, error, { code: 'SSR_ERROR', message: 'Failed to get seat, meal and baggage options' });
+  }
+};
+
+/**
+ * Give up a PNR the customer will not pay for. Non-LCC PNRs are released;
+ * LCC bookings are ticketed at once and are left for an agent to cancel.
+ * Never throws: the outcome is recorded in the booking history.
+ * @param {Object} booking - FlightBooking document
+ * @param {boolean} isLCC - Low cost carrier booking
+ */
+const releaseUnpaidPNR = async (booking, isLCC) => {
+  if (isLCC) {
+    logger.error('Unpaid LCC booking needs a manual cancellation:', { bookingId: booking._id, pnr: booking.pnr });
+    booking.statusHistory.push({ status: booking.status, note: 'LCC ticket issued by the airline; cancel it manually' });
+    return;
+  }
+
+  try {
+    await releasePNR({ BookingId: booking.supplierBookingId, PNR: booking.pnr, Source: booking.supplierSource });
+    booking.releasedAt = new Date();
+    booking.statusHistory.push({ status: booking.status, note: 'PNR released with the supplier' });
+  } catch (error) {
+    logger.error('Failed to release unpaid PNR:', { bookingId: booking._id, pnr: booking.pnr, error: error.message });
+    booking.statusHistory.push({ status: booking.status, note: `PNR release failed, release manually: ${error.message}` });
   }
 };
 
@@ -181,76 +525,346 @@ export const getFareQuoteCtrl = async (req, res) => {
 // @route   POST /api/flights/book
 // @access  Private
 export const bookFlightCtrl = async (req, res) => {
+  let booking;
+  let payment;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Validation failed',
-          details: errors.array()
-        }
-      });
+      return sendValidationError(res, errors.array());
+    }
+
+    const traceId = req.body.TraceId || req.body.traceId || req.body.sessionId;
+    const resultIndex = req.body.ResultIndex || req.body.resultIndex;
+
+    // Only book at a fare the customer has seen at repricing
+    const quote = verifyQuoteToken(req.body.quoteToken, { resultIndex, traceId });
+    const journey = quote.journey || {};
+    const isDomestic = journey.isDomestic !== false;
+    const hold = req.body.hold === true;
+
+    if (hold && quote.isLCC) {
+      throw createFlightError(400, 'HOLD_NOT_AVAILABLE', 'Low cost carrier fares cannot be held; book and ticket them in one step');
+    }
+
+    // Document and age checks depend on the route, so they run here rather than in the route validators
+    const { passengers, errors: passengerErrors } = mapPassengers(req.body.passengers, journey, req.body.contact_info);
+    if (passengerErrors.length > 0) {
+      return sendValidationError(res, passengerErrors);
+    }
+
+    // Instant bookings are paid before the supplier is called; held bookings when they are ticketed
+    if (!hold) {
+      payment = await findUsablePayment(req.body.paymentId, req.user, 'flight_booking');
+      assertPaymentMatchesQuote(payment, quote, req.body.passengers);
     }
 
     const bookingData = {
       ...req.body,
+      TraceId: traceId,
+      ResultIndex: resultIndex,
+      IsLCC: quote.isLCC,
+      IsDomestic: isDomestic,
+      IsInternational: !isDomestic,
+      IsHoldBooking: hold,
+      Passengers: passengers,
+      ContactEmail: req.body.contact_info?.email,
+      ContactPhone: req.body.contact_info?.phone,
       userId: req.user?.id // Add user ID from auth middleware if available
     };
 
+    // Record the attempt before calling the supplier so failed bookings are traceable
+    booking = await FlightBooking.create({
+      user: req.user._id,
+      provider: getFlightProviderName(),
+      traceId,
+      resultIndex,
+      isLCC: quote.isLCC,
+      isDomestic,
+      fare: {
+        totalFare: quote.fare,
+        quotedFare: quote.fare,
+        netFare: quote.netFare,
+        markup: quote.markup,
+        sellingPrice: quote.fare,
+        currency: quote.currency
+      },
+      markupRule: quote.markupRule ? { rule: quote.markupRule.id, name: quote.markupRule.name } : undefined,
+      payment: payment?._id,
+      contact: {
+        email: req.body.contact_info?.email || req.body.ContactEmail,
+        phone: req.body.contact_info?.phone || req.body.ContactPhone
+      },
+      statusHistory: [{ status: 'pending', note: 'Booking request received' }]
+    });
+
+    if (payment) {
+      payment = await collectPayment(payment, booking);
+      booking.paymentStatus = 'paid';
+      booking.paidAt = payment.capturedAt || new Date();
+    }
+
     const bookingResult = await bookFlight(bookingData, req);
-    
+    const { data } = bookingResult;
+
+    booking.pnr = data.pnr;
+    booking.supplierBookingId = data.bookingReference;
+    booking.passengers = toBookingPassengers(bookingData.Passengers || data.passengers);
+    booking.segments = toBookingSegments(data.flights);
+    // The markup was fixed at the fare quote; the supplier's fare is the net fare
+    const supplierFare = toBookingFare(data.fareDetails);
+    const netFare = supplierFare.totalFare || quote.netFare || quote.fare;
+    const markup = quote.markup || 0;
+    booking.fare = {
+      ...supplierFare,
+      quotedFare: quote.fare,
+      netFare,
+      markup,
+      sellingPrice: Math.round((netFare + markup) * 100) / 100
+    };
+    booking.fare.totalFare = booking.fare.sellingPrice;
+
+    // Add the price of selected seats, meals and baggage to the fare
+    const ancillaries = data.ancillaries || { total: 0, items: [] };
+    booking.fare.ancillaries = ancillaries.total;
+    booking.fare.totalFare += ancillaries.total;
+    ancillaries.items.forEach(({ passengerIndex, type, code, description, origin, destination, price }) => {
+      booking.passengers[passengerIndex]?.ssr.push({ type, code, description, origin, destination, price });
+    });
+
+    // The customer paid the quoted price; a different supplier fare is never ticketed silently
+    const priceChanged = bookingResult.success && !hold && payment && payment.amount !== booking.fare.totalFare;
+
+    if (!bookingResult.success || priceChanged) {
+      booking.failureReason = priceChanged
+        ? `Supplier fare ${booking.fare.currency} ${booking.fare.totalFare} differs from the ${payment.amount} paid`
+        : `Supplier did not confirm the booking (status ${data.status})`;
+      booking.setStatus('failed', { supplierStatus: data.status, note: booking.failureReason });
+      if (priceChanged) {
+        booking.supplierSource = data.source ?? undefined;
+        await releaseUnpaidPNR(booking, quote.isLCC);
+      }
+      await refundFailedBooking(booking, payment);
+      await booking.save();
+
+      return sendError(res, createFlightError(
+        priceChanged ? 409 : 502,
+        priceChanged ? 'PRICE_CHANGED' : 'BOOKING_FAILED',
+        priceChanged
+          ? 'The airline changed the fare while booking; please review the new price'
+          : 'The airline did not confirm the booking',
+        {
+          bookingId: booking._id,
+          bookingReference: booking.bookingReference,
+          paymentStatus: booking.paymentStatus,
+          ...(priceChanged && { paidAmount: payment.amount, totalFare: booking.fare.totalFare, currency: booking.fare.currency })
+        }
+      ), { code: 'BOOKING_FAILED', message: 'Failed to book flight' });
+    } else if (hold) {
+      booking.ticketingDeadline = getTicketingDeadline(data.lastTicketDate, booking.segments[0]?.departureTime);
+      booking.supplierSource = data.source ?? undefined;
+      booking.setStatus('on_hold', {
+        supplierStatus: data.status,
+        note: `Pay and ticket before ${booking.ticketingDeadline.toISOString()}`
+      });
+    } else {
+      booking.setStatus('booked', { supplierStatus: data.status });
+    }
+    await booking.save();
+
     res.status(201).json({
       success: true,
-      data: bookingResult
-    });
-  } catch (error) {
-    console.error('Booking error:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'BOOKING_ERROR',
-        message: 'Failed to book flight',
-        details: process.env.NODE_ENV === 'development' ? error.message : {}
+      data: {
+        ...bookingResult,
+        booking
       }
     });
+  } catch (error) {
+    logger.error('Booking error:', { error: error.message, bookingId: booking?._id });
+
+    if (booking) {
+      booking.failureReason = error.message;
+      booking.setStatus('failed', { note: error.message });
+      // Only a payment this booking took has been captured
+      await refundFailedBooking(booking, payment?.usedAt ? payment : null);
+      await booking.save().catch(saveError => logger.error('Failed to record booking failure:', { error: saveError.message }));
+    }
+
+    sendError(res, error, { code: 'BOOKING_ERROR', message: 'Failed to book flight' });
   }
 };
 
-// @desc    Confirm flight booking
+// @desc    Confirm (ticket) a flight booking
 // @route   POST /api/flights/confirm-booking
 // @access  Private
 export const confirmBookingCtrl = async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'VALIDATION_ERROR',
-          message: 'Validation failed',
-          details: errors.array()
+      return sendValidationError(res, errors.array());
+    }
+
+    const booking = await findOwnedBooking(req, req.body.bookingId);
+
+    if (!['booked', 'on_hold'].includes(booking.status)) {
+      throw createFlightError(409, 'INVALID_BOOKING_STATUS', `Booking cannot be ticketed while ${booking.status}`);
+    }
+
+    if (booking.status === 'on_hold') {
+      if (booking.ticketingDeadline && booking.ticketingDeadline <= new Date()) {
+        throw createFlightError(410, 'HOLD_EXPIRED', 'The ticketing deadline of this held booking has passed');
+      }
+      if (booking.paymentStatus !== 'paid') {
+        if (!req.body.paymentId) {
+          throw createFlightError(402, 'PAYMENT_REQUIRED', 'Pay for the held booking to issue the tickets');
         }
-      });
+        const payment = await findUsablePayment(req.body.paymentId, req.user, 'held_flight_booking');
+        if (!payment.booking?.equals(booking._id)) {
+          throw createFlightError(400, 'PAYMENT_MISMATCH', 'This payment was made for another booking');
+        }
+        await collectPayment(payment, booking);
+        booking.payment = payment._id;
+        booking.paymentStatus = 'paid';
+        booking.paidAt = new Date();
+        booking.statusHistory.push({ status: 'on_hold', note: 'Payment received for held booking' });
+        // Keep the payment even if ticketing fails below; ticketing can be retried
+        await booking.save();
+      }
+    }
+
+    let confirmationResult;
+    try {
+      confirmationResult = await confirmBooking({
+        ...req.body,
+        traceId: booking.traceId,
+        bookingId: booking.supplierBookingId,
+        PNR: booking.pnr,
+        ResultIndex: booking.resultIndex
+      }, req);
+    } catch (error) {
+      booking.statusHistory.push({ status: 'ticketing_failed', note: error.message });
+      await booking.save();
+      throw error;
+    }
+
+    const { data } = confirmationResult;
+
+    if (confirmationResult.success) {
+      applyTicketNumbers(booking.passengers, data.passengers);
+      booking.pnr = data.pnr || booking.pnr;
+      booking.ticketedAt = new Date();
+      booking.setStatus('ticketed', { supplierStatus: data.status });
+    } else {
+      booking.statusHistory.push({ status: 'ticketing_failed', supplierStatus: data.status });
+    }
+    await booking.save();
+
+    if (booking.status === 'ticketed') {
+      // The ticket is issued either way; a failed email must not fail the request
+      sendETicketEmail(booking, req.user)
+        .catch(error => logger.error('E-ticket email failed:', { error: error.message, bookingId: booking._id }));
     }
 
-    const confirmationResult = await confirmBooking(req.body, req);
-    
     res.json({
       success: true,
-      data: confirmationResult
+      data: {
+        ...confirmationResult,
+        booking
+      }
     });
   } catch (error) {
-    console.error('Booking confirmation error:', error);
-    res.status(500).json({
-      success: false,
-      error: {
-        code: 'CONFIRMATION_ERROR',
-        message: 'Failed to confirm booking',
-        details: process.env.NODE_ENV === 'development' ? error.message : {}
-      }
+    logger.error('Booking confirmation error:', { error: error.message, bookingId: req.body.bookingId });
+    sendError(res, error, { code: 'CONFIRMATION_ERROR', message: 'Failed to confirm booking' });
+  }
+};
+
+// @desc    Get the current user's flight bookings
+// @route   GET /api/flights/my-bookings
+// @access  Private
+export const getMyBookingsCtrl = async (req, res) => {
+  try {
+    const bookings = await FlightBooking.find({ user: req.user._id })
+      .sort('-createdAt')
+      .select('-__v');
+
+    res.json({
+      success: true,
+      results: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    logger.error('Get my flight bookings error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'BOOKINGS_ERROR', message: 'Failed to get bookings' });
+  }
+};
+
+// @desc    Get a single stored flight booking
+// @route   GET /api/flights/bookings/:id
+// @access  Private (owner or admin)
+export const getBookingCtrl = async (req, res) => {
+  try {
+    const booking = await findOwnedBooking(req, req.params.id);
+    await booking.populate('user', 'name email phone');
+
+    res.json({
+      success: true,
+      data: booking
+    });
+  } catch (error) {
+    logger.error('Get flight booking error:', { error: error.message, bookingId: req.params.id });
+    sendError(res, error, { code: 'BOOKING_ERROR', message: 'Failed to get booking' });
+  }
+};
+
+// @desc    Download the e-ticket PDF of a ticketed booking
+// @route   GET /api/flights/bookings/:id/ticket
+// @access  Private (owner only)
+export const downloadETicketCtrl = async (req, res) => {
+  try {
+    const booking = await findOwnedBooking(req, req.params.id, { allowAdmin: false });
+
+    if (!booking.ticketedAt || booking.status === 'cancelled') {
+      throw createFlightError(409, 'TICKET_NOT_AVAILABLE', `No e-ticket is available while the booking is ${booking.status}`);
+    }
+
+    const pdf = await generateETicketPdf(booking);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="e-ticket-${booking.pnr || booking.bookingReference}.pdf"`,
+      'Content-Length': pdf.length
     });
+    res.send(pdf);
+  } catch (error) {
+    logger.error('E-ticket download error:', { error: error.message, bookingId: req.params.id });
+    sendError(res, error, { code: 'TICKET_ERROR', message: 'Failed to generate e-ticket' });
+  }
+};
+
+// @desc    Get all flight bookings (filter by pnr, status, user, bookingReference ...)
+// @route   GET /api/flights/bookings
+// @access  Private/Admin
+export const getAllBookingsCtrl = async (req, res) => {
+  try {
+    const features = new APIFeatures(
+      FlightBooking.find().populate('user', 'name email phone'),
+      req.query
+    )
+      .filter()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const bookings = await features.query;
+
+    res.json({
+      success: true,
+      results: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    logger.error('Get all flight bookings error:', { error: error.message, query: req.query });
+    sendError(res, error, { code: 'BOOKINGS_ERROR', message: 'Failed to get bookings' });
   }
 };
 
@@ -290,11 +904,218 @@ export const getBookingDetailsCtrl = async (req, res) => {
   }
 };
 
+// @desc    Preview cancellation charges for a stored booking
+// @route   POST /api/flights/bookings/:id/cancellation-charges
+// @access  Private (owner or admin)
+export const getCancellationChargesCtrl = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const booking = await findOwnedBooking(req, req.params.id);
+    const cancellation = buildCancellation(booking, req.body);
+
+    const charges = await getCancellationCharges(cancellation.params);
+
+    res.json({
+      success: true,
+      data: {
+        bookingId: booking._id,
+        type: cancellation.type,
+        ...charges.data
+      }
+    });
+  } catch (error) {
+    logger.error('Get cancellation charges error:', { error: error.message, bookingId: req.params.id });
+    sendError(res, error, { code: 'CANCELLATION_CHARGES_ERROR', message: 'Failed to get cancellation charges' });
+  }
+};
+
+// @desc    Cancel a stored booking, fully or for some passengers/segments
+// @route   POST /api/flights/bookings/:id/cancel
+// @access  Private (owner or admin)
+export const cancelBookingCtrl = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const booking = await findOwnedBooking(req, req.params.id);
+    const cancellation = buildCancellation(booking, req.body);
+
+    const result = await cancelBooking({
+      ...cancellation.params,
+      Reason: req.body.reason,
+      Email: booking.contact?.email,
+      Phone: booking.contact?.phone
+    });
+    const { data } = result;
+
+    booking.cancellations.push({
+      cancellationId: data.cancellationReference,
+      type: cancellation.type,
+      passengers: cancellation.passengers.map(p => p._id),
+      segments: cancellation.segments,
+      reason: req.body.reason,
+      status: result.success ? 'processing' : 'failed',
+      supplierStatus: data.status,
+      charges: {
+        cancellationFee: data.charges.cancellationFee,
+        serviceFee: data.charges.serviceFee,
+        totalCharges: data.charges.totalCharges
+      },
+      refundAmount: data.refund?.amount ?? data.charges.netRefund ?? data.charges.refundAmount,
+      currency: data.charges.currency,
+      refundStatus: data.refund?.status,
+      refundReference: data.refund?.referenceNumber,
+      previousStatus: booking.status,
+      previousPassengerStatuses: cancellation.passengers.map(p => ({ passenger: p._id, status: p.status })),
+      requestedBy: req.user._id
+    });
+
+    // Passengers count as cancelled only once the supplier completes the request
+    if (result.success) {
+      cancellation.passengers.forEach(p => { p.status = CANCELLATION_PENDING; });
+      booking.setStatus('cancellation_requested', { note: req.body.reason, supplierStatus: data.status });
+    } else {
+      booking.statusHistory.push({ status: 'cancellation_failed', supplierStatus: data.status });
+    }
+    await booking.save();
+
+    res.status(result.success ? 201 : 200).json({
+      success: result.success,
+      data: {
+        cancellation: booking.cancellations[booking.cancellations.length - 1],
+        booking
+      }
+    });
+  } catch (error) {
+    logger.error('Cancel flight booking error:', { error: error.message, bookingId: req.params.id });
+    sendError(res, error, { code: 'CANCELLATION_ERROR', message: 'Failed to cancel booking' });
+  }
+};
+
+/**
+ * Apply the supplier's final answer on a cancellation to the booking. A completed
+ * cancellation cancels its passengers; a failed one puts the passengers and the
+ * booking back in the statuses they had before the request.
+ * @param {Object} booking - FlightBooking document
+ * @param {Object} cancellation - Cancellation subdocument, completed or failed
+ * @param {string} supplierStatus - Raw supplier status
+ */
+const settleCancellation = (booking, cancellation, supplierStatus) => {
+  const passengers = booking.passengers.filter(p => cancellation.passengers.some(id => id.equals(p._id)));
+
+  if (cancellation.status === 'failed') {
+    passengers.forEach(p => {
+      p.status = cancellation.previousPassengerStatuses.find(entry => entry.passenger?.equals(p._id))?.status;
+    });
+    booking.statusHistory.push({ status: 'cancellation_failed', supplierStatus });
+    if (booking.status === 'cancellation_requested') {
+      booking.setStatus(cancellation.previousStatus || 'ticketed', { note: 'Cancellation rejected by the supplier', supplierStatus });
+    }
+    return;
+  }
+
+  passengers.forEach(p => { p.status = 'CANCELLED'; });
+  if (booking.status === 'cancellation_requested') {
+    const allCancelled = booking.passengers.every(p => p.status === 'CANCELLED');
+    booking.setStatus(cancellation.type === 'full' || allCancelled ? 'cancelled' : 'partially_cancelled', { supplierStatus });
+  }
+};
+
+// @desc    Poll the status of a cancellation and record the refund
+// @route   GET /api/flights/bookings/:id/cancellation-status
+// @access  Private (owner or admin)
+export const getCancellationStatusCtrl = async (req, res) => {
+  try {
+    const booking = await findOwnedBooking(req, req.params.id);
+
+    const cancellation = req.query.cancellationId
+      ? booking.cancellations.find(c => c._id.equals(req.query.cancellationId) || c.cancellationId === req.query.cancellationId)
+      : booking.cancellations[booking.cancellations.length - 1];
+
+    if (!cancellation) {
+      throw createFlightError(404, 'CANCELLATION_NOT_FOUND', 'No cancellation found for this booking');
+    }
+
+    const status = await getCancellationStatus({
+      CancellationId: cancellation.cancellationId,
+      BookingId: booking.supplierBookingId,
+      PNR: booking.pnr
+    });
+    const { data } = status;
+
+    cancellation.supplierStatus = data.status;
+    if (data.refund) {
+      cancellation.refundAmount = data.refund.amount ?? cancellation.refundAmount;
+      cancellation.refundStatus = data.refund.status;
+      cancellation.refundReference = data.refund.referenceNumber;
+    }
+
+    if (data.metadata.isComplete && !['completed', 'failed'].includes(cancellation.status)) {
+      cancellation.status = data.metadata.isFailure ? 'failed' : 'completed';
+      cancellation.processedAt = data.processedDate || new Date();
+      settleCancellation(booking, cancellation, data.status);
+    }
+    await booking.save();
+
+    res.json({
+      success: true,
+      data: {
+        cancellation,
+        totalRefund: booking.totalRefund,
+        bookingStatus: booking.status
+      }
+    });
+  } catch (error) {
+    logger.error('Get cancellation status error:', { error: error.message, bookingId: req.params.id });
+    sendError(res, error, { code: 'CANCELLATION_STATUS_ERROR', message: 'Failed to get cancellation status' });
+  }
+};
+
+// @desc    Supplier endpoint circuit breakers and background jobs
+// @route   GET /api/flights/health
+// @access  Private/Admin
+export const getHealthCtrl = async (req, res) => {
+  try {
+    const supplier = getSupplierHealth();
+
+    res.json({
+      success: true,
+      data: {
+        provider: getFlightProviderName(),
+        status: supplier.status,
+        endpoints: supplier.endpoints,
+        jobs: getJobStatus(),
+        checkedAt: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Flight health check error:', { error: error.message });
+    sendError(res, error, { code: 'HEALTH_CHECK_ERROR', message: 'Failed to get flight supplier health' });
+  }
+};
+
 export default {
   search: searchFlightsCtrl,
+  getAirports: getAirportsCtrl,
+  getFareCalendar: getFareCalendarCtrl,
   getFareRules: getFareRulesCtrl,
   getFareQuote: getFareQuoteCtrl,
+  getSSRDetails: getSSRDetailsCtrl,
   book: bookFlightCtrl,
   confirmBooking: confirmBookingCtrl,
-  getBookingDetails: getBookingDetailsCtrl
+  getBookingDetails: getBookingDetailsCtrl,
+  getMyBookings: getMyBookingsCtrl,
+  getBooking: getBookingCtrl,
+  downloadETicket: downloadETicketCtrl,
+  getAllBookings: getAllBookingsCtrl,
+  getCancellationCharges: getCancellationChargesCtrl,
+  cancelBooking: cancelBookingCtrl,
+  getCancellationStatus: getCancellationStatusCtrl,
+  getHealth: getHealthCtrl
 };
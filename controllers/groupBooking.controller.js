@@ -0,0 +1,305 @@
+import { validationResult } from 'express-validator';
+import GroupBooking from '../models/groupBooking.model.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { createFlightError, sendError, sendValidationError } from '../utils/flightResponse.js';
+import { sendEmail } from '../utils/email.js';
+import logger from '../utils/logger.js';
+
+const formatDate = date => (date ? new Date(date).toISOString().slice(0, 10) : undefined);
+
+/**
+ * Load a group request the current user may see (admins see every request)
+ * @param {Object} req - Express request object
+ * @param {string} id - GroupBooking id
+ * @returns {Promise<Object>} GroupBooking document
+ */
+const findGroupRequest = async (req, id) => {
+  const request = await GroupBooking.findById(id);
+
+  if (!request || (!request.user.equals(req.user._id) && req.user.role !== 'admin')) {
+    throw createFlightError(404, 'GROUP_REQUEST_NOT_FOUND', 'No group request found with that ID');
+  }
+
+  return request;
+};
+
+/**
+ * Tell the group desk about a new or accepted request. Failures are logged,
+ * never returned to the customer.
+ * @param {Object} request - GroupBooking document
+ * @param {Object} [options]
+ * @param {boolean} [options.accepted=false] - The customer accepted the quote
+ */
+const notifyGroupDesk = (request, { accepted = false } = {}) => {
+  const to = process.env.GROUP_BOOKINGS_EMAIL || process.env.ADMIN_EMAIL;
+  if (!to) {
+    logger.warn('No GROUP_BOOKINGS_EMAIL or ADMIN_EMAIL set; group desk not notified', { reference: request.reference });
+    return;
+  }
+
+  sendEmail({
+    to,
+    subject: `${accepted ? 'Group quote accepted' : 'New group request'} ${request.reference}: ${request.origin}-${request.destination}, ${request.totalPassengers} passengers`,
+    template: 'groupRequestAdmin',
+    data: {
+      accepted,
+      reference: request.reference,
+      origin: request.origin,
+      destination: request.destination,
+      departureDate: formatDate(request.departureDate),
+      returnDate: formatDate(request.returnDate),
+      flexibleDates: request.flexibleDates,
+      adults: request.adults,
+      children: request.children,
+      infants: request.infants,
+      cabinClass: request.cabinClass,
+      expectedFarePerPerson: request.expectedFarePerPerson,
+      quotedFare: accepted ? request.quote?.totalFare : undefined,
+      currency: accepted ? request.quote?.currency : request.currency,
+      groupType: request.groupType,
+      organization: request.organization,
+      contactName: request.contact?.name,
+      contactEmail: request.contact?.email,
+      contactPhone: request.contact?.phone,
+      notes: request.notes
+    }
+  }).catch(error => logger.error('Group desk email failed:', { reference: request.reference, error: error.message }));
+};
+
+// @desc    Ask for a group fare (more than nine passengers)
+// @route   POST /api/flights/group-requests
+// @access  Private
+export const createGroupRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const {
+      tripType, origin, destination, departureDate, returnDate, flexibleDates,
+      adults, children, infants, cabinClass, preferredAirlines, expectedFarePerPerson,
+      currency, groupType, organization, notes, contact = {}
+    } = req.body;
+
+    const request = new GroupBooking({
+      user: req.user._id,
+      tripType,
+      origin,
+      destination,
+      departureDate,
+      returnDate: tripType === 'roundtrip' ? returnDate : undefined,
+      flexibleDates,
+      adults,
+      children,
+      infants,
+      cabinClass,
+      preferredAirlines,
+      expectedFarePerPerson,
+      currency,
+      groupType,
+      organization,
+      notes,
+      contact: {
+        name: contact.name || req.user.name,
+        email: contact.email || req.user.email,
+        phone: contact.phone
+      }
+    });
+    request.setStatus('pending', 'Request received');
+    await request.save();
+
+    notifyGroupDesk(request);
+
+    res.status(201).json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    logger.error('Create group request error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'GROUP_REQUEST_ERROR', message: 'Failed to create group request' });
+  }
+};
+
+// @desc    List the current user's group requests
+// @route   GET /api/flights/group-requests/mine
+// @access  Private
+export const getMyGroupRequests = async (req, res) => {
+  try {
+    const requests = await GroupBooking.find({ user: req.user._id })
+      .sort('-createdAt')
+      .select('-statusHistory -__v');
+
+    res.json({
+      success: true,
+      results: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    logger.error('Get my group requests error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'GROUP_REQUEST_ERROR', message: 'Failed to get group requests' });
+  }
+};
+
+// @desc    List all group requests (filter with ?status=pending)
+// @route   GET /api/flights/group-requests
+// @access  Private/Admin
+export const getAllGroupRequests = async (req, res) => {
+  try {
+    const features = new APIFeatures(
+      GroupBooking.find().populate('user', 'name email phone'),
+      req.query
+    )
+      .filter()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const requests = await features.query;
+
+    res.json({
+      success: true,
+      results: requests.length,
+      data: requests
+    });
+  } catch (error) {
+    logger.error('Get all group requests error:', { error: error.message, query: req.query });
+    sendError(res, error, { code: 'GROUP_REQUEST_ERROR', message: 'Failed to get group requests' });
+  }
+};
+
+// @desc    Get a group request
+// @route   GET /api/flights/group-requests/:id
+// @access  Private (owner or admin)
+export const getGroupRequest = async (req, res) => {
+  try {
+    const request = await findGroupRequest(req, req.params.id);
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    logger.error('Get group request error:', { error: error.message, requestId: req.params.id });
+    sendError(res, error, { code: 'GROUP_REQUEST_ERROR', message: 'Failed to get group request' });
+  }
+};
+
+// @desc    Send (or revise) the fare offered for a group request
+// @route   POST /api/flights/group-requests/:id/quote
+// @access  Private/Admin
+export const quoteGroupRequest = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const request = await findGroupRequest(req, req.params.id);
+
+    if (!['pending', 'quoted'].includes(request.status)) {
+      throw createFlightError(409, 'INVALID_GROUP_REQUEST_STATUS', `A ${request.status} request cannot be quoted`);
+    }
+
+    const { totalFare, currency, airline, itinerary, conditions, validUntil } = req.body;
+    request.quote = {
+      totalFare,
+      currency: currency || request.currency,
+      airline,
+      itinerary,
+      conditions,
+      validUntil,
+      quotedBy: req.user._id
+    };
+    request.setStatus('quoted', `${request.quote.currency} ${totalFare}, valid until ${new Date(validUntil).toISOString()}`);
+    await request.save();
+
+    if (request.contact?.email) {
+      sendEmail({
+        to: request.contact.email,
+        subject: `Your group fare for ${request.origin}-${request.destination} (${request.reference})`,
+        template: 'groupQuote',
+        data: {
+          name: request.contact.name,
+          reference: request.reference,
+          origin: request.origin,
+          destination: request.destination,
+          passengers: request.totalPassengers,
+          totalFare: request.quote.totalFare,
+          currency: request.quote.currency,
+          airline: request.quote.airline,
+          itinerary: request.quote.itinerary,
+          conditions: request.quote.conditions,
+          validUntil: request.quote.validUntil.toISOString()
+        }
+      }).catch(error => logger.error('Group quote email failed:', { reference: request.reference, error: error.message }));
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    logger.error('Quote group request error:', { error: error.message, requestId: req.params.id });
+    sendError(res, error, { code: 'GROUP_REQUEST_ERROR', message: 'Failed to quote group request' });
+  }
+};
+
+/**
+ * Accept or decline the current quote of one of the user's group requests
+ * @param {string} decision - 'accepted' or 'declined'
+ * @returns {Function} Express handler
+ */
+const respondToQuote = decision => async (req, res) => {
+  try {
+    const request = await findGroupRequest(req, req.params.id);
+
+    if (!request.user.equals(req.user._id)) {
+      throw createFlightError(403, 'FORBIDDEN', 'Only the customer who made the request can answer its quote');
+    }
+    if (request.status !== 'quoted') {
+      throw createFlightError(409, 'INVALID_GROUP_REQUEST_STATUS', `There is no open quote on a ${request.status} request`);
+    }
+    if (decision === 'accepted' && request.quote.validUntil <= new Date()) {
+      throw createFlightError(410, 'GROUP_QUOTE_EXPIRED', 'This quote has expired; ask our group desk for a new one');
+    }
+
+    request.setStatus(decision, req.body?.note);
+    if (decision === 'accepted') {
+      request.acceptedAt = new Date();
+    }
+    await request.save();
+
+    if (decision === 'accepted') {
+      notifyGroupDesk(request, { accepted: true });
+    }
+
+    res.json({
+      success: true,
+      data: request
+    });
+  } catch (error) {
+    logger.error('Group quote response error:', { error: error.message, requestId: req.params.id, decision });
+    sendError(res, error, { code: 'GROUP_REQUEST_ERROR', message: 'Failed to answer group quote' });
+  }
+};
+
+// @desc    Accept the quoted group fare
+// @route   POST /api/flights/group-requests/:id/accept
+// @access  Private (owner)
+export const acceptGroupQuote = respondToQuote('accepted');
+
+// @desc    Decline the quoted group fare
+// @route   POST /api/flights/group-requests/:id/decline
+// @access  Private (owner)
+export const declineGroupQuote = respondToQuote('declined');
+
+export default {
+  create: createGroupRequest,
+  getMine: getMyGroupRequests,
+  getAll: getAllGroupRequests,
+  getOne: getGroupRequest,
+  quote: quoteGroupRequest,
+  accept: acceptGroupQuote,
+  decline: declineGroupQuote
+};
@@ -1,11 +1,248 @@
 import { searchHotelsByCity } from '../utils/tboCityApi.js';
-import { search_hotels } from '../utils/travelBoutiqueHotelApi.js';
+import { search_hotels, fetchPreBook, confirm_ticket, web_book_booking } from '../utils/travelBoutiqueHotelApi.js';
 import Hotel from '../models/Hotel.js';
+import HotelBooking from '../models/hotelBooking.model.js';
+import HotelContent from '../models/hotelContent.model.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import logger from '../utils/logger.js';
+import { mapTboHotelResult, readTboHotelContent, setDistances } from '../utils/hotelOffer.js';
+import { HOTEL_SORT_OPTIONS, filterHotels, sortHotels, buildHotelFacets, paginate } from '../utils/hotelOfferFilters.js';
+import { createSearchSession, getSearchSession } from '../utils/hotelSearchSession.js';
+import {
+    findDirectHotelOffers,
+    parseDirectBookingCode,
+    quoteDirectStay,
+    reserveDirectRooms,
+    releaseDirectRooms,
+    releaseDirectBooking
+} from '../utils/directHotelInventory.js';
+
+const isValidDate = value => value && !isNaN(new Date(value).getTime());
+
+// Page size of the hotel code list
+const HOTEL_CODES_PAGE_SIZE = 100;
+const MAX_HOTEL_CODES_PAGE_SIZE = 1000;
+
+/**
+ * Check a booking request and list what is wrong with it
+ * @param {Object} body - Request body
+ * @returns {Array<string>} Validation messages (empty when valid)
+ */
+const validateBookingRequest = ({ hotelCode, bookingCode, checkIn, checkOut, rooms, totalFare, contact = {} }) => {
+    const errors = [];
+
+    if (!hotelCode) errors.push('Hotel code is required');
+    if (!bookingCode) errors.push('Booking code from pre-book is required');
+    if (!isValidDate(checkIn) || !isValidDate(checkOut)) {
+        errors.push('Valid check-in and check-out dates are required');
+    } else if (new Date(checkOut) <= new Date(checkIn)) {
+        errors.push('Check-out must be after check-in');
+    }
+    if (!(Number(totalFare) >= 0)) errors.push('Total fare from pre-book is required');
+    if (!contact.email) errors.push('Contact email is required');
+    if (!contact.phone) errors.push('Contact phone is required');
+
+    if (!Array.isArray(rooms) || rooms.length === 0) {
+        errors.push('At least one room is required');
+    } else {
+        rooms.forEach((room, index) => {
+            if (!Array.isArray(room.guests) || room.guests.length === 0) {
+                errors.push(`Room ${index + 1} needs at least one guest`);
+                return;
+            }
+            room.guests.forEach((guest, guestIndex) => {
+                if (!guest.firstName || !guest.lastName) {
+                    errors.push(`Room ${index + 1}, guest ${guestIndex + 1}: first and last name are required`);
+                }
+                if (guest.type === 'child' && !(Number(guest.age) >= 0)) {
+                    errors.push(`Room ${index + 1}, guest ${guestIndex + 1}: child age is required`);
+                }
+            });
+        });
+    }
+
+    return errors;
+};
+
+/**
+ * Build the TBO Book request for a stored booking
+ * @param {Object} booking - HotelBooking document
+ * @returns {Object} TBO request body (without token)
+ */
+const toTboBookRequest = booking => ({
+    BookingCode: booking.bookingCode,
+    CustomerDetails: booking.rooms.map(room => ({
+        CustomerNames: room.guests.map(guest => ({
+            Title: guest.title || (guest.type === 'child' ? 'Mstr' : 'Mr'),
+            FirstName: guest.firstName,
+            LastName: guest.lastName,
+            Type: guest.type === 'child' ? 'Child' : 'Adult',
+            ...(guest.type === 'child' && { Age: guest.age })
+        }))
+    })),
+    ClientReferenceId: booking.bookingReference,
+    BookingReferenceId: booking.bookingReference,
+    TotalFare: booking.price.totalFare,
+    EmailId: booking.contact.email,
+    PhoneNumber: booking.contact.phone,
+    BookingType: 'Voucher',
+    PaymentMode: 'Limit'
+});
+
+/**
+ * Read the outcome of a TBO Book response (both the affiliate and the
+ * HotelService response shapes)
+ * @param {Object} response - TBO response body
+ * @returns {Object} { confirmed, confirmationNumber, bookingId, bookingRefNo, status, message }
+ */
+const readTboBookResult = (response = {}) => {
+    const result = response.BookResult || response;
+    const status = result.HotelBookingStatus || result.BookingStatus || result.Status?.Description;
+
+    return {
+        confirmed: result.Status?.Code === 200 || result.Status === 1 || /confirmed/i.test(status || ''),
+        confirmationNumber: result.ConfirmationNumber || result.ConfirmationNo,
+        bookingId: result.BookingId != null ? String(result.BookingId) : undefined,
+        bookingRefNo: result.BookingRefNo,
+        status: status != null ? String(status) : undefined,
+        message: result.Error?.ErrorMessage || result.Status?.Description || 'The hotel did not confirm the booking'
+    };
+};
+
+/**
+ * Read the price of a rate from a TBO PreBook response
+ * @param {Object} response - TBO response body
+ * @param {string} bookingCode - Booking code that was pre-booked
+ * @returns {?Object} { totalFare, currency }, or null when the rate can no longer be booked
+ */
+const readTboPreBookPrice = (response = {}, bookingCode) => {
+    const hotel = (response.HotelResult || [])[0];
+    const room = (hotel?.Rooms || []).find(entry => entry.BookingCode === bookingCode) || hotel?.Rooms?.[0];
+    const totalFare = Number(room?.TotalFare);
+
+    if (response.Status?.Code !== 200 || !(totalFare >= 0)) {
+        return null;
+    }
+
+    return { totalFare, currency: hotel.Currency || 'INR' };
+};
+
+/**
+ * Load a hotel booking that belongs to the current user (admins can load any booking)
+ * @param {Object} req - Express request object
+ * @param {string} id - HotelBooking id
+ * @returns {Promise<?Object>} HotelBooking document, or null when not found or not allowed
+ */
+const findOwnedHotelBooking = async (req, id) => {
+    const booking = await HotelBooking.findById(id).catch(() => null);
+
+    if (!booking || (!booking.user.equals(req.user._id) && req.user.role !== 'admin')) {
+        return null;
+    }
+
+    return booking;
+};
+
+/**
+ * Load the static content of a city's hotels from the local collection.
+ * Cities the sync job has not filled yet fall back to the live TBO code list.
+ * @param {string} city - City name or TBO city code
+ * @returns {Promise<Array<Object>>} Hotel content (HotelContent fields)
+ */
+const loadCityContent = async city => {
+    const hotels = await HotelContent.find({ isActive: true, $or: [{ cityName: city }, { cityCode: city }] })
+        .collation({ locale: 'en', strength: 2 })
+        .select('hotelCode name starRating address location images amenities')
+        .lean();
+
+    if (hotels.length > 0) {
+        return hotels;
+    }
+
+    logger.warn('No synced hotel content; using the TBO code list', { city });
+    const hotelSearch = await searchHotelsByCity(city);
+    return hotelSearch.success ? hotelSearch.hotels.map(readTboHotelContent) : [];
+};
+
+/**
+ * Read the filter, sort and page options of a search request
+ * @param {Object} body - Request body
+ * @returns {Object} { options, errors }
+ */
+const readResultOptions = ({ filters = {}, sortBy = 'price', page, limit, location } = {}) => {
+    const errors = [];
+    const toArray = value => (value === undefined ? undefined : [].concat(value));
+
+    if (!HOTEL_SORT_OPTIONS.includes(sortBy)) {
+        errors.push(`sortBy must be one of: ${HOTEL_SORT_OPTIONS.join(', ')}`);
+    }
+    ['minPrice', 'maxPrice'].forEach(field => {
+        if (filters[field] !== undefined && !(Number(filters[field]) >= 0)) {
+            errors.push(`filters.${field} must be a positive number`);
+        }
+    });
+    if (location && !(Math.abs(location.latitude) <= 90 && Math.abs(location.longitude) <= 180)) {
+        errors.push('location needs a valid latitude and longitude');
+    }
+
+    return {
+        errors,
+        options: {
+            filters: {
+                starRatings: toArray(filters.starRatings),
+                minPrice: filters.minPrice,
+                maxPrice: filters.maxPrice,
+                amenities: toArray(filters.amenities),
+                refundableOnly: filters.refundableOnly === true || filters.refundableOnly === 'true',
+                mealPlans: toArray(filters.mealPlans)
+            },
+            sortBy,
+            page,
+            limit,
+            location: location && { latitude: Number(location.latitude), longitude: Number(location.longitude) }
+        }
+    };
+};
+
+/**
+ * Send one page of a search session's hotels
+ * @param {Object} res - Express response object
+ * @param {string} searchId - Search session ID
+ * @param {Object} session - { hotels, expiresAt }
+ * @param {Object} options - Options from readResultOptions
+ */
+const sendSearchPage = (res, searchId, session, { filters, sortBy, page, limit, location }) => {
+    const hotels = location ? setDistances(session.hotels, location) : session.hotels;
+    const matching = sortHotels(filterHotels(hotels, filters), sortBy);
+    const { results, total, ...paging } = paginate(matching, { page, limit });
+
+    res.json({
+        success: true,
+        message: total ? 'Hotels found successfully' : 'No hotels match the selected filters',
+        searchId,
+        expiresAt: session.expiresAt,
+        sortBy,
+        ...paging,
+        totalHotels: total,
+        availableHotels: session.hotels.length,
+        facets: buildHotelFacets(session.hotels),
+        results
+    });
+};
 
 // Search hotels
 export const search = async (req, res) => {
     try {
         const { checkIn, checkOut, city, country = 'IN', guests = {}, rooms = 1, hotelCodes = [] } = req.body;
+        const { options, errors } = readResultOptions(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
 
         // Validate required fields
         if (!checkIn || !checkOut) {
@@ -31,34 +268,51 @@ export const search = async (req, res) => {
 
         // Search for hotels in the specified city
         try {
-            const hotelSearch = await searchHotelsByCity(city);
+            const roomCount = parseInt(rooms) || 1;
+            // Directly contracted hotels are priced from their own availability calendar
+            const directHotels = await findDirectHotelOffers({ city, checkIn, checkOut, rooms: roomCount, adults, children });
+            const cityHotels = await loadCityContent(city);
 
-            if (!hotelSearch.success || !hotelSearch.hotels?.length) {
+            if (!cityHotels.length && !directHotels.length) {
                 return res.status(404).json({
                     success: false,
                     message: 'No hotels found in the specified city. Please try another city.'
                 });
             }
 
-            // Get hotel codes from the search results
-            const hotelCodes = hotelSearch.hotels.map(hotel => hotel.HotelCode);
-
-            // Prepare search parameters for availability check
-            const searchParams = {
-                checkIn,
-                checkOut,
-                guestCountry: country,
-                hotelcodes: hotelCodes,
-                adult: adults,
-                child: children,
-                childAges: childrenAges,
-                rooms: parseInt(rooms) || 1
-            };
-
-            // Search for available hotels with the given parameters
-            const searchResults = await search_hotels(searchParams);
-
-            if (!searchResults || !searchResults.HotelResults) {
+            let tboHotels = [];
+            if (cityHotels.length) {
+                // Get hotel codes from the search results
+                const hotelCodes = cityHotels.map(hotel => hotel.hotelCode);
+
+                // Prepare search parameters for availability check
+                const searchParams = {
+                    checkIn,
+                    checkOut,
+                    guestCountry: country,
+                    hotelcodes: hotelCodes,
+                    adult: adults,
+                    child: children,
+                    childAges: childrenAges,
+                    rooms: roomCount
+                };
+
+                // Search for available hotels with the given parameters; direct hotels
+                // are still shown when TBO is down
+                const searchResults = await search_hotels(searchParams).catch(error => {
+                    if (!directHotels.length) throw error;
+                    console.error('TBO hotel search failed; returning direct hotels only:', error.message);
+                    return null;
+                });
+
+                // Join rates with the static content
+                const contentByCode = new Map(cityHotels.map(hotel => [hotel.hotelCode, hotel]));
+                tboHotels = (searchResults?.HotelResults || []).map(result =>
+                    mapTboHotelResult(result, contentByCode.get(String(result.HotelCode)))
+                );
+            }
+
+            if (!tboHotels.length && !directHotels.length) {
                 return res.status(404).json({
                     success: false,
                     message: 'No available hotels found for the selected dates',
@@ -66,14 +320,15 @@ export const search = async (req, res) => {
                 });
             }
 
-            // Return the search results
-            return res.json({
-                success: true,
-                message: 'Hotels found successfully',
-                results: searchResults.HotelResults,
-                totalHotels: searchResults.HotelResults.length
+            // Keep them for follow-up pages
+            const hotels = setDistances([...directHotels, ...tboHotels]);
+            const { searchId, expiresAt } = createSearchSession({
+                hotels,
+                criteria: { city, country, checkIn, checkOut, rooms: roomCount, adults, children, childrenAges }
             });
 
+            return sendSearchPage(res, searchId, { hotels, expiresAt }, options);
+
         } catch (error) {
             console.error('Error searching hotels:', error);
             return res.status(500).json({
@@ -92,6 +347,39 @@ export const search = async (req, res) => {
     }
 };
 
+// Filter, sort or page the results of an earlier search without searching TBO again
+export const getSearchResults = async (req, res) => {
+    try {
+        const session = getSearchSession(req.params.searchId);
+
+        if (!session) {
+            return res.status(410).json({
+                success: false,
+                message: 'Your search session has expired. Please search again'
+            });
+        }
+
+        const { options, errors } = readResultOptions(req.body);
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        sendSearchPage(res, req.params.searchId, session, options);
+    } catch (error) {
+        console.error('Hotel search results error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get search results',
+            error: error.message
+        });
+    }
+};
+
 // Get hotel details
 export const getDetails = async (req, res) => {
     try {
@@ -119,7 +407,7 @@ export const getDetails = async (req, res) => {
 export const preBook = async (req, res) => {
     try {
         const { bookingDetails } = req.body;
-        const result = await preBookHotel(bookingDetails);
+        const result = await fetchPreBook(bookingDetails);
         res.json(result);
     } catch (error) {
         console.error('Pre-book error:', error);
@@ -131,27 +419,184 @@ export const preBook = async (req, res) => {
     }
 };
 
-// Confirm booking
+// Confirm booking and store it for the user
 export const book = async (req, res) => {
+    let booking;
+
     try {
-        const { bookingDetails } = req.body;
-        const result = await bookHotel(bookingDetails);
-        res.json(result);
+        const errors = validateBookingRequest(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors
+            });
+        }
+
+        const { hotelCode, hotelName, city, bookingCode, checkIn, checkOut, rooms, totalFare, contact } = req.body;
+
+        // Direct-contract rates are priced and sold from our own calendar instead of TBO
+        const ratePlanId = parseDirectBookingCode(bookingCode);
+        const directStay = ratePlanId && await quoteDirectStay({
+            ratePlanId,
+            checkIn,
+            checkOut,
+            rooms: rooms.length,
+            adultsPerRoom: Math.max(...rooms.map(room => room.guests.filter(guest => guest.type !== 'child').length)),
+            childrenPerRoom: Math.max(...rooms.map(room => room.guests.filter(guest => guest.type === 'child').length))
+        });
+
+        // The price is the one TBO confirms at pre-book, never the one sent by the client
+        const price = directStay
+            ? { totalFare: directStay.totalFare, currency: directStay.currency }
+            : readTboPreBookPrice(await fetchPreBook({ BookingCode: bookingCode, PaymentMode: 'Limit' }), bookingCode);
+        if (!price) {
+            return res.status(409).json({
+                success: false,
+                message: 'This room is no longer available. Please search again'
+            });
+        }
+        if (price.totalFare !== Number(totalFare)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The price of this room has changed. Please review the new price',
+                totalFare: price.totalFare,
+                currency: price.currency
+            });
+        }
+
+        // Record the attempt before calling TBO so failed bookings are traceable
+        booking = await HotelBooking.create({
+            user: req.user._id,
+            provider: directStay ? 'direct' : 'tbo',
+            hotelCode: directStay ? String(directStay.hotel._id) : hotelCode,
+            hotelName: directStay ? directStay.hotel.name : hotelName,
+            city,
+            bookingCode,
+            checkIn,
+            checkOut,
+            rooms: rooms.map(room => ({
+                name: room.name,
+                mealType: room.mealType,
+                guests: room.guests.map(({ title, firstName, lastName, type = 'adult', age }) => ({ title, firstName, lastName, type, age }))
+            })),
+            contact: { email: contact.email, phone: contact.phone },
+            price,
+            statusHistory: [{ status: 'pending', note: 'Booking request received' }]
+        });
+
+        if (directStay) {
+            await reserveDirectRooms(directStay, rooms.length);
+            booking.confirmationNumber = booking.bookingReference;
+            booking.setStatus('confirmed', { note: `Direct booking: ${directStay.roomType.name} - ${directStay.ratePlan.name}` });
+            try {
+                await booking.save();
+            } catch (error) {
+                // The booking was not recorded, so its nights must not stay taken
+                await releaseDirectRooms(directStay.roomType._id, directStay.nights, rooms.length);
+                throw error;
+            }
+
+            return res.status(201).json({
+                success: true,
+                message: 'Hotel booked successfully',
+                booking
+            });
+        }
+
+        const result = readTboBookResult(await confirm_ticket(toTboBookRequest(booking)));
+
+        booking.confirmationNumber = result.confirmationNumber;
+        booking.supplierBookingId = result.bookingId;
+        booking.supplierReference = result.bookingRefNo;
+        if (result.confirmed) {
+            booking.setStatus('confirmed', { supplierStatus: result.status });
+        } else {
+            booking.failureReason = result.message;
+            booking.setStatus('failed', { supplierStatus: result.status, note: result.message });
+        }
+        await booking.save();
+
+        if (!result.confirmed) {
+            return res.status(502).json({
+                success: false,
+                message: result.message,
+                booking
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Hotel booked successfully',
+            booking
+        });
     } catch (error) {
         console.error('Booking error:', error);
-        res.status(500).json({
+
+        if (booking) {
+            booking.failureReason = error.message;
+            booking.setStatus('failed', { note: error.message });
+            await booking.save().catch(saveError => console.error('Failed to record hotel booking failure:', saveError));
+        }
+
+        res.status(error.statusCode || 500).json({
             success: false,
-            message: 'Booking failed',
+            message: error.statusCode ? error.message : 'Booking failed',
             error: error.message
         });
     }
 };
 
-// Get booking details
+// Get one of the user's hotel bookings (admins can see any); ?refresh=true adds TBO's current record
 export const getBooking = async (req, res) => {
+    try {
+        const booking = await findOwnedHotelBooking(req, req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hotel booking found with that ID'
+            });
+        }
+
+        const supplierDetails = req.query.refresh === 'true' && booking.supplierBookingId
+            ? await web_book_booking(booking.supplierBookingId)
+            : undefined;
+
+        res.json({
+            success: true,
+            booking,
+            ...(supplierDetails && { supplierDetails })
+        });
+    } catch (error) {
+        console.error('Get booking error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get booking details',
+            error: error.message
+        });
+    }
+};
+
+// Deprecated: TBO's record of a booking by its TBO BookingId. Use GET /bookings/:id?refresh=true,
+// which this points to in its Link header; admins can still look up bookings made outside the site.
+export const getSupplierBooking = async (req, res) => {
     try {
         const { bookingId } = req.params;
-        const result = await getBookingDetails(bookingId);
+        const booking = await HotelBooking.findOne({ supplierBookingId: String(bookingId) });
+        res.set('Deprecation', 'true');
+
+        const allowed = req.user.role === 'admin' || Boolean(booking?.user.equals(req.user._id));
+        if (!allowed) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hotel booking found with that ID'
+            });
+        }
+
+        if (booking) {
+            res.set('Link', `</api/v1/hotels/bookings/${booking._id}>; rel="successor-version"`);
+        }
+        const result = await web_book_booking(bookingId);
         res.json(result);
     } catch (error) {
         console.error('Get booking error:', error);
@@ -163,14 +608,176 @@ export const getBooking = async (req, res) => {
     }
 };
 
-// Get hotel codes
+// Cancel a direct booking before check-in (owner or admin); its rooms go back on sale
+export const cancelBooking = async (req, res) => {
+    try {
+        const booking = await findOwnedHotelBooking(req, req.params.id);
+        if (!booking) {
+            return res.status(404).json({
+                success: false,
+                message: 'No hotel booking found with that ID'
+            });
+        }
+
+        if (booking.provider !== 'direct') {
+            return res.status(409).json({
+                success: false,
+                message: 'Please contact us to cancel this booking'
+            });
+        }
+        if (booking.status !== 'confirmed') {
+            return res.status(409).json({
+                success: false,
+                message: `A ${booking.status} booking cannot be cancelled`
+            });
+        }
+        if (booking.checkIn <= new Date()) {
+            return res.status(409).json({
+                success: false,
+                message: 'Bookings cannot be cancelled once the stay has started'
+            });
+        }
+
+        // Only the request that moves the booking out of confirmed gives the rooms back
+        const cancelled = await HotelBooking.findOneAndUpdate(
+            { _id: booking._id, status: 'confirmed' },
+            {
+                status: 'cancelled',
+                $push: { statusHistory: { status: 'cancelled', note: `Cancelled by ${req.user.role === 'admin' ? 'admin' : 'guest'}: ${req.body?.reason || 'no reason given'}` } }
+            },
+            { new: true }
+        );
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                message: 'This booking is already cancelled'
+            });
+        }
+
+        await releaseDirectBooking(cancelled);
+
+        res.json({
+            success: true,
+            message: 'Hotel booking cancelled',
+            booking: cancelled
+        });
+    } catch (error) {
+        console.error('Cancel hotel booking error:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to cancel booking',
+            error: error.message
+        });
+    }
+};
+
+// List the current user's hotel bookings
+export const getMyBookings = async (req, res) => {
+    try {
+        const filter = { user: req.user._id };
+        if (req.query.status) {
+            filter.status = req.query.status;
+        }
+
+        const bookings = await HotelBooking.find(filter)
+            .sort('-createdAt')
+            .select('-statusHistory -bookingCode -__v');
+
+        res.json({
+            success: true,
+            results: bookings.length,
+            bookings
+        });
+    } catch (error) {
+        console.error('Get my hotel bookings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get your hotel bookings',
+            error: error.message
+        });
+    }
+};
+
+// List all hotel bookings (admin); supports ?status=, ?hotelCode=, sort, fields and pagination
+export const getAllBookings = async (req, res) => {
+    try {
+        const features = new APIFeatures(
+            HotelBooking.find().populate('user', 'name email phone'),
+            req.query
+        )
+            .filter()
+            .sort()
+            .limitFields()
+            .paginate();
+
+        const bookings = await features.query;
+
+        res.json({
+            success: true,
+            results: bookings.length,
+            bookings
+        });
+    } catch (error) {
+        console.error('Get all hotel bookings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get hotel bookings',
+            error: error.message
+        });
+    }
+};
+
+// Get hotel codes of a country or city (?city=), a page at a time (?page=&limit=).
+// Cities the sync job has not filled yet are read from the TBO code list.
 export const getHotelCodes = async (req, res) => {
     try {
-        const { countryCode = 'IN' } = req.query;
-        const result = await getTBOHotelCodeList({ countryCode });
+        const { city, countryCode = 'IN' } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || HOTEL_CODES_PAGE_SIZE, 1), MAX_HOTEL_CODES_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const filter = { isActive: true, countryCode: countryCode.toUpperCase() };
+
+        if (city) {
+            filter.$or = [{ cityName: city }, { cityCode: city }];
+        }
+
+        const [cached, cachedTotal] = await Promise.all([
+            HotelContent.find(filter)
+                .collation({ locale: 'en', strength: 2 })
+                .select('hotelCode name starRating cityCode cityName address location')
+                .sort('name hotelCode')
+                .skip((page - 1) * limit)
+                .limit(limit),
+            HotelContent.countDocuments(filter).collation({ locale: 'en', strength: 2 })
+        ]);
+
+        let source = 'cache';
+        let hotels = cached;
+        let total = cachedTotal;
+
+        if (total === 0 && city) {
+            logger.warn('No synced hotel content; using the TBO code list', { city });
+            const hotelSearch = await searchHotelsByCity(city);
+            const codeList = hotelSearch.success
+                ? hotelSearch.hotels.map(readTboHotelContent).sort((a, b) => a.name.localeCompare(b.name))
+                : [];
+
+            source = 'tbo';
+            total = codeList.length;
+            hotels = codeList
+                .slice((page - 1) * limit, page * limit)
+                .map(({ hotelCode, name, starRating, cityName, address, location }) => ({ hotelCode, name, starRating, cityName, address, location }));
+        }
+
         res.json({
             success: true,
-            data: result
+            source,
+            results: hotels.length,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit),
+            hasMore: page * limit < total,
+            data: hotels
         });
     } catch (error) {
         console.error('Get hotel codes error:', error);
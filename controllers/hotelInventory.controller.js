@@ -0,0 +1,318 @@
+import Hotel from '../models/Hotel.js';
+import RoomType from '../models/roomType.model.js';
+import RatePlan from '../models/ratePlan.model.js';
+import RoomAvailability from '../models/roomAvailability.model.js';
+import { listDates } from '../utils/directHotelInventory.js';
+import logger from '../utils/logger.js';
+
+// Longest date range accepted by one calendar read or update
+const MAX_RANGE_DAYS = 366;
+
+const ROOM_TYPE_FIELDS = ['name', 'description', 'totalRooms', 'maxAdults', 'maxChildren', 'maxOccupancy', 'bedType', 'sizeSqm', 'amenities', 'images', 'isActive'];
+const RATE_PLAN_FIELDS = ['name', 'mealPlan', 'cancellation', 'minStay', 'currency', 'inclusions', 'isActive'];
+
+const pick = (body = {}, fields) => Object.fromEntries(
+  fields.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const sendNotFound = (res, message) => res.status(404).json({
+  success: false,
+  message
+});
+
+const sendValidationErrors = (res, errors) => res.status(400).json({
+  success: false,
+  message: 'Validation failed',
+  errors
+});
+
+/**
+ * Send the error response for a failed save or lookup
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} message - Message for unexpected errors
+ */
+const sendError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return sendValidationErrors(res, Object.values(error.errors).map(err => err.message));
+  }
+  if (error.name === 'CastError') {
+    return sendValidationErrors(res, [`Invalid ${error.path}: ${error.value}`]);
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'The hotel already has one with this name'
+    });
+  }
+
+  logger.error(`${message}:`, { error: error.message });
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Load an approved hotel the current user manages (its owner, or an admin)
+ * @param {Object} req - Express request object
+ * @returns {Promise<?Object>} Hotel document, or null when not found or not allowed
+ */
+const findManagedHotel = async req => {
+  const hotel = await Hotel.findById(req.params.id).catch(() => null);
+
+  if (!hotel || hotel.status !== 'approved' || (!hotel.owner.equals(req.user._id) && req.user.role !== 'admin')) {
+    return null;
+  }
+
+  return hotel;
+};
+
+const HOTEL_NOT_FOUND = 'No approved hotel found with that ID';
+
+// Room types of a hotel
+export const getRoomTypes = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const roomTypes = await RoomType.find({ hotel: hotel._id }).sort('name');
+
+    res.json({
+      success: true,
+      results: roomTypes.length,
+      roomTypes
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get room types');
+  }
+};
+
+// Add a room type
+export const createRoomType = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const roomType = await RoomType.create({ ...pick(req.body, ROOM_TYPE_FIELDS), hotel: hotel._id });
+
+    res.status(201).json({
+      success: true,
+      roomType
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create room type');
+  }
+};
+
+// Update a room type (set isActive: false to stop selling it)
+export const updateRoomType = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const roomType = await RoomType.findOne({ _id: req.params.roomTypeId, hotel: hotel._id }).catch(() => null);
+    if (!roomType) return sendNotFound(res, 'No room type found with that ID');
+
+    roomType.set(pick(req.body, ROOM_TYPE_FIELDS));
+    await roomType.save();
+
+    res.json({
+      success: true,
+      roomType
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update room type');
+  }
+};
+
+// Rate plans of a hotel (?roomType= narrows to one room type)
+export const getRatePlans = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const filter = { hotel: hotel._id };
+    if (req.query.roomType) filter.roomType = req.query.roomType;
+
+    const ratePlans = await RatePlan.find(filter).populate('roomType', 'name').sort('name');
+
+    res.json({
+      success: true,
+      results: ratePlans.length,
+      ratePlans
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get rate plans');
+  }
+};
+
+// Add a rate plan to one of the hotel's room types
+export const createRatePlan = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const roomType = await RoomType.findOne({ _id: req.body.roomType, hotel: hotel._id }).catch(() => null);
+    if (!roomType) return sendValidationErrors(res, ['roomType must be one of the hotel\'s room types']);
+
+    const ratePlan = await RatePlan.create({ ...pick(req.body, RATE_PLAN_FIELDS), hotel: hotel._id, roomType: roomType._id });
+
+    res.status(201).json({
+      success: true,
+      ratePlan
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to create rate plan');
+  }
+};
+
+// Update a rate plan (its room type cannot change)
+export const updateRatePlan = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const ratePlan = await RatePlan.findOne({ _id: req.params.ratePlanId, hotel: hotel._id }).catch(() => null);
+    if (!ratePlan) return sendNotFound(res, 'No rate plan found with that ID');
+
+    ratePlan.set(pick(req.body, RATE_PLAN_FIELDS));
+    await ratePlan.save();
+
+    res.json({
+      success: true,
+      ratePlan
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update rate plan');
+  }
+};
+
+// Calendar of a room type: ?roomType=&from=2025-01-01&to=2025-01-31
+export const getAvailability = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const { roomType, from, to } = req.query;
+    const dates = listDates(from, to, { inclusive: true });
+    if (dates.length === 0 || dates.length > MAX_RANGE_DAYS) {
+      return sendValidationErrors(res, [`from and to must be valid dates at most ${MAX_RANGE_DAYS} days apart`]);
+    }
+
+    const filter = { hotel: hotel._id, date: { $gte: dates[0], $lte: dates[dates.length - 1] } };
+    if (roomType) filter.roomType = roomType;
+
+    const availability = await RoomAvailability.find(filter).sort('roomType date');
+
+    res.json({
+      success: true,
+      results: availability.length,
+      availability
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to get availability');
+  }
+};
+
+/**
+ * Check one range update of the bulk availability request
+ * @param {Object} update - { roomType, from, to, daysOfWeek, allotment, stopSell, prices }
+ * @param {number} index - Position in the request, for messages
+ * @param {Map<string, Object>} roomTypes - Hotel room types by id
+ * @param {Array<Object>} ratePlans - Hotel rate plans
+ * @returns {Array<string>} Validation messages
+ */
+const validateRangeUpdate = (update, index, roomTypes, ratePlans) => {
+  const label = `updates[${index}]`;
+  const errors = [];
+  const roomType = roomTypes.get(String(update.roomType));
+  const dates = listDates(update.from, update.to, { inclusive: true });
+
+  if (!roomType) errors.push(`${label}: roomType must be one of the hotel's room types`);
+  if (dates.length === 0 || dates.length > MAX_RANGE_DAYS) {
+    errors.push(`${label}: from and to must be valid dates, in order, at most ${MAX_RANGE_DAYS} days apart`);
+  }
+  if (update.daysOfWeek !== undefined &&
+    (!Array.isArray(update.daysOfWeek) || !update.daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+    errors.push(`${label}: daysOfWeek must list days from 0 (Sunday) to 6 (Saturday)`);
+  }
+  if (update.allotment !== undefined &&
+    !(Number.isInteger(update.allotment) && update.allotment >= 0 && (!roomType || update.allotment <= roomType.totalRooms))) {
+    errors.push(`${label}: allotment must be a whole number from 0 to the room type's ${roomType?.totalRooms ?? ''} rooms`);
+  }
+  if (update.stopSell !== undefined && typeof update.stopSell !== 'boolean') {
+    errors.push(`${label}: stopSell must be true or false`);
+  }
+  Object.entries(update.prices || {}).forEach(([ratePlanId, price]) => {
+    if (!ratePlans.some(ratePlan => String(ratePlan._id) === ratePlanId && ratePlan.roomType.equals(roomType?._id))) {
+      errors.push(`${label}: rate plan ${ratePlanId} does not belong to the room type`);
+    }
+    if (price !== null && !(typeof price === 'number' && price >= 0)) {
+      errors.push(`${label}: price for ${ratePlanId} must be a positive number (or null to remove it)`);
+    }
+  });
+  if (update.allotment === undefined && update.stopSell === undefined && !Object.keys(update.prices || {}).length) {
+    errors.push(`${label}: nothing to update; set allotment, stopSell or prices`);
+  }
+
+  return errors;
+};
+
+// Bulk calendar update: { updates: [{ roomType, from, to, daysOfWeek?, allotment?, stopSell?, prices? }] }
+// Each range sets only the fields it names, so prices and allotment can be managed separately
+export const updateAvailability = async (req, res) => {
+  try {
+    const hotel = await findManagedHotel(req);
+    if (!hotel) return sendNotFound(res, HOTEL_NOT_FOUND);
+
+    const updates = Array.isArray(req.body?.updates) ? req.body.updates : [req.body || {}];
+    const [roomTypes, ratePlans] = await Promise.all([
+      RoomType.find({ hotel: hotel._id }),
+      RatePlan.find({ hotel: hotel._id })
+    ]);
+    const roomTypesById = new Map(roomTypes.map(roomType => [String(roomType._id), roomType]));
+
+    const errors = updates.flatMap((update, index) => validateRangeUpdate(update, index, roomTypesById, ratePlans));
+    if (errors.length > 0) {
+      return sendValidationErrors(res, errors);
+    }
+
+    const operations = updates.flatMap(({ roomType, from, to, daysOfWeek, allotment, stopSell, prices = {} }) => {
+      const $set = {};
+      const $unset = {};
+      if (allotment !== undefined) $set.allotment = allotment;
+      if (stopSell !== undefined) $set.stopSell = stopSell;
+      Object.entries(prices).forEach(([ratePlanId, price]) => {
+        if (price === null) $unset[`prices.${ratePlanId}`] = '';
+        else $set[`prices.${ratePlanId}`] = price;
+      });
+
+      return listDates(from, to, { inclusive: true })
+        .filter(date => !daysOfWeek || daysOfWeek.includes(date.getUTCDay()))
+        .map(date => ({
+          updateOne: {
+            filter: { roomType, date },
+            update: {
+              $set,
+              ...(Object.keys($unset).length && { $unset }),
+              $setOnInsert: { hotel: hotel._id }
+            },
+            upsert: true
+          }
+        }));
+    });
+
+    const result = operations.length ? await RoomAvailability.bulkWrite(operations, { ordered: false }) : null;
+
+    res.json({
+      success: true,
+      message: `${operations.length} night(s) updated`,
+      created: result?.upsertedCount || 0,
+      updated: result?.modifiedCount || 0
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to update availability');
+  }
+};
@@ -0,0 +1,450 @@
+import fs from 'fs';
+import path from 'path';
+import multer from 'multer';
+import Hotel, { HOTEL_DOCUMENT_TYPES } from '../models/Hotel.js';
+import User from '../models/user.model.js';
+import APIFeatures from '../utils/apiFeatures.js';
+import { sendEmail } from '../utils/email.js';
+import logger from '../utils/logger.js';
+
+// Fields a partner may set on their registration; status and review are admin-only
+const EDITABLE_FIELDS = ['name', 'description', 'category', 'registrationNumber', 'totalRooms', 'contact', 'website', 'facilities', 'additionalInfo'];
+
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const MAX_DOCUMENTS = 5;
+const MAX_DOCUMENT_MB = 10;
+
+// Verification documents are kept out of the public uploads folder; they are
+// only served to the partner and admins by getHotelDocument
+const DOCUMENTS_DIR = 'private/hotel-documents/';
+
+const documentUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(DOCUMENTS_DIR, { recursive: true }, err => cb(err, DOCUMENTS_DIR));
+    },
+    filename: (req, file, cb) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+      cb(null, 'hotel-document-' + uniqueSuffix + path.extname(file.originalname));
+    }
+  }),
+  fileFilter: (req, file, cb) => {
+    if (DOCUMENT_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+
+    const error = new Error(`${file.originalname}: only PDF, JPEG, PNG and WebP files are accepted`);
+    error.code = 'UNSUPPORTED_FILE_TYPE';
+    cb(error);
+  },
+  limits: { fileSize: MAX_DOCUMENT_MB * 1024 * 1024, files: MAX_DOCUMENTS }
+});
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Each document must be at most ${MAX_DOCUMENT_MB} MB`,
+  LIMIT_FILE_COUNT: `Upload at most ${MAX_DOCUMENTS} documents at a time`,
+  LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_DOCUMENTS} documents in the "documents" field`
+};
+
+// Receive the multipart field "documents"; rejected files never reach the disk
+export const receiveHotelDocuments = (req, res, next) => {
+  documentUpload.array('documents', MAX_DOCUMENTS)(req, res, error => {
+    if (!error) return next();
+    if (!(error instanceof multer.MulterError) && error.code !== 'UNSUPPORTED_FILE_TYPE') return next(error);
+
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: [UPLOAD_ERROR_MESSAGES[error.code] || error.message]
+    });
+  });
+};
+
+const pickEditable = body => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Send the error response for a failed save (validation errors and duplicate
+ * registration numbers are the partner's to fix)
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by mongoose
+ * @param {string} message - Message for unexpected errors
+ */
+const sendSaveError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A hotel with this registration number is already registered'
+    });
+  }
+
+  logger.error(`${message}:`, { error: error.message });
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * Load a registration the current user may see (admins see all of them)
+ * @param {Object} req - Express request object
+ * @returns {Promise<?Object>} Hotel document, or null when not found or not allowed
+ */
+const findPartnerHotel = async req => {
+  const hotel = await Hotel.findById(req.params.id).catch(() => null);
+
+  if (!hotel || (!hotel.owner.equals(req.user._id) && req.user.role !== 'admin')) {
+    return null;
+  }
+
+  return hotel;
+};
+
+const notFound = res => res.status(404).json({
+  success: false,
+  message: 'No hotel registration found with that ID'
+});
+
+/**
+ * Email the partner about their registration. Failures are logged only.
+ * @param {Object} hotel - Hotel document
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Rejection reason
+ */
+const notifyPartner = async (hotel, { reason } = {}) => {
+  const owner = await User.findById(hotel.owner).select('name email').catch(() => null);
+  const to = hotel.contact?.email || owner?.email;
+
+  sendEmail({
+    to,
+    subject: {
+      pending: `We received your registration for ${hotel.name}`,
+      approved: `${hotel.name} is approved`,
+      rejected: `Your registration for ${hotel.name} needs changes`
+    }[hotel.status],
+    template: 'hotelPartnerStatus',
+    data: {
+      name: hotel.contact?.name || owner?.name,
+      hotelName: hotel.name,
+      status: hotel.status,
+      reason
+    }
+  }).catch(error => logger.error('Hotel partner email failed:', { hotelId: hotel._id, error: error.message }));
+};
+
+/**
+ * Tell the partnerships team a registration is waiting for review
+ * @param {Object} hotel - Hotel document
+ * @param {Object} [options]
+ * @param {boolean} [options.resubmitted=false] - A rejected registration was sent again
+ */
+const notifyReviewers = (hotel, { resubmitted = false } = {}) => {
+  const to = process.env.HOTEL_PARTNERS_EMAIL || process.env.ADMIN_EMAIL;
+  if (!to) {
+    logger.warn('No HOTEL_PARTNERS_EMAIL or ADMIN_EMAIL set; hotel registration not sent for review', { hotelId: hotel._id });
+    return;
+  }
+
+  sendEmail({
+    to,
+    subject: `${resubmitted ? 'Hotel registration resubmitted' : 'New hotel registration'}: ${hotel.name}, ${hotel.contact.city}`,
+    template: 'hotelPartnerAdmin',
+    data: {
+      resubmitted,
+      hotelName: hotel.name,
+      category: hotel.category,
+      registrationNumber: hotel.registrationNumber,
+      city: hotel.contact.city,
+      country: hotel.contact.country,
+      totalRooms: hotel.totalRooms,
+      contactName: hotel.contact.name,
+      contactEmail: hotel.contact.email,
+      contactPhone: hotel.contact.phone,
+      documentCount: hotel.documents.length
+    }
+  }).catch(error => logger.error('Hotel review email failed:', { hotelId: hotel._id, error: error.message }));
+};
+
+// Register a hotel as a partner (reviewed by an admin before it goes live)
+export const registerHotel = async (req, res) => {
+  try {
+    const hotel = new Hotel({ ...pickEditable(req.body), owner: req.user._id });
+    hotel.setStatus('pending', { note: 'Registration received', changedBy: req.user._id });
+    await hotel.save();
+
+    notifyPartner(hotel);
+    notifyReviewers(hotel);
+
+    res.status(201).json({
+      success: true,
+      message: 'Hotel registered. Upload your documents so we can review it.',
+      hotel
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Failed to register hotel');
+  }
+};
+
+// Current partner's hotels
+export const getMyHotels = async (req, res) => {
+  try {
+    const hotels = await Hotel.find({ owner: req.user._id })
+      .sort('-createdAt')
+      .select('-statusHistory -__v');
+
+    res.json({
+      success: true,
+      results: hotels.length,
+      hotels
+    });
+  } catch (error) {
+    logger.error('Get partner hotels error:', { error: error.message, userId: req.user._id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get hotels',
+      error: error.message
+    });
+  }
+};
+
+// One registration (owner or admin)
+export const getPartnerHotel = async (req, res) => {
+  try {
+    const hotel = await findPartnerHotel(req);
+    if (!hotel) return notFound(res);
+
+    res.json({
+      success: true,
+      hotel
+    });
+  } catch (error) {
+    logger.error('Get partner hotel error:', { error: error.message, hotelId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get hotel',
+      error: error.message
+    });
+  }
+};
+
+// Update a pending or rejected registration; a rejected one goes back for review
+export const updatePartnerHotel = async (req, res) => {
+  try {
+    const hotel = await findPartnerHotel(req);
+    if (!hotel || !hotel.owner.equals(req.user._id)) return notFound(res);
+
+    if (hotel.status === 'approved') {
+      return res.status(409).json({
+        success: false,
+        message: 'Approved hotels cannot change their registration details; please contact us'
+      });
+    }
+
+    const resubmitted = hotel.status === 'rejected';
+    hotel.set(pickEditable(req.body));
+    if (resubmitted) {
+      hotel.setStatus('pending', { note: 'Resubmitted after changes', changedBy: req.user._id });
+    }
+    await hotel.save();
+
+    if (resubmitted) {
+      notifyReviewers(hotel, { resubmitted: true });
+    }
+
+    res.json({
+      success: true,
+      message: resubmitted ? 'Registration resubmitted for review' : 'Registration updated',
+      hotel
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Failed to update hotel');
+  }
+};
+
+// Attach verification documents (multipart field "documents", with "documentType")
+export const uploadHotelDocuments = async (req, res) => {
+  const files = req.files || [];
+  const discardFiles = () => files.forEach(file => fs.unlink(file.path, err => {
+    if (err) logger.error('Error deleting file:', { path: file.path, error: err.message });
+  }));
+
+  try {
+    const hotel = await findPartnerHotel(req);
+    if (!hotel || !hotel.owner.equals(req.user._id)) {
+      discardFiles();
+      return notFound(res);
+    }
+
+    const documentType = req.body?.documentType || 'other';
+    const errors = [];
+    if (files.length === 0) errors.push('Please upload at least one document');
+    if (!HOTEL_DOCUMENT_TYPES.includes(documentType)) errors.push(`documentType must be one of: ${HOTEL_DOCUMENT_TYPES.join(', ')}`);
+    if (hotel.status === 'approved') errors.push('Documents of approved hotels are managed by our team');
+
+    if (errors.length > 0) {
+      discardFiles();
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    files.forEach(file => {
+      const document = hotel.documents.create({
+        type: documentType,
+        filename: file.filename,
+        name: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size
+      });
+      document.path = `/api/v1/hotels/partners/${hotel._id}/documents/${document._id}`;
+      hotel.documents.push(document);
+    });
+    await hotel.save();
+
+    res.status(201).json({
+      success: true,
+      message: `${files.length} document(s) uploaded`,
+      documents: hotel.documents
+    });
+  } catch (error) {
+    discardFiles();
+    logger.error('Upload hotel documents error:', { error: error.message, hotelId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload documents',
+      error: error.message
+    });
+  }
+};
+
+// Download a verification document (owner or admin)
+export const getHotelDocument = async (req, res) => {
+  try {
+    const hotel = await findPartnerHotel(req);
+    const document = hotel?.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'No document found with that ID'
+      });
+    }
+
+    res.download(path.resolve(DOCUMENTS_DIR, document.filename), document.name || document.filename, {
+      headers: { 'Cache-Control': 'private, no-store' }
+    }, error => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'The document file is missing'
+        });
+      }
+    });
+  } catch (error) {
+    logger.error('Get hotel document error:', { error: error.message, hotelId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get document',
+      error: error.message
+    });
+  }
+};
+
+// Review queue (admin): ?status=pending&sort=createdAt lists the oldest waiting first
+export const getPartnerHotels = async (req, res) => {
+  try {
+    const features = new APIFeatures(
+      Hotel.find().populate('owner', 'name email phone'),
+      req.query
+    )
+      .filter()
+      .sort()
+      .limitFields()
+      .paginate();
+
+    const hotels = await features.query;
+
+    res.json({
+      success: true,
+      results: hotels.length,
+      hotels
+    });
+  } catch (error) {
+    logger.error('Get hotel registrations error:', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get hotel registrations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Approve or reject a pending registration
+ * @param {string} decision - 'approved' or 'rejected'
+ * @returns {Function} Express handler
+ */
+const reviewHotel = decision => async (req, res) => {
+  try {
+    const reason = req.body?.reason?.trim();
+    const hotel = await findPartnerHotel(req);
+    if (!hotel) return notFound(res);
+
+    if (hotel.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: `This registration is already ${hotel.status}`
+      });
+    }
+    if (decision === 'rejected' && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to reject a registration'
+      });
+    }
+    if (decision === 'approved' && hotel.documents.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The partner has not uploaded any documents yet'
+      });
+    }
+
+    hotel.review = { reviewedBy: req.user._id, reviewedAt: new Date(), reason };
+    hotel.setStatus(decision, { note: reason, changedBy: req.user._id });
+    await hotel.save();
+
+    // Approved partners get access to the hotel owner area; admins keep their role
+    if (decision === 'approved') {
+      await User.updateOne({ _id: hotel.owner, role: 'user' }, { role: 'hotel-owner' });
+    }
+
+    notifyPartner(hotel, { reason });
+
+    res.json({
+      success: true,
+      message: `Hotel ${decision}`,
+      hotel
+    });
+  } catch (error) {
+    logger.error('Review hotel error:', { error: error.message, hotelId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review hotel',
+      error: error.message
+    });
+  }
+};
+
+// Approve a registration (admin)
+export const approveHotel = reviewHotel('approved');
+
+// Reject a registration with a reason (admin)
+export const rejectHotel = reviewHotel('rejected');
@@ -0,0 +1,164 @@
+import { validationResult } from 'express-validator';
+import MarkupRule from '../models/markupRule.model.js';
+import { clearMarkupRules } from '../utils/markupEngine.js';
+import { createFlightError, sendError, sendValidationError } from '../utils/flightResponse.js';
+import logger from '../utils/logger.js';
+
+// Fields an admin may set on a rule
+const RULE_FIELDS = [
+  'name', 'description', 'airlines', 'origins', 'destinations', 'cabinClasses', 'journeyScope',
+  'validFrom', 'validTo', 'adjustmentType', 'calculation', 'value', 'per', 'priority', 'isActive'
+];
+
+const pickRuleFields = body => Object.fromEntries(
+  RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+/**
+ * Report mongoose validation errors (e.g. a percentage over 100 after an
+ * update) in the express-validator shape
+ * @param {Object} res - Express response object
+ * @param {Error} error - Caught error
+ * @returns {boolean} Whether a response was sent
+ */
+const handleModelValidationError = (res, error) => {
+  if (error.name !== 'ValidationError') return false;
+
+  sendValidationError(res, Object.values(error.errors).map(fieldError => ({
+    type: 'field',
+    location: 'body',
+    path: fieldError.path,
+    msg: fieldError.message,
+    value: fieldError.value
+  })));
+  return true;
+};
+
+const findRule = async (id) => {
+  const rule = await MarkupRule.findById(id);
+
+  if (!rule) {
+    throw createFlightError(404, 'MARKUP_RULE_NOT_FOUND', 'No markup rule found with that ID');
+  }
+
+  return rule;
+};
+
+// @desc    Create a markup rule
+// @route   POST /api/flights/markup-rules
+// @access  Private/Admin
+export const createMarkupRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const rule = await MarkupRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.user._id
+    });
+    clearMarkupRules();
+
+    res.status(201).json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (handleModelValidationError(res, error)) return;
+    logger.error('Create markup rule error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'MARKUP_RULE_ERROR', message: 'Failed to create markup rule' });
+  }
+};
+
+// @desc    List markup rules, highest priority first
+// @route   GET /api/flights/markup-rules
+// @access  Private/Admin
+export const getMarkupRules = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const rules = await MarkupRule.find(filter)
+      .sort({ priority: -1, createdAt: 1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      results: rules.length,
+      data: rules
+    });
+  } catch (error) {
+    logger.error('Get markup rules error:', { error: error.message });
+    sendError(res, error, { code: 'MARKUP_RULE_ERROR', message: 'Failed to get markup rules' });
+  }
+};
+
+// @desc    Get a markup rule
+// @route   GET /api/flights/markup-rules/:id
+// @access  Private/Admin
+export const getMarkupRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    logger.error('Get markup rule error:', { error: error.message, ruleId: req.params.id });
+    sendError(res, error, { code: 'MARKUP_RULE_ERROR', message: 'Failed to get markup rule' });
+  }
+};
+
+// @desc    Update a markup rule
+// @route   PATCH /api/flights/markup-rules/:id
+// @access  Private/Admin
+export const updateMarkupRule = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const rule = await findRule(req.params.id);
+    rule.set(pickRuleFields(req.body));
+    await rule.save();
+    clearMarkupRules();
+
+    res.json({
+      success: true,
+      data: rule
+    });
+  } catch (error) {
+    if (handleModelValidationError(res, error)) return;
+    logger.error('Update markup rule error:', { error: error.message, ruleId: req.params.id });
+    sendError(res, error, { code: 'MARKUP_RULE_ERROR', message: 'Failed to update markup rule' });
+  }
+};
+
+// @desc    Delete a markup rule
+// @route   DELETE /api/flights/markup-rules/:id
+// @access  Private/Admin
+export const deleteMarkupRule = async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    await rule.deleteOne();
+    clearMarkupRules();
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Delete markup rule error:', { error: error.message, ruleId: req.params.id });
+    sendError(res, error, { code: 'MARKUP_RULE_ERROR', message: 'Failed to delete markup rule' });
+  }
+};
+
+export default {
+  create: createMarkupRule,
+  getAll: getMarkupRules,
+  getOne: getMarkupRule,
+  update: updateMarkupRule,
+  remove: deleteMarkupRule
+};
@@ -0,0 +1,294 @@
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import Payment from '../models/payment.model.js';
+import FlightBooking from '../models/flightBooking.model.js';
+import { getSSRDetails } from '../utils/flightProvider.js';
+import * as paymentGateway from '../utils/paymentGateway.js';
+import { simulatePayment } from '../utils/mockPaymentGateway.js';
+import { normalizeSSRSelections, refundCapturedPayment } from '../utils/bookingPayments.js';
+import { verifyQuoteToken } from '../utils/fareQuoteToken.js';
+import { createFlightError, sendError, sendValidationError } from '../utils/flightResponse.js';
+import logger from '../utils/logger.js';
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Total the price of the SSR options selected per passenger
+ * @param {Array<Array<string>>} selections - Option ids per passenger
+ * @param {Object} ssr - `data` of a getSSRDetails response
+ * @returns {number} Total price of the selections
+ * @throws {Error} INVALID_SSR_SELECTION for unknown option ids
+ */
+const priceSSRSelections = (selections, ssr) => {
+  const options = [
+    ...(ssr.seatMaps || []).flatMap(map => map.rows.flatMap(row => row.seats)),
+    ...(ssr.meals || []),
+    ...(ssr.baggage || []),
+    ...(ssr.mealPreferences || []),
+    ...(ssr.seatPreferences || [])
+  ];
+  const pricesById = new Map(options.filter(option => option.id).map(option => [option.id, Number(option.price) || 0]));
+
+  return round(selections.flat().reduce((total, optionId) => {
+    if (!pricesById.has(optionId)) {
+      throw createFlightError(400, 'INVALID_SSR_SELECTION', `SSR option '${optionId}' is not available for this flight`);
+    }
+    return total + pricesById.get(optionId);
+  }, 0));
+};
+
+/**
+ * What a payment order is for: a held booking, or a new booking at a quoted fare
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} Payment fields ({ purpose, amount, currency, booking?, quote? })
+ */
+const describeOrder = async (req) => {
+  const { bookingId, quoteToken, resultIndex, traceId, passengers } = req.body;
+
+  if (bookingId) {
+    const booking = await FlightBooking.findById(bookingId);
+
+    if (!booking || !booking.user.equals(req.user._id)) {
+      throw createFlightError(404, 'BOOKING_NOT_FOUND', 'No flight booking found with that ID');
+    }
+    if (booking.status !== 'on_hold' || booking.paymentStatus === 'paid') {
+      throw createFlightError(409, 'INVALID_BOOKING_STATUS', 'Only unpaid held bookings can be paid separately');
+    }
+    if (booking.ticketingDeadline && booking.ticketingDeadline <= new Date()) {
+      throw createFlightError(410, 'HOLD_EXPIRED', 'The ticketing deadline of this held booking has passed');
+    }
+
+    return {
+      purpose: 'held_flight_booking',
+      amount: booking.fare.totalFare,
+      currency: booking.fare.currency,
+      booking: booking._id
+    };
+  }
+
+  const quote = verifyQuoteToken(quoteToken, { resultIndex, traceId });
+  const ssrSelections = normalizeSSRSelections(passengers);
+  const ancillaries = ssrSelections.some(selection => selection.length > 0)
+    ? priceSSRSelections(ssrSelections, (await getSSRDetails(resultIndex, traceId)).data)
+    : 0;
+
+  return {
+    purpose: 'flight_booking',
+    amount: round(quote.fare + ancillaries),
+    currency: quote.currency,
+    quote: {
+      resultIndex: quote.resultIndex,
+      traceId: quote.traceId,
+      fare: quote.fare,
+      ancillaries,
+      ssrSelections
+    }
+  };
+};
+
+// @desc    Create a payment order for a new booking (from its quote token) or a held booking
+// @route   POST /api/flights/payments/orders
+// @access  Private
+export const createPaymentOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const details = await describeOrder(req);
+    const paymentId = new mongoose.Types.ObjectId();
+    const order = await paymentGateway.createOrder({
+      amount: details.amount,
+      currency: details.currency,
+      receipt: String(paymentId),
+      notes: { purpose: details.purpose, userId: String(req.user._id) }
+    });
+
+    const payment = await Payment.create({
+      _id: paymentId,
+      user: req.user._id,
+      provider: paymentGateway.getPaymentProviderName(),
+      providerOrderId: order.orderId,
+      ...details
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payment,
+        checkout: order.checkout
+      }
+    });
+  } catch (error) {
+    logger.error('Create payment order error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'PAYMENT_ERROR', message: 'Failed to create payment order' });
+  }
+};
+
+// @desc    Verify the result of the gateway checkout; the verified payment pays for the booking
+// @route   POST /api/flights/payments/verify
+// @access  Private
+export const verifyPayment = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const { orderId, paymentId, signature } = req.body;
+    const payment = await Payment.findOne({ providerOrderId: orderId, user: req.user._id });
+
+    if (!payment) {
+      throw createFlightError(404, 'PAYMENT_NOT_FOUND', 'No payment order found with that ID');
+    }
+    if (!paymentGateway.verifyPaymentSignature({ orderId, paymentId, signature })) {
+      throw createFlightError(400, 'PAYMENT_SIGNATURE_INVALID', 'Payment signature is not valid');
+    }
+
+    const gatewayPayment = await paymentGateway.fetchPayment(paymentId);
+
+    if (gatewayPayment.orderId !== orderId || gatewayPayment.amount !== payment.amount) {
+      throw createFlightError(400, 'PAYMENT_MISMATCH', 'The payment does not match the order');
+    }
+    if (!['authorized', 'captured'].includes(gatewayPayment.status)) {
+      payment.advanceStatus('failed');
+      payment.failureReason = gatewayPayment.error || `Payment ${gatewayPayment.status}`;
+      await payment.save();
+      throw createFlightError(402, 'PAYMENT_FAILED', payment.failureReason);
+    }
+
+    payment.providerPaymentId = paymentId;
+    payment.method = gatewayPayment.method;
+    payment.verifiedAt = payment.verifiedAt || new Date();
+    if (payment.advanceStatus(gatewayPayment.status) && gatewayPayment.status === 'captured') {
+      payment.capturedAt = new Date();
+    }
+    await payment.save();
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    logger.error('Verify payment error:', { error: error.message, orderId: req.body.orderId });
+    sendError(res, error, { code: 'PAYMENT_ERROR', message: 'Failed to verify payment' });
+  }
+};
+
+/**
+ * Apply a normalized gateway event to its payment
+ * @param {Object} payment - Payment document
+ * @param {Object} event - Event from parseWebhookEvent
+ * @returns {Promise<void>}
+ */
+const applyWebhookEvent = async (payment, event) => {
+  switch (event.type) {
+    case 'payment.authorized':
+    case 'payment.captured': {
+      const status = event.type === 'payment.captured' ? 'captured' : 'authorized';
+      payment.providerPaymentId = payment.providerPaymentId || event.paymentId;
+      if (payment.advanceStatus(status) && status === 'captured') {
+        payment.capturedAt = new Date();
+      }
+
+      // Captured by the gateway after its booking had already failed
+      if (status === 'captured' && payment.usedAt && payment.booking) {
+        const booking = await FlightBooking.findById(payment.booking).select('status');
+        if (booking?.status === 'failed') {
+          await refundCapturedPayment(payment, 'Captured after the booking failed');
+        }
+      }
+      break;
+    }
+    case 'payment.failed':
+      if (payment.advanceStatus('failed')) {
+        payment.failureReason = event.error || 'Payment failed';
+      }
+      break;
+    case 'refund.processed':
+    case 'refund.failed': {
+      const refund = payment.refunds.find(item => item.refundId === event.refundId);
+      if (refund) {
+        refund.status = event.type === 'refund.processed' ? 'processed' : 'failed';
+        refund.processedAt = new Date();
+      }
+      if (event.type === 'refund.failed') {
+        logger.error('Refund failed at the gateway:', { paymentId: payment._id, refundId: event.refundId });
+      }
+      break;
+    }
+    default:
+      logger.info('Ignoring payment webhook event:', { type: event.type, paymentId: payment._id });
+  }
+};
+
+// @desc    Receive payment gateway events (signed with the gateway's webhook secret)
+// @route   POST /api/flights/payments/webhook
+// @access  Public
+export const handlePaymentWebhook = async (req, res) => {
+  try {
+    if (!paymentGateway.verifyWebhookSignature(req.rawBody, req.headers)) {
+      throw createFlightError(400, 'WEBHOOK_SIGNATURE_INVALID', 'Webhook signature is not valid');
+    }
+
+    const event = paymentGateway.parseWebhookEvent(req.body, req.headers);
+    const payment = event.orderId
+      ? await Payment.findOne({ providerOrderId: event.orderId })
+      : await Payment.findOne({ providerPaymentId: event.paymentId });
+
+    // Acknowledge everything we cannot act on, or the gateway keeps resending it
+    if (!payment) {
+      logger.warn('Payment webhook for an unknown payment:', { type: event.type, orderId: event.orderId, paymentId: event.paymentId });
+      return res.json({ success: true, data: { received: true } });
+    }
+    if (event.id && payment.events.some(item => item.id === event.id)) {
+      return res.json({ success: true, data: { received: true, duplicate: true } });
+    }
+
+    await applyWebhookEvent(payment, event);
+    payment.events.push({ id: event.id, type: event.type });
+    await payment.save();
+
+    res.json({ success: true, data: { received: true } });
+  } catch (error) {
+    logger.error('Payment webhook error:', { error: error.message });
+    sendError(res, error, { code: 'PAYMENT_ERROR', message: 'Failed to process payment webhook' });
+  }
+};
+
+// @desc    Pay an order on the mock gateway (stands in for the hosted checkout in development)
+// @route   POST /api/flights/payments/mock-checkout
+// @access  Private
+export const mockCheckout = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    if (!paymentGateway.isMockPaymentProvider()) {
+      throw createFlightError(404, 'NOT_FOUND', 'Mock checkout is only available with the mock payment provider');
+    }
+
+    const payment = await Payment.findOne({ providerOrderId: req.body.orderId, user: req.user._id });
+    if (!payment) {
+      throw createFlightError(404, 'PAYMENT_NOT_FOUND', 'No payment order found with that ID');
+    }
+
+    res.json({
+      success: true,
+      data: simulatePayment(req.body.orderId, { fail: req.body.fail === true })
+    });
+  } catch (error) {
+    logger.error('Mock checkout error:', { error: error.message, orderId: req.body.orderId });
+    sendError(res, error, { code: 'PAYMENT_ERROR', message: 'Failed to pay mock order' });
+  }
+};
+
+export default {
+  createOrder: createPaymentOrder,
+  verify: verifyPayment,
+  webhook: handlePaymentWebhook,
+  mockCheckout
+};
@@ -0,0 +1,163 @@
+import { validationResult } from 'express-validator';
+import PriceWatch from '../models/priceWatch.model.js';
+import { createFlightError, sendError, sendValidationError } from '../utils/flightResponse.js';
+import logger from '../utils/logger.js';
+
+// Active and paused watches a user may keep at once
+const MAX_WATCHES_PER_USER = 20;
+
+/**
+ * Load a price watch owned by the current user
+ * @param {Object} req - Express request object
+ * @param {string} id - PriceWatch id
+ * @returns {Promise<Object>} PriceWatch document
+ */
+const findOwnedWatch = async (req, id) => {
+  const watch = await PriceWatch.findOne({ _id: id, user: req.user._id });
+
+  if (!watch) {
+    throw createFlightError(404, 'WATCH_NOT_FOUND', 'No price watch found with that ID');
+  }
+
+  return watch;
+};
+
+// @desc    Create a price watch for a route and date
+// @route   POST /api/flights/price-watches
+// @access  Private
+export const createPriceWatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const count = await PriceWatch.countDocuments({ user: req.user._id, status: { $ne: 'expired' } });
+    if (count >= MAX_WATCHES_PER_USER) {
+      throw createFlightError(409, 'WATCH_LIMIT_REACHED', `You can have up to ${MAX_WATCHES_PER_USER} price watches`);
+    }
+
+    const { origin, destination, departureDate, adults, children, infants, cabinClass, targetPrice, dropPercent, currency } = req.body;
+
+    const watch = await PriceWatch.create({
+      user: req.user._id,
+      origin,
+      destination,
+      departureDate,
+      adults,
+      children,
+      infants,
+      cabinClass,
+      targetPrice,
+      dropPercent,
+      currency
+    });
+
+    res.status(201).json({
+      success: true,
+      data: watch
+    });
+  } catch (error) {
+    logger.error('Create price watch error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'PRICE_WATCH_ERROR', message: 'Failed to create price watch' });
+  }
+};
+
+// @desc    List the current user's price watches (without price history)
+// @route   GET /api/flights/price-watches
+// @access  Private
+export const getMyPriceWatches = async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const watches = await PriceWatch.find(filter)
+      .sort('-createdAt')
+      .select('-priceHistory -__v');
+
+    res.json({
+      success: true,
+      results: watches.length,
+      data: watches
+    });
+  } catch (error) {
+    logger.error('Get price watches error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'PRICE_WATCH_ERROR', message: 'Failed to get price watches' });
+  }
+};
+
+// @desc    Get a price watch with its price history
+// @route   GET /api/flights/price-watches/:id
+// @access  Private
+export const getPriceWatch = async (req, res) => {
+  try {
+    const watch = await findOwnedWatch(req, req.params.id);
+
+    res.json({
+      success: true,
+      data: watch
+    });
+  } catch (error) {
+    logger.error('Get price watch error:', { error: error.message, watchId: req.params.id });
+    sendError(res, error, { code: 'PRICE_WATCH_ERROR', message: 'Failed to get price watch' });
+  }
+};
+
+// @desc    Pause or resume a price watch, or change its alert thresholds
+// @route   PATCH /api/flights/price-watches/:id
+// @access  Private
+export const updatePriceWatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const watch = await findOwnedWatch(req, req.params.id);
+    const { status, targetPrice, dropPercent } = req.body;
+
+    if (status) {
+      if (watch.status === 'expired') {
+        throw createFlightError(409, 'WATCH_EXPIRED', 'This price watch has expired because the departure date has passed');
+      }
+      watch.status = status;
+    }
+    if (targetPrice !== undefined) watch.targetPrice = targetPrice;
+    if (dropPercent !== undefined) watch.dropPercent = dropPercent;
+
+    await watch.save();
+
+    res.json({
+      success: true,
+      data: watch
+    });
+  } catch (error) {
+    logger.error('Update price watch error:', { error: error.message, watchId: req.params.id });
+    sendError(res, error, { code: 'PRICE_WATCH_ERROR', message: 'Failed to update price watch' });
+  }
+};
+
+// @desc    Delete a price watch
+// @route   DELETE /api/flights/price-watches/:id
+// @access  Private
+export const deletePriceWatch = async (req, res) => {
+  try {
+    const watch = await findOwnedWatch(req, req.params.id);
+    await watch.deleteOne();
+
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Delete price watch error:', { error: error.message, watchId: req.params.id });
+    sendError(res, error, { code: 'PRICE_WATCH_ERROR', message: 'Failed to delete price watch' });
+  }
+};
+
+export default {
+  create: createPriceWatch,
+  getMine: getMyPriceWatches,
+  getOne: getPriceWatch,
+  update: updatePriceWatch,
+  remove: deletePriceWatch
+};
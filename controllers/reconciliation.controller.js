@@ -0,0 +1,113 @@
+import { validationResult } from 'express-validator';
+import ReconciliationReport from '../models/reconciliationReport.model.js';
+import { startReconciliation } from '../jobs/flightReconciliationJob.js';
+import { createFlightError, sendError, sendValidationError } from '../utils/flightResponse.js';
+import logger from '../utils/logger.js';
+
+const findReport = async (id) => {
+  const report = await ReconciliationReport.findById(id);
+
+  if (!report) {
+    throw createFlightError(404, 'REPORT_NOT_FOUND', 'No reconciliation report found with that ID');
+  }
+
+  return report;
+};
+
+// @desc    List reconciliation runs, newest first (without their mismatches)
+// @route   GET /api/flights/reconciliation-reports
+// @access  Private/Admin
+export const getReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const reports = await ReconciliationReport.find()
+      .sort('-startedAt')
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-mismatches -failures -__v');
+
+    res.json({
+      success: true,
+      results: reports.length,
+      data: reports
+    });
+  } catch (error) {
+    logger.error('Get reconciliation reports error:', { error: error.message });
+    sendError(res, error, { code: 'RECONCILIATION_ERROR', message: 'Failed to get reconciliation reports' });
+  }
+};
+
+// @desc    Get a reconciliation report with its mismatches
+// @route   GET /api/flights/reconciliation-reports/:id
+// @access  Private/Admin
+export const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await findReport(req.params.id);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Get reconciliation report error:', { error: error.message, reportId: req.params.id });
+    sendError(res, error, { code: 'RECONCILIATION_ERROR', message: 'Failed to get reconciliation report' });
+  }
+};
+
+// @desc    Start a reconciliation run now; poll the returned report for the result
+// @route   POST /api/flights/reconciliation-reports
+// @access  Private/Admin
+export const runReconciliation = async (req, res) => {
+  try {
+    const { report, done } = await startReconciliation({ trigger: 'manual', triggeredBy: req.user._id });
+    done.catch(error => logger.error('Manual reconciliation failed:', { reportId: report._id, error: error.message }));
+
+    res.status(202).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Start reconciliation error:', { error: error.message, userId: req.user?.id });
+    sendError(res, error, { code: 'RECONCILIATION_ERROR', message: 'Failed to start reconciliation' });
+  }
+};
+
+// @desc    Mark a mismatch as handled
+// @route   PATCH /api/flights/reconciliation-reports/:id/mismatches/:mismatchId
+// @access  Private/Admin
+export const resolveMismatch = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return sendValidationError(res, errors.array());
+    }
+
+    const report = await findReport(req.params.id);
+    const mismatch = report.mismatches.id(req.params.mismatchId);
+    if (!mismatch) {
+      throw createFlightError(404, 'MISMATCH_NOT_FOUND', 'No mismatch found with that ID in this report');
+    }
+
+    mismatch.resolvedAt = new Date();
+    mismatch.resolvedBy = req.user._id;
+    mismatch.resolutionNote = req.body.note;
+    await report.save();
+
+    res.json({
+      success: true,
+      data: mismatch
+    });
+  } catch (error) {
+    logger.error('Resolve reconciliation mismatch error:', { error: error.message, reportId: req.params.id });
+    sendError(res, error, { code: 'RECONCILIATION_ERROR', message: 'Failed to resolve mismatch' });
+  }
+};
+
+export default {
+  getAll: getReconciliationReports,
+  getOne: getReconciliationReport,
+  run: runReconciliation,
+  resolve: resolveMismatch
+};
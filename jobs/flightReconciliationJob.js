@@ -0,0 +1,318 @@
+import FlightBooking from '../models/flightBooking.model.js';
+import ReconciliationReport from '../models/reconciliationReport.model.js';
+import { getBookingDetails, getFlightProviderName } from '../utils/flightProvider.js';
+import { toBookingPassengers, toBookingSegments } from '../utils/flightBookingMapper.js';
+import { createFlightError } from '../utils/flightResponse.js';
+import { sendEmail } from '../utils/email.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import logger from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Local hour of the nightly run; RECONCILIATION_HOUR overrides it
+const DEFAULT_RUN_HOUR = 2;
+// Bookings made this recently are checked even after they have flown
+const RECENT_DAYS = 2;
+const MAX_BOOKINGS_PER_RUN = 1000;
+// Pause between supplier calls so the run does not hit TBO's rate limits
+const CALL_DELAY_MS = 200;
+
+const RECONCILED_STATUSES = ['on_hold', 'booked', 'ticketed', 'cancellation_requested', 'partially_cancelled'];
+const LOCAL_CANCELLED_STATUSES = ['cancelled', 'cancellation_requested', 'partially_cancelled'];
+const CANCELLED_SEGMENT_STATUS = /cancel|^(UN|UC|HX|NO)$/i;
+
+let activeRun = null;
+
+const flightDigits = value => parseInt(String(value || '').match(/(\d+)\s*$/)?.[1], 10) || null;
+
+const minutesApart = (a, b) => Math.round(Math.abs(new Date(a) - new Date(b)) / 60000);
+
+const formatTime = value => (value ? new Date(value).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' }) : '');
+
+const toText = value => (value instanceof Date ? value.toISOString() : value == null ? '' : String(value));
+
+/**
+ * Compare a stored booking with the supplier's booking details
+ * @param {Object} booking - FlightBooking document
+ * @param {Object} details - `data` of getBookingDetails
+ * @returns {Object} { issues, scheduleChanges } — scheduleChanges hold the new segment times by index
+ */
+export const compareBooking = (booking, details) => {
+  const issues = [];
+  const addIssue = (type, message, expected, actual, applied = false) =>
+    issues.push({ type, message, expected: toText(expected), actual: toText(actual), applied });
+
+  // Status
+  const supplierStatus = String(details.status || '');
+  if (/cancel/i.test(supplierStatus) && !LOCAL_CANCELLED_STATUSES.includes(booking.status)) {
+    addIssue('status', 'Cancelled at the supplier but not here', booking.status, supplierStatus);
+  } else if (/release/i.test(supplierStatus) && booking.status !== 'released') {
+    addIssue('status', 'Released at the supplier but not here', booking.status, supplierStatus);
+  } else if (details.isTicketed && ['on_hold', 'booked'].includes(booking.status)) {
+    addIssue('status', 'Ticketed at the supplier but not here', booking.status, supplierStatus || 'ticketed');
+  } else if (details.isTicketed === false && booking.status === 'ticketed') {
+    addIssue('status', 'Ticketed here but not at the supplier', booking.status, supplierStatus || 'not ticketed');
+  }
+
+  // PNR
+  if (details.pnr && booking.pnr && String(details.pnr).toUpperCase() !== booking.pnr) {
+    addIssue('pnr', 'The airline PNR has changed', booking.pnr, details.pnr);
+  }
+
+  // Ticket numbers, matched by name like at ticketing
+  const supplierPassengers = toBookingPassengers(details.passengers || []);
+  booking.passengers.forEach((passenger, index) => {
+    const match = supplierPassengers.find(p =>
+      p.firstName?.toLowerCase() === passenger.firstName?.toLowerCase() &&
+      p.lastName?.toLowerCase() === passenger.lastName?.toLowerCase()
+    ) || supplierPassengers[index];
+
+    if (match?.ticketNumber && match.ticketNumber !== passenger.ticketNumber) {
+      addIssue(
+        'ticket_number',
+        `Ticket number of ${passenger.firstName} ${passenger.lastName} differs`,
+        passenger.ticketNumber || 'none',
+        match.ticketNumber
+      );
+    }
+  });
+
+  // Segments and schedule
+  const scheduleChanges = [];
+  const supplierSegments = toBookingSegments(details.segments || []);
+  if (supplierSegments.length > 0 && supplierSegments.length !== booking.segments.length) {
+    addIssue('segment', 'The number of flights differs', booking.segments.length, supplierSegments.length);
+  } else {
+    supplierSegments.forEach((supplierSegment, index) => {
+      const segment = booking.segments[index];
+      const route = `${segment.origin}-${segment.destination}`;
+
+      if (
+        supplierSegment.origin !== segment.origin ||
+        supplierSegment.destination !== segment.destination ||
+        flightDigits(supplierSegment.flightNumber) !== flightDigits(segment.flightNumber)
+      ) {
+        addIssue(
+          'segment',
+          `Flight ${index + 1} differs`,
+          `${segment.flightNumber} ${route}`,
+          `${supplierSegment.flightNumber} ${supplierSegment.origin}-${supplierSegment.destination}`
+        );
+        return;
+      }
+
+      if (CANCELLED_SEGMENT_STATUS.test(supplierSegment.status || '')) {
+        addIssue('segment_status', `Flight ${segment.flightNumber} ${route} is cancelled by the airline`, segment.status, supplierSegment.status);
+      }
+
+      const departureMoved = supplierSegment.departureTime && minutesApart(supplierSegment.departureTime, segment.departureTime) > 0;
+      const arrivalMoved = supplierSegment.arrivalTime && minutesApart(supplierSegment.arrivalTime, segment.arrivalTime) > 0;
+      if (departureMoved || arrivalMoved) {
+        addIssue(
+          'schedule',
+          `Flight ${segment.flightNumber} ${route} was rescheduled`,
+          `${toText(segment.departureTime)} / ${toText(segment.arrivalTime)}`,
+          `${toText(new Date(supplierSegment.departureTime))} / ${toText(new Date(supplierSegment.arrivalTime))}`,
+          true
+        );
+        scheduleChanges.push({
+          index,
+          departureTime: new Date(supplierSegment.departureTime || segment.departureTime),
+          arrivalTime: new Date(supplierSegment.arrivalTime || segment.arrivalTime)
+        });
+      }
+    });
+  }
+
+  return { issues, scheduleChanges };
+};
+
+/**
+ * Copy new segment times onto the booking and email the customer
+ * @param {Object} booking - FlightBooking document (user populated)
+ * @param {Array<Object>} scheduleChanges - From compareBooking
+ * @returns {Promise<boolean>} Whether the customer was emailed
+ */
+const applyScheduleChanges = async (booking, scheduleChanges) => {
+  const changes = scheduleChanges.map(({ index, departureTime, arrivalTime }) => {
+    const segment = booking.segments[index];
+    const change = {
+      airline: segment.airline,
+      flightNumber: segment.flightNumber,
+      origin: segment.origin,
+      destination: segment.destination,
+      oldDepartureTime: formatTime(segment.departureTime),
+      oldArrivalTime: formatTime(segment.arrivalTime),
+      newDepartureTime: formatTime(departureTime),
+      newArrivalTime: formatTime(arrivalTime)
+    };
+    segment.departureTime = departureTime;
+    segment.arrivalTime = arrivalTime;
+    return change;
+  });
+
+  booking.statusHistory.push({
+    status: booking.status,
+    note: `Schedule changed by the airline: ${changes.map(c => `${c.flightNumber} now departs ${c.newDepartureTime}`).join('; ')}`
+  });
+  await booking.save();
+
+  const to = booking.contact?.email || booking.user?.email;
+  if (!to) return false;
+
+  try {
+    await sendEmail({
+      to,
+      subject: `Schedule change for your booking ${booking.bookingReference}`,
+      template: 'scheduleChange',
+      data: {
+        name: booking.user?.name,
+        bookingReference: booking.bookingReference,
+        pnr: booking.pnr,
+        changes
+      }
+    });
+    return true;
+  } catch (error) {
+    logger.error('Failed to send schedule change email:', { bookingId: booking._id, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Reconcile one booking and record the outcome on the report
+ * @param {Object} report - ReconciliationReport document
+ * @param {Object} booking - FlightBooking document
+ * @returns {Promise<void>}
+ */
+const reconcileBooking = async (report, booking) => {
+  const { data } = await getBookingDetails({ BookingId: booking.supplierBookingId, PNR: booking.pnr });
+  const { issues, scheduleChanges } = compareBooking(booking, data);
+
+  report.summary.checked += 1;
+  if (issues.length === 0) {
+    report.summary.matched += 1;
+    return;
+  }
+
+  const customerNotified = scheduleChanges.length > 0 && await applyScheduleChanges(booking, scheduleChanges);
+  report.summary.mismatched += 1;
+  if (customerNotified) report.summary.notified += 1;
+  report.mismatches.push({
+    booking: booking._id,
+    bookingReference: booking.bookingReference,
+    pnr: booking.pnr,
+    issues,
+    customerNotified
+  });
+};
+
+/**
+ * Check every recent or upcoming booking against the supplier
+ * @param {Object} report - ReconciliationReport document to fill in
+ * @returns {Promise<Object>} The finished report
+ */
+const reconcile = async (report) => {
+  const now = Date.now();
+  const bookings = await FlightBooking.find({
+    provider: report.provider,
+    status: { $in: RECONCILED_STATUSES },
+    supplierBookingId: { $exists: true, $ne: null },
+    $or: [
+      { createdAt: { $gte: new Date(now - RECENT_DAYS * DAY_MS) } },
+      { 'segments.departureTime': { $gte: new Date(now) } }
+    ]
+  })
+    .populate('user', 'name email')
+    .sort('createdAt')
+    .limit(MAX_BOOKINGS_PER_RUN);
+
+  report.status = 'completed';
+
+  for (const booking of bookings) {
+    try {
+      await reconcileBooking(report, booking);
+    } catch (error) {
+      // No point asking about the remaining bookings while the supplier is down
+      if (error.code === 'SUPPLIER_UNAVAILABLE') {
+        report.status = 'aborted';
+        report.error = error.message;
+        break;
+      }
+      report.summary.failed += 1;
+      report.failures.push({ booking: booking._id, bookingReference: booking.bookingReference, message: error.message });
+      logger.warn('Reconciliation failed for booking:', { bookingId: booking._id, error: error.message });
+    }
+    await new Promise(resolve => setTimeout(resolve, CALL_DELAY_MS));
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+  logger.info('Flight reconciliation finished:', { reportId: report._id, status: report.status, ...report.summary.toObject() });
+  return report;
+};
+
+/**
+ * Start a reconciliation run. Resolves once the report exists; the run goes on
+ * in the background and `done` settles when it has finished.
+ * @param {Object} [options]
+ * @param {string} [options.trigger='scheduled'] - scheduled or manual
+ * @param {string} [options.triggeredBy] - Admin who started a manual run
+ * @returns {Promise<Object>} { report, done }
+ * @throws {Error} RECONCILIATION_RUNNING when a run is in progress
+ */
+export const startReconciliation = async ({ trigger = 'scheduled', triggeredBy } = {}) => {
+  if (activeRun) {
+    throw createFlightError(409, 'RECONCILIATION_RUNNING', 'A reconciliation run is already in progress');
+  }
+
+  // Claimed before the first await so two triggers cannot both start a run
+  activeRun = ReconciliationReport.create({ provider: getFlightProviderName(), trigger, triggeredBy });
+  let report;
+  try {
+    report = await activeRun;
+  } catch (error) {
+    activeRun = null;
+    throw error;
+  }
+
+  const done = reconcile(report)
+    .catch(async (error) => {
+      report.status = 'failed';
+      report.error = error.message;
+      report.finishedAt = new Date();
+      await report.save().catch(() => {});
+      throw error;
+    })
+    .finally(() => {
+      activeRun = null;
+    });
+  activeRun = done;
+  // Failures are logged by whoever awaits `done` (the scheduler for nightly runs)
+  done.catch(() => {});
+
+  return { report, done };
+};
+
+/**
+ * Nightly job entry point
+ * @returns {Promise<Object>} The finished report
+ */
+export const runReconciliationJob = async () => {
+  const { done } = await startReconciliation();
+  return done;
+};
+
+/**
+ * Schedule the reconciliation every night at RECONCILIATION_HOUR (server time)
+ * @returns {boolean} Whether the job was scheduled
+ */
+export const startReconciliationJob = () => {
+  const hour = parseInt(process.env.RECONCILIATION_HOUR, 10);
+  const startAt = new Date();
+  startAt.setHours(Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : DEFAULT_RUN_HOUR, 0, 0, 0);
+  if (startAt <= new Date()) {
+    startAt.setDate(startAt.getDate() + 1);
+  }
+
+  return scheduleJob('flight-reconciliation', DAY_MS, runReconciliationJob, { startAt });
+};
@@ -0,0 +1,82 @@
+import FlightBooking from '../models/flightBooking.model.js';
+import { releasePNR } from '../utils/flightProvider.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import logger from '../utils/logger.js';
+
+// Holds are released this long before their ticketing deadline, so an
+// abandoned PNR is never ticketed (and charged) automatically by the airline
+const RELEASE_BEFORE_DEADLINE_MINUTES = 30;
+// How often holds are checked; HOLD_RELEASE_INTERVAL_MINUTES overrides it
+const DEFAULT_INTERVAL_MINUTES = 5;
+// Holds released per run, nearest deadline first
+const BATCH_SIZE = 50;
+
+/**
+ * Release one unpaid held booking
+ * @param {Object} booking - FlightBooking document on hold
+ * @returns {Promise<void>}
+ * @throws {Error} When the supplier did not release the PNR (the booking stays on hold)
+ */
+export const releaseHeldBooking = async (booking) => {
+  const result = await releasePNR({
+    BookingId: booking.supplierBookingId,
+    PNR: booking.pnr,
+    Source: booking.supplierSource
+  });
+
+  // Thrown so the caller leaves the booking on hold and the next run retries it
+  if (!result?.success || result.data?.status !== 'RELEASED') {
+    throw new Error(`Supplier did not release the PNR (status ${result?.data?.status ?? 'unknown'})`);
+  }
+
+  booking.releasedAt = new Date();
+  booking.setStatus('released', {
+    supplierStatus: result.data?.status,
+    note: 'Unpaid hold released before the ticketing deadline'
+  });
+  await booking.save();
+};
+
+/**
+ * Release unpaid holds whose ticketing deadline is close
+ * @returns {Promise<Object>} Run summary
+ */
+export const runHoldReleaseJob = async () => {
+  const releaseBefore = new Date(Date.now() + RELEASE_BEFORE_DEADLINE_MINUTES * 60 * 1000);
+  const bookings = await FlightBooking.find({
+    status: 'on_hold',
+    paymentStatus: { $ne: 'paid' },
+    ticketingDeadline: { $lte: releaseBefore }
+  })
+    .sort('ticketingDeadline')
+    .limit(BATCH_SIZE);
+
+  const summary = { released: 0, failed: 0 };
+
+  for (const booking of bookings) {
+    try {
+      await releaseHeldBooking(booking);
+      summary.released += 1;
+    } catch (error) {
+      // Left on hold so the next run tries again
+      summary.failed += 1;
+      booking.statusHistory.push({ status: 'on_hold', note: `Release failed: ${error.message}` });
+      await booking.save().catch(() => {});
+      logger.error('Failed to release held PNR:', { bookingId: booking._id, pnr: booking.pnr, error: error.message });
+    }
+  }
+
+  if (bookings.length > 0) {
+    logger.info('Hold release job finished:', summary);
+  }
+  return summary;
+};
+
+/**
+ * Schedule the hold release job
+ * @returns {boolean} Whether the job was scheduled
+ */
+export const startHoldReleaseJob = () => {
+  const minutes = Number(process.env.HOLD_RELEASE_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  return scheduleJob('hold-release', minutes * 60 * 1000, runHoldReleaseJob, { runOnStart: true });
+};
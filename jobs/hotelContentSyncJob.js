@@ -0,0 +1,161 @@
+import HotelContent from '../models/hotelContent.model.js';
+import { fetchHotels, fetchHotelDetails } from '../utils/travelBoutiqueHotelApi.js';
+import { readTboHotelContent } from '../utils/hotelOffer.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import logger from '../utils/logger.js';
+
+// How often the code lists are re-synced; HOTEL_CONTENT_SYNC_INTERVAL_HOURS overrides it
+const DEFAULT_INTERVAL_HOURS = 24;
+// Photos and descriptions rarely change, so full details are refreshed less often
+const DETAILS_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Hotel codes sent per Hoteldetails call
+const DETAILS_BATCH_SIZE = 25;
+
+const hasCoordinates = location => location.latitude !== null && location.longitude !== null;
+
+/**
+ * City codes to keep in sync: those listed in HOTEL_CONTENT_CITY_CODES and
+ * every city already in the collection
+ * @returns {Promise<Array<string>>}
+ */
+export const getSyncedCityCodes = async () => {
+  const configured = (process.env.HOTEL_CONTENT_CITY_CODES || '')
+    .split(',')
+    .map(code => code.trim())
+    .filter(Boolean);
+  const stored = await HotelContent.distinct('cityCode');
+
+  return [...new Set([...configured, ...stored.map(String)])];
+};
+
+/**
+ * Fetch full details for hotels whose details are missing or stale
+ * @param {Array<string>} hotelCodes - Hotels of one city
+ * @returns {Promise<Object>} { updated, failed }
+ */
+const syncHotelDetails = async (hotelCodes) => {
+  const fresh = await HotelContent.find({
+    hotelCode: { $in: hotelCodes },
+    detailsSyncedAt: { $gt: new Date(Date.now() - DETAILS_MAX_AGE_MS) }
+  }).distinct('hotelCode');
+  const stale = hotelCodes.filter(code => !fresh.includes(code));
+  const summary = { updated: 0, failed: 0 };
+
+  for (let i = 0; i < stale.length; i += DETAILS_BATCH_SIZE) {
+    const batch = stale.slice(i, i + DETAILS_BATCH_SIZE);
+
+    try {
+      const response = await fetchHotelDetails({ HotelCodes: batch.join(',') });
+      const details = (response?.HotelDetails || []).map(readTboHotelContent);
+
+      if (details.length > 0) {
+        await HotelContent.bulkWrite(details.map(({ hotelCode, location, ...content }) => ({
+          updateOne: {
+            filter: { provider: 'tbo', hotelCode },
+            update: { $set: { ...content, ...(hasCoordinates(location) && { location }), detailsSyncedAt: new Date() } }
+          }
+        })));
+      }
+      summary.updated += details.length;
+    } catch (error) {
+      // Hotels keep their code list content and are retried on the next run
+      summary.failed += batch.length;
+      logger.warn('Hotel details sync failed:', { hotelCodes: batch, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Sync the hotel code list of one city, then the details of its hotels.
+ * Hotels that dropped out of the list are deactivated, not deleted, so
+ * stored bookings keep their content.
+ * @param {string} cityCode - TBO city code
+ * @returns {Promise<Object>} City summary
+ */
+export const syncCityContent = async (cityCode) => {
+  const response = await fetchHotels({ CityCode: cityCode, IsDetailedResponse: true });
+  const hotels = (response?.Hotels || []).map(readTboHotelContent);
+
+  if (hotels.length === 0) {
+    // An empty list is more likely a supplier problem than a city without hotels
+    throw new Error(response?.Status?.Description || `No hotels returned for city ${cityCode}`);
+  }
+
+  const syncedAt = new Date();
+  const result = await HotelContent.bulkWrite(hotels.map(({ hotelCode, name, starRating, address, cityName, countryCode, location }) => ({
+    updateOne: {
+      filter: { provider: 'tbo', hotelCode },
+      update: {
+        $set: {
+          name,
+          starRating,
+          address,
+          cityCode: String(cityCode),
+          cityName,
+          countryCode,
+          ...(hasCoordinates(location) && { location }),
+          isActive: true,
+          syncedAt
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  const hotelCodes = hotels.map(hotel => hotel.hotelCode);
+  const deactivated = await HotelContent.updateMany(
+    { provider: 'tbo', cityCode: String(cityCode), hotelCode: { $nin: hotelCodes }, isActive: true },
+    { isActive: false }
+  );
+  const details = await syncHotelDetails(hotelCodes);
+
+  return {
+    cityCode: String(cityCode),
+    hotels: hotels.length,
+    added: result.upsertedCount,
+    deactivated: deactivated.modifiedCount,
+    detailsUpdated: details.updated,
+    detailsFailed: details.failed
+  };
+};
+
+/**
+ * Sync every configured and known city, one at a time
+ * @param {Array<string>} [cityCodes] - Cities to sync instead of the configured ones
+ * @returns {Promise<Object>} Run summary
+ */
+export const runHotelContentSyncJob = async (cityCodes) => {
+  const cities = cityCodes?.length ? cityCodes : await getSyncedCityCodes();
+  const summary = { cities: 0, hotels: 0, failed: [], results: [] };
+
+  if (cities.length === 0) {
+    logger.warn('Hotel content sync has no cities; set HOTEL_CONTENT_CITY_CODES');
+    return summary;
+  }
+
+  for (const cityCode of cities) {
+    try {
+      const result = await syncCityContent(cityCode);
+      summary.cities += 1;
+      summary.hotels += result.hotels;
+      summary.results.push(result);
+    } catch (error) {
+      summary.failed.push(cityCode);
+      logger.warn('Hotel content sync failed for city:', { cityCode, error: error.message });
+    }
+  }
+
+  logger.info('Hotel content sync finished:', { cities: summary.cities, hotels: summary.hotels, failed: summary.failed });
+  return summary;
+};
+
+/**
+ * Schedule the hotel content sync
+ * @returns {boolean} Whether the job was scheduled
+ */
+export const startHotelContentSyncJob = () => {
+  const hours = Number(process.env.HOTEL_CONTENT_SYNC_INTERVAL_HOURS) || DEFAULT_INTERVAL_HOURS;
+  return scheduleJob('hotel-content-sync', hours * 60 * 60 * 1000, runHotelContentSyncJob);
+};
@@ -0,0 +1,135 @@
+import PriceWatch from '../models/priceWatch.model.js';
+import { searchFlights } from '../utils/flightProvider.js';
+import { applyMarkup } from '../utils/markupEngine.js';
+import { sendEmail } from '../utils/email.js';
+import { scheduleJob } from '../utils/scheduler.js';
+import logger from '../utils/logger.js';
+
+// How often watches are re-checked; PRICE_WATCH_INTERVAL_MINUTES overrides it
+const DEFAULT_INTERVAL_MINUTES = 60;
+// Watches checked per run, least recently checked first
+const BATCH_SIZE = 100;
+
+const toDateString = date => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Search the watched route and return its lowest one-way fare
+ * @param {Object} watch - PriceWatch document
+ * @returns {Promise<?Object>} { price, currency, airline } or null when nothing is available
+ */
+const findLowestFare = async (watch) => {
+  const { data } = await searchFlights({
+    origin: watch.origin,
+    destination: watch.destination,
+    departure_date: toDateString(watch.departureDate),
+    adults: watch.adults,
+    children: watch.children,
+    infants: watch.infants,
+    travelclass: watch.cabinClass,
+    journey_type: '1'
+  });
+
+  // Alert on the price the customer would pay, markup included
+  const offers = await applyMarkup(data.offers || []);
+  const cheapest = offers
+    .filter(offer => offer.journeyIndex === 0)
+    .reduce((min, offer) => (!min || offer.fare.totalFare < min.fare.totalFare ? offer : min), null);
+
+  return cheapest && {
+    price: cheapest.fare.totalFare,
+    currency: cheapest.fare.currency,
+    airline: cheapest.validatingAirline.name || cheapest.validatingAirline.code
+  };
+};
+
+/**
+ * Re-price one watch, record the result and email the owner when the fare dropped
+ * @param {Object} watch - PriceWatch document with `user` populated
+ * @returns {Promise<Object>} { fare, notified }
+ */
+export const checkPriceWatch = async (watch) => {
+  const fare = await findLowestFare(watch);
+
+  if (!fare) {
+    watch.lastCheckedAt = new Date();
+    await watch.save();
+    return { fare: null, notified: false };
+  }
+
+  const previousPrice = watch.lastNotifiedPrice ?? watch.baselinePrice ?? watch.lastPrice;
+  watch.recordPrice(fare);
+
+  let notified = false;
+  if (watch.shouldNotify(fare.price) && watch.user?.email) {
+    try {
+      await sendEmail({
+        to: watch.user.email,
+        subject: `Price drop: ${watch.origin} to ${watch.destination} now ${fare.currency} ${fare.price}`,
+        template: 'priceDrop',
+        data: {
+          name: watch.user.name,
+          origin: watch.origin,
+          destination: watch.destination,
+          departureDate: toDateString(watch.departureDate),
+          price: fare.price,
+          previousPrice,
+          targetPrice: watch.targetPrice,
+          currency: fare.currency,
+          airline: fare.airline
+        }
+      });
+      watch.lastNotifiedPrice = fare.price;
+      watch.lastNotifiedAt = new Date();
+      notified = true;
+    } catch (error) {
+      // Not marked as notified, so the next run tries again
+      logger.error('Price drop email failed:', { watchId: watch._id, error: error.message });
+    }
+  }
+
+  await watch.save();
+  return { fare, notified };
+};
+
+/**
+ * Expire past watches and re-check the active ones
+ * @returns {Promise<Object>} Run summary
+ */
+export const runPriceWatchJob = async () => {
+  const today = new Date(`${toDateString(new Date())}T00:00:00Z`);
+  const expired = await PriceWatch.updateMany(
+    { status: { $ne: 'expired' }, departureDate: { $lt: today } },
+    { status: 'expired' }
+  );
+
+  const watches = await PriceWatch.find({ status: 'active' })
+    .sort('lastCheckedAt')
+    .limit(BATCH_SIZE)
+    .populate('user', 'name email');
+
+  const summary = { expired: expired.modifiedCount, checked: 0, notified: 0, failed: 0 };
+
+  // One watch at a time to stay gentle on the supplier; identical routes hit the search cache
+  for (const watch of watches) {
+    try {
+      const { notified } = await checkPriceWatch(watch);
+      summary.checked += 1;
+      if (notified) summary.notified += 1;
+    } catch (error) {
+      summary.failed += 1;
+      logger.warn('Price watch check failed:', { watchId: watch._id, error: error.message });
+    }
+  }
+
+  logger.info('Price watch job finished:', summary);
+  return summary;
+};
+
+/**
+ * Schedule the price watch job
+ * @returns {boolean} Whether the job was scheduled
+ */
+export const startPriceWatchJob = () => {
+  const minutes = Number(process.env.PRICE_WATCH_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+  return scheduleJob('price-watch', minutes * 60 * 1000, runPriceWatchJob);
+};
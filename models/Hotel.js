@@ -1,6 +1,22 @@
 import mongoose from 'mongoose';
 
+export const HOTEL_DOCUMENT_TYPES = [
+  'registration_certificate',
+  'gst_certificate',
+  'trade_license',
+  'fire_safety_certificate',
+  'owner_id',
+  'property_photo',
+  'other'
+];
+
 const hotelSchema = new mongoose.Schema({
+  // Partner account that registered the hotel
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Hotel owner is required']
+  },
   name: {
     type: String,
     required: [true, 'Hotel name is required'],
@@ -75,11 +91,55 @@ const hotelSchema = new mongoose.Schema({
     }
   },
   additionalInfo: String,
+  // Verification documents; the files are kept out of the public uploads and
+  // downloaded through the partner routes (path)
+  documents: [{
+    type: {
+      type: String,
+      enum: HOTEL_DOCUMENT_TYPES,
+      default: 'other'
+    },
+    // Stored file name under private/hotel-documents/
+    filename: {
+      type: String,
+      required: true
+    },
+    name: String,
+    mimetype: String,
+    size: Number,
+    path: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   status: {
     type: String,
     enum: ['pending', 'approved', 'rejected'],
     default: 'pending'
   },
+  // Latest admin decision
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    reason: String
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    note: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -96,6 +156,19 @@ hotelSchema.pre('save', function(next) {
   next();
 });
 
+hotelSchema.index({ owner: 1 });
+hotelSchema.index({ status: 1, createdAt: 1 });
+
+/**
+ * Move the registration to a new status and record it in the history
+ * @param {string} status - New status
+ * @param {Object} [details] - Optional note and the user who made the change
+ */
+hotelSchema.methods.setStatus = function(status, { note, changedBy } = {}) {
+  this.status = status;
+  this.statusHistory.push({ status, note, changedBy });
+};
+
 const Hotel = mongoose.model('Hotel', hotelSchema);
 
 export default Hotel;
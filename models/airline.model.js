@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const airlineSchema = new mongoose.Schema({
+  // IATA airline designator
+  code: {
+    type: String,
+    required: [true, 'Airline code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{2}$/, 'Airline code must be 2 characters'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Airline name is required'],
+    trim: true,
+  },
+  country: {
+    type: String,
+    trim: true,
+  },
+  logoUrl: String,
+  isLCC: {
+    type: Boolean,
+    default: false,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+const Airline = mongoose.model('Airline', airlineSchema);
+
+export default Airline;
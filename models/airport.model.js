@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const airportSchema = new mongoose.Schema({
+  // IATA airport code
+  code: {
+    type: String,
+    required: [true, 'Airport code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, 'Airport code must be 3 letters'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Airport name is required'],
+    trim: true,
+  },
+  city: {
+    type: String,
+    required: [true, 'City is required'],
+    trim: true,
+  },
+  // IATA metropolitan area code when it differs from the airport (e.g. LON for LHR)
+  cityCode: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  // Former or alternative city names travellers search for (e.g. Bombay)
+  aliases: [String],
+  country: {
+    type: String,
+    required: [true, 'Country is required'],
+    trim: true,
+  },
+  countryCode: {
+    type: String,
+    required: [true, 'Country code is required'],
+    uppercase: true,
+    trim: true,
+    minlength: 2,
+    maxlength: 2,
+  },
+  // IANA time zone, e.g. Asia/Kolkata
+  timezone: {
+    type: String,
+    required: [true, 'Time zone is required'],
+  },
+  // Higher values are listed first in autocomplete
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+airportSchema.index({ city: 1 });
+
+const Airport = mongoose.model('Airport', airportSchema);
+
+export default Airport;
@@ -0,0 +1,302 @@
+import mongoose from 'mongoose';
+
+const passengerSchema = new mongoose.Schema({
+  title: String,
+  firstName: {
+    type: String,
+    required: [true, 'Passenger first name is required'],
+    trim: true,
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Passenger last name is required'],
+    trim: true,
+  },
+  passengerType: {
+    type: String,
+    enum: ['ADT', 'CHD', 'INF'],
+    default: 'ADT',
+  },
+  gender: String,
+  dateOfBirth: Date,
+  nationality: String,
+  passportNumber: {
+    type: String,
+    select: false,
+  },
+  passportExpiry: Date,
+  isLeadPax: {
+    type: Boolean,
+    default: false,
+  },
+  ticketNumber: String,
+  status: String,
+  // Seats, meals and extra baggage selected at booking
+  ssr: [{
+    _id: false,
+    type: {
+      type: String,
+    },
+    code: String,
+    description: String,
+    origin: String,
+    destination: String,
+    price: {
+      type: Number,
+      default: 0,
+    },
+  }],
+}, { _id: true });
+
+const segmentSchema = new mongoose.Schema({
+  airline: String,
+  airlineName: String,
+  flightNumber: String,
+  origin: String,
+  destination: String,
+  departureTime: Date,
+  arrivalTime: Date,
+  cabinClass: String,
+  bookingClass: String,
+  aircraftType: String,
+  originTerminal: String,
+  destinationTerminal: String,
+  baggage: String,
+  cabinBaggage: String,
+  status: String,
+}, { _id: false });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true,
+  },
+  note: String,
+  supplierStatus: String,
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const cancellationSchema = new mongoose.Schema({
+  // Change request id issued by the supplier
+  cancellationId: String,
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true,
+  },
+  passengers: [mongoose.Schema.Types.ObjectId],
+  segments: [{
+    _id: false,
+    origin: String,
+    destination: String,
+  }],
+  reason: String,
+  status: {
+    type: String,
+    enum: ['requested', 'processing', 'completed', 'failed'],
+    default: 'requested',
+  },
+  supplierStatus: String,
+  charges: {
+    cancellationFee: {
+      type: Number,
+      default: 0,
+    },
+    serviceFee: {
+      type: Number,
+      default: 0,
+    },
+    totalCharges: {
+      type: Number,
+      default: 0,
+    },
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  refundStatus: String,
+  refundReference: String,
+  // Booking and passenger statuses before the request, restored if the supplier rejects it
+  previousStatus: String,
+  previousPassengerStatuses: [{
+    _id: false,
+    passenger: mongoose.Schema.Types.ObjectId,
+    status: String,
+  }],
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: Date,
+});
+
+const flightBookingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  bookingReference: {
+    type: String,
+    unique: true,
+    uppercase: true,
+  },
+  provider: {
+    type: String,
+    default: 'tbo',
+  },
+  // Identifiers issued by the supplier
+  pnr: {
+    type: String,
+    uppercase: true,
+    trim: true,
+  },
+  supplierBookingId: String,
+  traceId: String,
+  resultIndex: String,
+  isLCC: Boolean,
+  isDomestic: Boolean,
+  passengers: [passengerSchema],
+  segments: [segmentSchema],
+  fare: {
+    baseFare: {
+      type: Number,
+      default: 0,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+    },
+    otherCharges: {
+      type: Number,
+      default: 0,
+    },
+    // Seats, meals and extra baggage
+    ancillaries: {
+      type: Number,
+      default: 0,
+    },
+    totalFare: {
+      type: Number,
+      default: 0,
+    },
+    // Fare accepted by the customer at repricing
+    quotedFare: Number,
+    // Supplier fare, agency markup (negative for discounts) and the fare
+    // charged for the flight; totalFare also includes ancillaries
+    netFare: Number,
+    markup: {
+      type: Number,
+      default: 0,
+    },
+    sellingPrice: Number,
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+    breakdown: [{
+      _id: false,
+      passengerType: String,
+      passengerCount: Number,
+      baseFare: Number,
+      tax: Number,
+    }],
+  },
+  // Markup rule applied at the fare quote
+  markupRule: {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MarkupRule',
+    },
+    name: String,
+  },
+  contact: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: String,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'on_hold', 'booked', 'ticketed', 'failed', 'released', 'cancellation_requested', 'partially_cancelled', 'cancelled'],
+    default: 'pending',
+  },
+  statusHistory: [statusHistorySchema],
+  cancellations: [cancellationSchema],
+  // Held (non-LCC) bookings: the PNR is kept until this date, then released if unpaid
+  ticketingDeadline: Date,
+  // GDS source returned by the supplier, needed to release a held PNR
+  supplierSource: String,
+  paymentStatus: {
+    type: String,
+    enum: ['pending', 'paid', 'refunded'],
+    default: 'pending',
+  },
+  paidAt: Date,
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+  },
+  releasedAt: Date,
+  ticketedAt: Date,
+  failureReason: String,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes for support lookups
+flightBookingSchema.index({ user: 1, createdAt: -1 });
+flightBookingSchema.index({ pnr: 1 });
+flightBookingSchema.index({ supplierBookingId: 1 });
+flightBookingSchema.index({ status: 1 });
+flightBookingSchema.index({ status: 1, ticketingDeadline: 1 });
+
+// Virtual for the first departure of the itinerary
+flightBookingSchema.virtual('departureTime').get(function() {
+  return this.segments?.[0]?.departureTime || null;
+});
+
+// Virtual for the total refund across all cancellations
+flightBookingSchema.virtual('totalRefund').get(function() {
+  return (this.cancellations || [])
+    .filter(cancellation => cancellation.status !== 'failed')
+    .reduce((total, cancellation) => total + (cancellation.refundAmount || 0), 0);
+});
+
+// Pre-save hook to generate booking reference
+flightBookingSchema.pre('save', function(next) {
+  if (!this.bookingReference) {
+    this.bookingReference = `FLT${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+  }
+  next();
+});
+
+/**
+ * Move the booking to a new status and record it in the history
+ * @param {string} status - New booking status
+ * @param {Object} [details] - Optional note and raw supplier status
+ */
+flightBookingSchema.methods.setStatus = function(status, { note, supplierStatus } = {}) {
+  this.status = status;
+  this.statusHistory.push({ status, note, supplierStatus });
+};
+
+const FlightBooking = mongoose.model('FlightBooking', flightBookingSchema);
+
+export default FlightBooking;
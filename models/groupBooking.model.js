@@ -0,0 +1,180 @@
+import mongoose from 'mongoose';
+
+// Larger parties cannot be searched or booked online
+export const MAX_ONLINE_PASSENGERS = 9;
+
+export const GROUP_TYPES = ['school', 'corporate', 'sports', 'religious', 'family', 'other'];
+
+const airportCode = {
+  type: String,
+  uppercase: true,
+  trim: true,
+  minlength: 3,
+  maxlength: 3,
+};
+
+const quoteSchema = new mongoose.Schema({
+  totalFare: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  airline: String,
+  // Flights, times and fare conditions as offered by the airline's group desk
+  itinerary: String,
+  conditions: String,
+  validUntil: {
+    type: Date,
+    required: true,
+  },
+  quotedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  quotedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const groupBookingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  reference: {
+    type: String,
+    unique: true,
+    uppercase: true,
+  },
+  tripType: {
+    type: String,
+    enum: ['oneway', 'roundtrip'],
+    default: 'oneway',
+  },
+  origin: { ...airportCode, required: [true, 'Origin is required'] },
+  destination: { ...airportCode, required: [true, 'Destination is required'] },
+  departureDate: {
+    type: Date,
+    required: [true, 'Departure date is required'],
+  },
+  returnDate: Date,
+  // Whether the group can travel a few days either side
+  flexibleDates: {
+    type: Boolean,
+    default: false,
+  },
+  adults: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  children: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  infants: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cabinClass: {
+    type: String,
+    enum: ['Economy', 'Premium Economy', 'Business', 'First'],
+    default: 'Economy',
+  },
+  preferredAirlines: [{
+    type: String,
+    uppercase: true,
+    trim: true,
+  }],
+  // Fare the customer hopes for, per passenger
+  expectedFarePerPerson: Number,
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  groupType: {
+    type: String,
+    enum: GROUP_TYPES,
+    default: 'other',
+  },
+  organization: String,
+  notes: String,
+  contact: {
+    name: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: String,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'quoted', 'accepted', 'declined', 'cancelled'],
+    default: 'pending',
+  },
+  quote: quoteSchema,
+  acceptedAt: Date,
+  statusHistory: [{
+    _id: false,
+    status: String,
+    note: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+groupBookingSchema.index({ user: 1, createdAt: -1 });
+groupBookingSchema.index({ status: 1, createdAt: -1 });
+
+groupBookingSchema.virtual('totalPassengers').get(function() {
+  return (this.adults || 0) + (this.children || 0) + (this.infants || 0);
+});
+
+groupBookingSchema.pre('validate', function(next) {
+  if (this.totalPassengers <= MAX_ONLINE_PASSENGERS) {
+    this.invalidate('adults', `Group requests are for more than ${MAX_ONLINE_PASSENGERS} passengers; smaller parties can book online`);
+  }
+  if (this.infants > this.adults) {
+    this.invalidate('infants', 'Number of infants cannot exceed number of adults');
+  }
+  if (this.tripType === 'roundtrip' && (!this.returnDate || this.returnDate < this.departureDate)) {
+    this.invalidate('returnDate', 'Return date must be on or after the departure date');
+  }
+  next();
+});
+
+groupBookingSchema.pre('save', function(next) {
+  if (!this.reference) {
+    this.reference = `GRP${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+  }
+  next();
+});
+
+/**
+ * Move the request to a new status and record it in the history
+ * @param {string} status - New status
+ * @param {string} [note] - Optional note
+ */
+groupBookingSchema.methods.setStatus = function(status, note) {
+  this.status = status;
+  this.statusHistory.push({ status, note });
+};
+
+const GroupBooking = mongoose.model('GroupBooking', groupBookingSchema);
+
+export default GroupBooking;
@@ -0,0 +1,151 @@
+import mongoose from 'mongoose';
+
+const guestSchema = new mongoose.Schema({
+  title: String,
+  firstName: {
+    type: String,
+    required: [true, 'Guest first name is required'],
+    trim: true,
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Guest last name is required'],
+    trim: true,
+  },
+  type: {
+    type: String,
+    enum: ['adult', 'child'],
+    default: 'adult',
+  },
+  age: Number,
+}, { _id: false });
+
+const roomSchema = new mongoose.Schema({
+  name: String,
+  mealType: String,
+  guests: {
+    type: [guestSchema],
+    validate: [guests => guests.length > 0, 'Each room needs at least one guest'],
+  },
+}, { _id: false });
+
+const hotelBookingSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  bookingReference: {
+    type: String,
+    unique: true,
+    uppercase: true,
+  },
+  provider: {
+    type: String,
+    default: 'tbo',
+  },
+  hotelCode: {
+    type: String,
+    required: [true, 'Hotel code is required'],
+  },
+  hotelName: String,
+  city: String,
+  checkIn: {
+    type: Date,
+    required: [true, 'Check-in date is required'],
+  },
+  checkOut: {
+    type: Date,
+    required: [true, 'Check-out date is required'],
+  },
+  rooms: {
+    type: [roomSchema],
+    validate: [rooms => rooms.length > 0, 'At least one room is required'],
+  },
+  contact: {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    phone: String,
+  },
+  // Rate code returned by search/pre-book
+  bookingCode: String,
+  // Identifiers issued by TBO
+  confirmationNumber: String,
+  supplierBookingId: String,
+  supplierReference: String,
+  price: {
+    totalFare: {
+      type: Number,
+      required: [true, 'Total fare is required'],
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: 'INR',
+    },
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  statusHistory: [{
+    _id: false,
+    status: String,
+    note: String,
+    supplierStatus: String,
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  failureReason: String,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+hotelBookingSchema.index({ user: 1, createdAt: -1 });
+hotelBookingSchema.index({ confirmationNumber: 1 });
+hotelBookingSchema.index({ status: 1 });
+
+hotelBookingSchema.virtual('nights').get(function() {
+  if (!this.checkIn || !this.checkOut) return null;
+  return Math.round((this.checkOut - this.checkIn) / (24 * 60 * 60 * 1000));
+});
+
+hotelBookingSchema.virtual('guestCount').get(function() {
+  return (this.rooms || []).reduce((total, room) => total + room.guests.length, 0);
+});
+
+hotelBookingSchema.pre('validate', function(next) {
+  if (this.checkIn && this.checkOut && this.checkOut <= this.checkIn) {
+    this.invalidate('checkOut', 'Check-out must be after check-in');
+  }
+  next();
+});
+
+hotelBookingSchema.pre('save', function(next) {
+  if (!this.bookingReference) {
+    this.bookingReference = `HTL${Date.now().toString().slice(-8)}${Math.floor(Math.random() * 1000).toString().padStart(3, '0')}`;
+  }
+  next();
+});
+
+/**
+ * Move the booking to a new status and record it in the history
+ * @param {string} status - New booking status
+ * @param {Object} [details] - Optional note and raw supplier status
+ */
+hotelBookingSchema.methods.setStatus = function(status, { note, supplierStatus } = {}) {
+  this.status = status;
+  this.statusHistory.push({ status, note, supplierStatus });
+};
+
+const HotelBooking = mongoose.model('HotelBooking', hotelBookingSchema);
+
+export default HotelBooking;
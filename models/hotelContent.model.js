@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Static content of supplier hotels (name, location, photos, amenities).
+// Filled by jobs/hotelContentSyncJob.js so searches only ask TBO for rates.
+const hotelContentSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    default: 'tbo',
+  },
+  hotelCode: {
+    type: String,
+    required: [true, 'Hotel code is required'],
+    trim: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Hotel name is required'],
+    trim: true,
+  },
+  starRating: {
+    type: Number,
+    min: 0,
+    max: 5,
+    default: 0,
+  },
+  description: String,
+  address: String,
+  cityCode: {
+    type: String,
+    required: [true, 'City code is required'],
+  },
+  cityName: {
+    type: String,
+    trim: true,
+  },
+  countryCode: {
+    type: String,
+    uppercase: true,
+  },
+  location: {
+    latitude: Number,
+    longitude: Number,
+  },
+  images: [String],
+  amenities: [String],
+  phone: String,
+  checkInTime: String,
+  checkOutTime: String,
+  // False once the hotel drops out of the supplier's code list for its city
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  // Last time the hotel was seen in the code list
+  syncedAt: Date,
+  // Last time the full details (description, photos, amenities) were fetched
+  detailsSyncedAt: Date,
+}, {
+  timestamps: true,
+});
+
+hotelContentSchema.index({ provider: 1, hotelCode: 1 }, { unique: true });
+hotelContentSchema.index({ cityCode: 1, isActive: 1 });
+hotelContentSchema.index({ cityName: 1, isActive: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+const HotelContent = mongoose.model('HotelContent', hotelContentSchema);
+
+export default HotelContent;
@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+
+export const CABIN_CLASSES = ['Economy', 'Premium Economy', 'Business', 'Premium Business', 'First'];
+
+const codeList = length => ({
+  type: [{
+    type: String,
+    uppercase: true,
+    trim: true,
+    minlength: length,
+    maxlength: length,
+  }],
+  default: [],
+});
+
+// Empty match lists mean "any"; a rule only applies when every criterion matches
+const markupRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: 100,
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  // Validating airline codes
+  airlines: codeList(2),
+  // Airport codes of the first departure and the final arrival of the outbound journey
+  origins: codeList(3),
+  destinations: codeList(3),
+  cabinClasses: {
+    type: [{
+      type: String,
+      enum: CABIN_CLASSES,
+    }],
+    default: [],
+  },
+  journeyScope: {
+    type: String,
+    enum: ['all', 'domestic', 'international'],
+    default: 'all',
+  },
+  // Sales period; the rule is ignored outside it
+  validFrom: Date,
+  validTo: Date,
+  adjustmentType: {
+    type: String,
+    enum: ['markup', 'discount'],
+    default: 'markup',
+  },
+  calculation: {
+    type: String,
+    enum: ['fixed', 'percentage'],
+    required: [true, 'Calculation type is required'],
+  },
+  // Amount in the fare currency, or percentage of the net fare
+  value: {
+    type: Number,
+    required: [true, 'Value is required'],
+    min: 0,
+  },
+  // Fixed amounts are charged once per booking or per passenger (infants excluded)
+  per: {
+    type: String,
+    enum: ['booking', 'passenger'],
+    default: 'booking',
+  },
+  // Only the highest priority matching rule is applied
+  priority: {
+    type: Number,
+    default: 0,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+markupRuleSchema.index({ isActive: 1, priority: -1 });
+
+markupRuleSchema.pre('validate', function(next) {
+  if (this.calculation === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.validFrom && this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'End date must be after the start date');
+  }
+  next();
+});
+
+const MarkupRule = mongoose.model('MarkupRule', markupRuleSchema);
+
+export default MarkupRule;
@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+export const PAYMENT_STATUSES = ['created', 'authorized', 'captured', 'failed', 'refunded'];
+
+const refundSchema = new mongoose.Schema({
+  refundId: String,
+  amount: Number,
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending',
+  },
+  reason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: Date,
+});
+
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  // New bookings are paid before they are made; held bookings when they are ticketed
+  purpose: {
+    type: String,
+    enum: ['flight_booking', 'held_flight_booking'],
+    required: true,
+  },
+  providerOrderId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  providerPaymentId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'created',
+  },
+  // What a new booking payment pays for; the booking must match it
+  quote: {
+    resultIndex: String,
+    traceId: String,
+    fare: Number,
+    ancillaries: Number,
+    // SSR option ids per passenger, in passenger order
+    ssrSelections: [[String]],
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlightBooking',
+  },
+  // Set when a booking takes the payment, so it is only spent once
+  usedAt: Date,
+  method: String,
+  verifiedAt: Date,
+  capturedAt: Date,
+  failureReason: String,
+  refunds: [refundSchema],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Webhook event ids already applied
+  events: [{
+    _id: false,
+    id: String,
+    type: { type: String },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+}, {
+  timestamps: true,
+});
+
+// Gateway events can arrive late or twice; a payment never moves back to an earlier state
+const STATUS_RANK = { created: 0, failed: 1, authorized: 2, captured: 3, refunded: 4 };
+
+/**
+ * Move the payment forward to a new status
+ * @param {string} status - Status reported by the gateway
+ * @returns {boolean} Whether the status changed
+ */
+paymentSchema.methods.advanceStatus = function(status) {
+  if (STATUS_RANK[status] <= STATUS_RANK[this.status]) {
+    return false;
+  }
+  this.status = status;
+  return true;
+};
+
+paymentSchema.index({ providerPaymentId: 1 });
+paymentSchema.index({ booking: 1 });
+paymentSchema.index({ user: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+export default Payment;
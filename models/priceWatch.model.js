@@ -0,0 +1,148 @@
+import mongoose from 'mongoose';
+
+// Keep the history bounded; the job appends one point per check
+export const MAX_PRICE_HISTORY = 200;
+
+const pricePointSchema = new mongoose.Schema({
+  price: {
+    type: Number,
+    required: true,
+  },
+  currency: String,
+  airline: String,
+  checkedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+const priceWatchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  origin: {
+    type: String,
+    required: [true, 'Origin is required'],
+    uppercase: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 3,
+  },
+  destination: {
+    type: String,
+    required: [true, 'Destination is required'],
+    uppercase: true,
+    trim: true,
+    minlength: 3,
+    maxlength: 3,
+  },
+  departureDate: {
+    type: Date,
+    required: [true, 'Departure date is required'],
+  },
+  adults: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  children: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  infants: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  cabinClass: {
+    type: String,
+    default: '2',
+  },
+  // Alert when the lowest fare is below this amount ...
+  targetPrice: {
+    type: Number,
+    min: [0, 'Target price cannot be negative'],
+  },
+  // ... or when it falls by this percentage since the last alert (or the first check)
+  dropPercent: {
+    type: Number,
+    min: [1, 'Drop percentage must be at least 1'],
+    max: [90, 'Drop percentage cannot exceed 90'],
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'expired'],
+    default: 'active',
+  },
+  baselinePrice: Number,
+  lastPrice: Number,
+  lowestPrice: Number,
+  lastCheckedAt: Date,
+  lastNotifiedPrice: Number,
+  lastNotifiedAt: Date,
+  priceHistory: [pricePointSchema],
+}, {
+  timestamps: true,
+});
+
+priceWatchSchema.index({ user: 1, createdAt: -1 });
+priceWatchSchema.index({ status: 1, lastCheckedAt: 1 });
+
+priceWatchSchema.pre('validate', function(next) {
+  if (this.targetPrice == null && this.dropPercent == null) {
+    this.invalidate('targetPrice', 'Set a target price or a drop percentage');
+  }
+  next();
+});
+
+/**
+ * Record the lowest fare found by a check
+ * @param {Object} point - { price, currency, airline }
+ */
+priceWatchSchema.methods.recordPrice = function({ price, currency, airline }) {
+  const checkedAt = new Date();
+
+  if (this.baselinePrice == null) {
+    this.baselinePrice = price;
+  }
+  this.lastPrice = price;
+  this.lowestPrice = Math.min(this.lowestPrice ?? price, price);
+  this.lastCheckedAt = checkedAt;
+  this.priceHistory.push({ price, currency, airline, checkedAt });
+
+  if (this.priceHistory.length > MAX_PRICE_HISTORY) {
+    this.priceHistory.splice(0, this.priceHistory.length - MAX_PRICE_HISTORY);
+  }
+};
+
+/**
+ * Whether a price should trigger an alert. The drop percentage is measured from
+ * the last alerted price so a falling fare alerts once per drop, not on every check.
+ * @param {number} price - Lowest fare found
+ * @returns {boolean}
+ */
+priceWatchSchema.methods.shouldNotify = function(price) {
+  if (this.lastNotifiedPrice != null && price >= this.lastNotifiedPrice) {
+    return false;
+  }
+
+  if (this.targetPrice != null && price <= this.targetPrice) {
+    return true;
+  }
+
+  const reference = this.lastNotifiedPrice ?? this.baselinePrice;
+  return this.dropPercent != null &&
+    reference != null &&
+    price <= reference * (1 - this.dropPercent / 100);
+};
+
+const PriceWatch = mongoose.model('PriceWatch', priceWatchSchema);
+
+export default PriceWatch;
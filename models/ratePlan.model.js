@@ -0,0 +1,85 @@
+import mongoose from 'mongoose';
+import { MEAL_PLANS } from '../utils/hotelOffer.js';
+
+// How a room type is sold: meal plan and cancellation terms. Nightly prices
+// live in the availability calendar (models/roomAvailability.model.js).
+const ratePlanSchema = new mongoose.Schema({
+  hotel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: [true, 'Hotel is required'],
+  },
+  roomType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomType',
+    required: [true, 'Room type is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Rate plan name is required'],
+    trim: true,
+  },
+  mealPlan: {
+    type: String,
+    enum: MEAL_PLANS,
+    default: 'room_only',
+  },
+  cancellation: {
+    refundable: {
+      type: Boolean,
+      default: true,
+    },
+    // Free cancellation until this many days before check-in
+    freeCancellationDays: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    // Share of the stay charged when cancelled later than that
+    penaltyPercent: {
+      type: Number,
+      default: 100,
+      min: 0,
+      max: 100,
+    },
+  },
+  minStay: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+  },
+  inclusions: String,
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+ratePlanSchema.index({ roomType: 1, name: 1 }, { unique: true });
+ratePlanSchema.index({ hotel: 1 });
+
+/**
+ * Cancellation policy for a stay, in the shape TBO uses for its rates
+ * @param {Date} checkIn - Check-in date
+ * @returns {Array<Object>} Cancellation policies
+ */
+ratePlanSchema.methods.cancelPoliciesFor = function(checkIn) {
+  if (!this.cancellation.refundable) {
+    return [{ FromDate: new Date().toISOString(), ChargeType: 'Percentage', CancellationCharge: 100 }];
+  }
+
+  const penaltyFrom = new Date(checkIn);
+  penaltyFrom.setUTCDate(penaltyFrom.getUTCDate() - this.cancellation.freeCancellationDays);
+  return [{ FromDate: penaltyFrom.toISOString(), ChargeType: 'Percentage', CancellationCharge: this.cancellation.penaltyPercent }];
+};
+
+const RatePlan = mongoose.model('RatePlan', ratePlanSchema);
+
+export default RatePlan;
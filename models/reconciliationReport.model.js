@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+const issueSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['status', 'pnr', 'ticket_number', 'schedule', 'segment', 'segment_status'],
+    required: true,
+  },
+  message: String,
+  // Our record and the supplier's, as text
+  expected: String,
+  actual: String,
+  // Schedule changes are copied onto the booking; everything else is left for review
+  applied: {
+    type: Boolean,
+    default: false,
+  },
+}, { _id: false });
+
+const mismatchSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FlightBooking',
+  },
+  bookingReference: String,
+  pnr: String,
+  issues: [issueSchema],
+  customerNotified: {
+    type: Boolean,
+    default: false,
+  },
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  resolutionNote: String,
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  provider: String,
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled',
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'aborted', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+  summary: {
+    checked: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    mismatched: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    notified: { type: Number, default: 0 },
+  },
+  mismatches: [mismatchSchema],
+  // Bookings the supplier could not be asked about
+  failures: [{
+    _id: false,
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FlightBooking',
+    },
+    bookingReference: String,
+    message: String,
+  }],
+  // Why the run stopped early
+  error: String,
+}, {
+  timestamps: true,
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+export default ReconciliationReport;
@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+
+// One night of a room type: rooms on sale, rooms sold and the price of each
+// rate plan. Dates are stored as UTC midnight.
+const roomAvailabilitySchema = new mongoose.Schema({
+  hotel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: true,
+  },
+  roomType: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RoomType',
+    required: true,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  // Rooms offered for the night
+  allotment: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Rooms taken by direct bookings
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  stopSell: {
+    type: Boolean,
+    default: false,
+  },
+  // Rate plan id -> price per room for the night
+  prices: {
+    type: Map,
+    of: Number,
+    default: {},
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+roomAvailabilitySchema.index({ roomType: 1, date: 1 }, { unique: true });
+roomAvailabilitySchema.index({ hotel: 1, date: 1 });
+
+roomAvailabilitySchema.virtual('available').get(function() {
+  return this.stopSell ? 0 : Math.max(this.allotment - this.booked, 0);
+});
+
+const RoomAvailability = mongoose.model('RoomAvailability', roomAvailabilitySchema);
+
+export default RoomAvailability;
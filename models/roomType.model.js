@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+
+// A kind of room sold by a directly contracted hotel (models/Hotel.js)
+const roomTypeSchema = new mongoose.Schema({
+  hotel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hotel',
+    required: [true, 'Hotel is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Room type name is required'],
+    trim: true,
+  },
+  description: String,
+  // Rooms of this type in the property; the calendar allotment cannot exceed it
+  totalRooms: {
+    type: Number,
+    required: [true, 'Number of rooms is required'],
+    min: [1, 'Must have at least 1 room'],
+  },
+  maxAdults: {
+    type: Number,
+    default: 2,
+    min: 1,
+  },
+  maxChildren: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  maxOccupancy: {
+    type: Number,
+    min: 1,
+  },
+  bedType: String,
+  sizeSqm: Number,
+  amenities: [String],
+  images: [String],
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+}, {
+  timestamps: true,
+});
+
+roomTypeSchema.index({ hotel: 1, name: 1 }, { unique: true });
+
+roomTypeSchema.pre('validate', function(next) {
+  if (!this.maxOccupancy) {
+    this.maxOccupancy = this.maxAdults + this.maxChildren;
+  }
+  next();
+});
+
+/**
+ * Check whether a room of this type can take a party
+ * @param {number} adults - Adults in the room
+ * @param {number} [children=0] - Children in the room
+ * @returns {boolean}
+ */
+roomTypeSchema.methods.fits = function(adults, children = 0) {
+  return adults <= this.maxAdults && children <= this.maxChildren && adults + children <= this.maxOccupancy;
+};
+
+const RoomType = mongoose.model('RoomType', roomTypeSchema);
+
+export default RoomType;
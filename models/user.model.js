@@ -27,7 +27,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin', 'cab-owner'],
+    enum: ['user', 'admin', 'cab-owner', 'hotel-owner'],
     default: 'user',
   },
   isEmailVerified: {
@@ -1,7 +1,16 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import flightController from '../controllers/flightController.js';
-import { protect } from '../middleware/auth.js';
+import priceWatchController from '../controllers/priceWatch.controller.js';
+import paymentController from '../controllers/payment.controller.js';
+import groupBookingController from '../controllers/groupBooking.controller.js';
+import markupRuleController from '../controllers/markupRule.controller.js';
+import reconciliationController from '../controllers/reconciliation.controller.js';
+import { protect, restrictTo } from '../middleware/auth.js';
+import { CABIN_CLASSES } from '../models/markupRule.model.js';
+import { GROUP_TYPES, MAX_ONLINE_PASSENGERS } from '../models/groupBooking.model.js';
+import { SORT_OPTIONS } from '../utils/flightOfferFilters.js';
+import { validateAirportCode } from '../utils/referenceData.js';
 
 const router = express.Router();
 
@@ -11,19 +20,80 @@ const router = express.Router();
 router.post(
   '/search',
   [
-    body('origin', 'Origin is required').not().isEmpty(),
-    body('destination', 'Destination is required').not().isEmpty(),
-    body('departureDate', 'Departure date is required').isISO8601(),
+    body('tripType', 'Invalid trip type').optional().isIn(['oneway', 'roundtrip', 'multicity']),
+    body('origin', 'Origin is required').if(body('tripType').not().equals('multicity')).not().isEmpty().bail().custom(validateAirportCode),
+    body('destination', 'Destination is required').if(body('tripType').not().equals('multicity')).not().isEmpty().bail().custom(validateAirportCode)
+      .custom((destination, { req }) => {
+        if (String(destination).toUpperCase() === String(req.body.origin).toUpperCase()) {
+          throw new Error('Origin and destination must be different');
+        }
+        return true;
+      }),
+    body('departureDate', 'Departure date is required').if(body('tripType').not().equals('multicity')).isISO8601(),
+    body('legs', 'Multi-city search needs between 2 and 5 legs').if(body('tripType').equals('multicity')).isArray({ min: 2, max: 5 }),
+    body('legs.*.origin', 'Leg origin must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('legs.*.destination', 'Leg destination must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('legs.*.departureDate', 'Leg departure date must be a valid date').isISO8601(),
+    body('legs').if(body('tripType').equals('multicity')).custom((legs = []) => {
+      legs.forEach((leg, index) => {
+        if (index > 0 && new Date(leg.departureDate) < new Date(legs[index - 1].departureDate)) {
+          throw new Error(`Leg ${index + 1} departs before leg ${index}`);
+        }
+      });
+      return true;
+    }),
     body('returnDate', 'Return date must be a valid date').optional().isISO8601(),
     body('adults', 'Adults must be a positive number').optional().isInt({ min: 1 }),
     body('children', 'Children must be a positive number').optional().isInt({ min: 0 }),
     body('infants', 'Infants must be a positive number').optional().isInt({ min: 0 }),
     body('cabinClass', 'Invalid cabin class').optional().isIn(['Economy', 'Premium Economy', 'Business', 'First']),
-    body('nonStop', 'Non-stop must be a boolean').optional().isBoolean()
+    body('nonStop', 'Non-stop must be a boolean').optional().isBoolean(),
+    body('filters', 'Filters must be an object').optional().isObject(),
+    body('filters.stops', 'Stops must be a list').optional().isArray(),
+    body('filters.stops.*', 'Stops must be 0, 1 or 2 (2 or more)').isInt({ min: 0, max: 2 }),
+    body('filters.airlines', 'Airlines must be a list of airline codes').optional().isArray(),
+    body('filters.airlines.*', 'Airline code must be 2 characters').isLength({ min: 2, max: 2 }),
+    body('filters.minPrice', 'Minimum price must be a positive number').optional().isFloat({ min: 0 }),
+    body('filters.maxPrice', 'Maximum price must be a positive number').optional().isFloat({ min: 0 }),
+    body(['filters.departureTime.from', 'filters.departureTime.to', 'filters.arrivalTime.from', 'filters.arrivalTime.to'], 'Time must be in HH:mm format')
+      .optional()
+      .matches(/^([01]\d|2[0-3]):[0-5]\d$/),
+    body('filters.refundableOnly', 'Refundable only must be a boolean').optional().isBoolean().toBoolean(),
+    body('filters.maxLayoverMinutes', 'Maximum layover must be a positive number of minutes').optional().isInt({ min: 0 }),
+    body('sortBy', `Sort must be one of ${SORT_OPTIONS.join(', ')}`).optional().isIn(SORT_OPTIONS)
   ],
   flightController.search
 );
 
+// @route   GET /api/flights/airports?q=
+// @desc    Autocomplete airports by code, city or name (tolerates typos)
+// @access  Public
+router.get(
+  '/airports',
+  [
+    query('q', 'Search text is required').trim().not().isEmpty(),
+    query('limit', 'Limit must be between 1 and 20').optional().isInt({ min: 1, max: 20 })
+  ],
+  flightController.getAirports
+);
+
+// @route   POST /api/flights/fare-calendar
+// @desc    Lowest fare per day around a departure date
+// @access  Public
+router.post(
+  '/fare-calendar',
+  [
+    body('origin', 'Origin must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('destination', 'Destination must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('departureDate', 'Departure date is required').isISO8601(),
+    body('range', 'Range must be week or month').optional().isIn(['week', 'month']),
+    body('adults', 'Adults must be a positive number').optional().isInt({ min: 1 }),
+    body('children', 'Children must be a positive number').optional().isInt({ min: 0 }),
+    body('infants', 'Infants must be a positive number').optional().isInt({ min: 0 })
+  ],
+  flightController.getFareCalendar
+);
+
 // @route   POST /api/flights/fare-rules
 // @desc    Get fare rules for a specific flight
 // @access  Public
@@ -36,6 +106,80 @@ router.post(
   flightController.getFareRules
 );
 
+// @route   POST /api/flights/fare-quote
+// @desc    Reprice a flight and get a quote token for booking
+// @access  Public
+router.post(
+  '/fare-quote',
+  [
+    body('traceId', 'Trace ID is required').not().isEmpty(),
+    body('resultIndex', 'Result index is required').not().isEmpty(),
+    body('originalFare', 'Original fare from search is required').isFloat({ min: 0 })
+  ],
+  flightController.getFareQuote
+);
+
+// @route   POST /api/flights/ssr
+// @desc    Get seat maps, meals and extra baggage for a flight
+// @access  Public
+router.post(
+  '/ssr',
+  [
+    body('traceId', 'Trace ID is required').not().isEmpty(),
+    body('resultIndex', 'Result index is required').not().isEmpty()
+  ],
+  flightController.getSSRDetails
+);
+
+// @route   POST /api/flights/payments/orders
+// @desc    Create a payment order for a quoted flight (with its SSR selections) or a held booking
+// @access  Private
+router.post(
+  '/payments/orders',
+  protect,
+  [
+    body('bookingId', 'Booking ID must be valid').optional().isMongoId(),
+    body('quoteToken', 'Quote token from fare quote is required').if(body('bookingId').not().exists()).not().isEmpty(),
+    body('traceId', 'Trace ID is required').if(body('bookingId').not().exists()).not().isEmpty(),
+    body('resultIndex', 'Result index is required').if(body('bookingId').not().exists()).not().isEmpty(),
+    body('passengers', 'Passengers must be a list').optional().isArray(),
+    body('passengers.*.ssr', 'SSR selections must be a list of option ids').optional().isArray()
+  ],
+  paymentController.createOrder
+);
+
+// @route   POST /api/flights/payments/verify
+// @desc    Verify the payment returned by the gateway checkout
+// @access  Private
+router.post(
+  '/payments/verify',
+  protect,
+  [
+    body('orderId', 'Order ID is required').not().isEmpty(),
+    body('paymentId', 'Payment ID is required').not().isEmpty(),
+    body('signature', 'Payment signature is required').not().isEmpty()
+  ],
+  paymentController.verify
+);
+
+// @route   POST /api/flights/payments/webhook
+// @desc    Payment gateway events (checked against the webhook signature)
+// @access  Public
+router.post('/payments/webhook', paymentController.webhook);
+
+// @route   POST /api/flights/payments/mock-checkout
+// @desc    Pay an order on the mock payment gateway
+// @access  Private
+router.post(
+  '/payments/mock-checkout',
+  protect,
+  [
+    body('orderId', 'Order ID is required').not().isEmpty(),
+    body('fail', 'Fail must be a boolean').optional().isBoolean().toBoolean()
+  ],
+  paymentController.mockCheckout
+);
+
 // @route   POST /api/flights/book
 // @desc    Book a flight
 // @access  Private
@@ -45,25 +189,356 @@ router.post(
   [
     body('sessionId', 'Session ID is required').not().isEmpty(),
     body('resultIndex', 'Result index is required').not().isEmpty(),
+    body('quoteToken', 'Quote token from fare quote is required').not().isEmpty(),
     body('passengers', 'Passengers array is required').isArray({ min: 1 }),
     body('passengers.*.type', 'Passenger type is required').isIn(['adult', 'child', 'infant']),
     body('passengers.*.title', 'Title is required').not().isEmpty(),
     body('passengers.*.first_name', 'First name is required').not().isEmpty(),
     body('passengers.*.last_name', 'Last name is required').not().isEmpty(),
-    body('passengers.*.date_of_birth', 'Valid date of birth is required').isISO8601(),
-    body('passengers.*.passport_number', 'Passport number is required').not().isEmpty(),
-    body('passengers.*.passport_expiry', 'Passport expiry date is required').isISO8601(),
-    body('passengers.*.nationality', 'Nationality is required').not().isEmpty(),
-    body('passengers.*.gender', 'Gender is required').isIn(['M', 'F', 'O']),
+    // Whether date of birth, passport and PAN are required depends on the route and
+    // the passenger type; utils/passengerMapper.js checks that in the controller
+    body('passengers.*.date_of_birth', 'Valid date of birth is required').optional().isISO8601(),
+    body('passengers.*.passport_number', 'Passport number must be 6 to 12 letters or digits').optional().isAlphanumeric().isLength({ min: 6, max: 12 }),
+    body('passengers.*.passport_expiry', 'Passport expiry must be a valid date').optional().isISO8601(),
+    body('passengers.*.nationality', 'Nationality must be a 2-letter country code').optional().isISO31661Alpha2(),
+    body('passengers.*.pan', 'PAN must be 10 characters, e.g. ABCDE1234F').optional().matches(/^[A-Za-z]{5}[0-9]{4}[A-Za-z]$/),
+    body('passengers.*.gender', 'Gender must be M or F, as on the travel document').isIn(['M', 'F']),
+    body('passengers.*.is_lead', 'Lead passenger flag must be a boolean').optional().isBoolean().toBoolean(),
+    body('passengers.*.ssr', 'SSR selections must be a list of option ids').optional().isArray(),
     body('contact_info.email', 'Valid email is required').isEmail(),
     body('contact_info.phone', 'Phone number is required').not().isEmpty(),
-    body('payment.type', 'Payment type is required').isIn(['credit_card', 'debit_card', 'upi', 'net_banking']),
-    body('payment.card_number', 'Card number is required').not().isEmpty(),
-    body('payment.expiry', 'Card expiry is required').matches(/^(0[1-9]|1[0-2])\/([0-9]{2})$/),
-    body('payment.cvv', 'CVV is required').isLength({ min: 3, max: 4 }),
-    body('payment.name_on_card', 'Name on card is required').not().isEmpty()
+    body('contact_info.address', 'Address must be text').optional().isString().isLength({ max: 200 }),
+    body('contact_info.city', 'City must be text').optional().isString().isLength({ max: 100 }),
+    body('contact_info.country_code', 'Country code must be a 2-letter country code').optional().isISO31661Alpha2(),
+    body('hold', 'Hold must be a boolean').optional().isBoolean().toBoolean(),
+    // Held bookings are paid later, when they are ticketed
+    body('paymentId', 'A verified payment is required').if(body('hold').not().equals('true')).isMongoId()
   ],
   flightController.book
 );
 
+// @route   POST /api/flights/confirm-booking
+// @desc    Issue tickets for a stored booking (held bookings are paid here)
+// @access  Private
+router.post(
+  '/confirm-booking',
+  protect,
+  [
+    body('bookingId', 'Valid booking ID is required').isMongoId(),
+    body('paymentId', 'Payment ID must be valid').optional().isMongoId()
+  ],
+  flightController.confirmBooking
+);
+
+// @route   GET /api/flights/my-bookings
+// @desc    List the current user's flight bookings
+// @access  Private
+router.get('/my-bookings', protect, flightController.getMyBookings);
+
+// @route   GET /api/flights/bookings
+// @desc    List all flight bookings
+// @access  Private/Admin
+router.get('/bookings', protect, restrictTo('admin'), flightController.getAllBookings);
+
+// @route   GET /api/flights/health
+// @desc    Supplier circuit breaker state and background job status
+// @access  Private/Admin
+router.get('/health', protect, restrictTo('admin'), flightController.getHealth);
+
+// @route   GET /api/flights/bookings/:id
+// @desc    Get a stored flight booking
+// @access  Private (owner or admin)
+router.get('/bookings/:id', protect, flightController.getBooking);
+
+// @route   GET /api/flights/bookings/:id/ticket
+// @desc    Download the e-ticket PDF of a ticketed booking
+// @access  Private (owner only)
+router.get('/bookings/:id/ticket', protect, flightController.downloadETicket);
+
+const cancellationValidation = [
+  body('passengerIds', 'Passenger IDs must be an array').optional().isArray(),
+  body('passengerIds.*', 'Invalid passenger ID').isMongoId(),
+  body('segments', 'Segments must be an array').optional().isArray(),
+  body('segments.*.origin', 'Segment origin is required').not().isEmpty(),
+  body('segments.*.destination', 'Segment destination is required').not().isEmpty()
+];
+
+// @route   POST /api/flights/bookings/:id/cancellation-charges
+// @desc    Preview cancellation charges (full, or partial by passengers/segments)
+// @access  Private (owner or admin)
+router.post(
+  '/bookings/:id/cancellation-charges',
+  protect,
+  cancellationValidation,
+  flightController.getCancellationCharges
+);
+
+// @route   POST /api/flights/bookings/:id/cancel
+// @desc    Request full or partial cancellation of a booking
+// @access  Private (owner or admin)
+router.post(
+  '/bookings/:id/cancel',
+  protect,
+  [
+    ...cancellationValidation,
+    body('reason', 'Reason must be text').optional().isString().isLength({ max: 500 })
+  ],
+  flightController.cancelBooking
+);
+
+// @route   GET /api/flights/bookings/:id/cancellation-status
+// @desc    Poll the status and refund of a cancellation request
+// @access  Private (owner or admin)
+router.get('/bookings/:id/cancellation-status', protect, flightController.getCancellationStatus);
+
+const priceWatchThresholdValidation = [
+  body('targetPrice', 'Target price must be a positive number').optional({ values: 'null' }).isFloat({ min: 0 }),
+  body('dropPercent', 'Drop percentage must be between 1 and 90').optional({ values: 'null' }).isFloat({ min: 1, max: 90 })
+];
+
+// @route   POST /api/flights/price-watches
+// @desc    Watch the lowest fare of a route and date
+// @access  Private
+router.post(
+  '/price-watches',
+  protect,
+  [
+    body('origin', 'Origin must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('destination', 'Destination must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('departureDate', 'Departure date must be a future date').isISO8601().isAfter(),
+    body('adults', 'Adults must be a positive number').optional().isInt({ min: 1 }),
+    body('children', 'Children must be a positive number').optional().isInt({ min: 0 }),
+    body('infants', 'Infants must be a positive number').optional().isInt({ min: 0 }),
+    ...priceWatchThresholdValidation,
+    body('targetPrice').custom((targetPrice, { req }) => {
+      if (targetPrice == null && req.body.dropPercent == null) {
+        throw new Error('Set a target price or a drop percentage');
+      }
+      return true;
+    })
+  ],
+  priceWatchController.create
+);
+
+// @route   GET /api/flights/price-watches
+// @desc    List the current user's price watches
+// @access  Private
+router.get('/price-watches', protect, priceWatchController.getMine);
+
+// @route   GET /api/flights/price-watches/:id
+// @desc    Get a price watch with its price history
+// @access  Private
+router.get('/price-watches/:id', protect, priceWatchController.getOne);
+
+// @route   PATCH /api/flights/price-watches/:id
+// @desc    Pause or resume a price watch or change its thresholds
+// @access  Private
+router.patch(
+  '/price-watches/:id',
+  protect,
+  [
+    body('status', 'Status must be active or paused').optional().isIn(['active', 'paused']),
+    ...priceWatchThresholdValidation
+  ],
+  priceWatchController.update
+);
+
+// @route   DELETE /api/flights/price-watches/:id
+// @desc    Delete a price watch
+// @access  Private
+router.delete('/price-watches/:id', protect, priceWatchController.remove);
+
+// @route   POST /api/flights/group-requests
+// @desc    Ask the group desk for a fare for more than nine passengers
+// @access  Private
+router.post(
+  '/group-requests',
+  protect,
+  [
+    body('tripType', 'Trip type must be oneway or roundtrip').optional().isIn(['oneway', 'roundtrip']),
+    body('origin', 'Origin must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode),
+    body('destination', 'Destination must be a 3-letter airport code').isLength({ min: 3, max: 3 }).bail().custom(validateAirportCode)
+      .custom((destination, { req }) => {
+        if (String(destination).toUpperCase() === String(req.body.origin).toUpperCase()) {
+          throw new Error('Origin and destination must be different');
+        }
+        return true;
+      }),
+    body('departureDate', 'Departure date must be a future date').isISO8601().isAfter(),
+    body('returnDate', 'Return date is required for round trips').if(body('tripType').equals('roundtrip')).isISO8601()
+      .custom((returnDate, { req }) => {
+        if (new Date(returnDate) < new Date(req.body.departureDate)) {
+          throw new Error('Return date must be on or after the departure date');
+        }
+        return true;
+      }),
+    body('flexibleDates', 'Flexible dates must be a boolean').optional().isBoolean().toBoolean(),
+    body('adults', 'Adults must be a positive number').isInt({ min: 1 }).toInt(),
+    body('children', 'Children must be a positive number').optional().isInt({ min: 0 }).toInt(),
+    body('infants', 'Infants must be a positive number').optional().isInt({ min: 0 }).toInt(),
+    body('adults').custom((adults, { req }) => {
+      const total = Number(adults) + Number(req.body.children || 0) + Number(req.body.infants || 0);
+      if (total <= MAX_ONLINE_PASSENGERS) {
+        throw new Error(`Group requests are for more than ${MAX_ONLINE_PASSENGERS} passengers; smaller parties can book online`);
+      }
+      if (Number(req.body.infants || 0) > Number(adults)) {
+        throw new Error('Number of infants cannot exceed number of adults');
+      }
+      return true;
+    }),
+    body('cabinClass', 'Invalid cabin class').optional().isIn(['Economy', 'Premium Economy', 'Business', 'First']),
+    body('preferredAirlines', 'Preferred airlines must be a list of airline codes').optional().isArray(),
+    body('preferredAirlines.*', 'Airline code must be 2 characters').isLength({ min: 2, max: 2 }),
+    body('expectedFarePerPerson', 'Expected fare must be a positive number').optional().isFloat({ min: 0 }),
+    body('currency', 'Currency must be a 3-letter code').optional().isLength({ min: 3, max: 3 }),
+    body('groupType', `Group type must be one of ${GROUP_TYPES.join(', ')}`).optional().isIn(GROUP_TYPES),
+    body('organization', 'Organization must be text').optional().isString().isLength({ max: 200 }),
+    body('notes', 'Notes must be text').optional().isString().isLength({ max: 2000 }),
+    body('contact.name', 'Contact name must be text').optional().isString().isLength({ max: 100 }),
+    body('contact.email', 'Valid contact email is required').optional().isEmail(),
+    body('contact.phone', 'Contact phone is required').not().isEmpty()
+  ],
+  groupBookingController.create
+);
+
+// @route   GET /api/flights/group-requests/mine
+// @desc    List the current user's group requests
+// @access  Private
+router.get('/group-requests/mine', protect, groupBookingController.getMine);
+
+// @route   GET /api/flights/group-requests
+// @desc    List all group requests
+// @access  Private/Admin
+router.get('/group-requests', protect, restrictTo('admin'), groupBookingController.getAll);
+
+// @route   GET /api/flights/group-requests/:id
+// @desc    Get a group request and its quote
+// @access  Private (owner or admin)
+router.get('/group-requests/:id', protect, groupBookingController.getOne);
+
+// @route   POST /api/flights/group-requests/:id/quote
+// @desc    Send the customer a group fare
+// @access  Private/Admin
+router.post(
+  '/group-requests/:id/quote',
+  protect,
+  restrictTo('admin'),
+  [
+    body('totalFare', 'Total fare must be a positive number').isFloat({ min: 0 }).toFloat(),
+    body('currency', 'Currency must be a 3-letter code').optional().isLength({ min: 3, max: 3 }),
+    body('airline', 'Airline must be text').optional().isString().isLength({ max: 100 }),
+    body('itinerary', 'Itinerary must be text').optional().isString().isLength({ max: 2000 }),
+    body('conditions', 'Conditions must be text').optional().isString().isLength({ max: 2000 }),
+    body('validUntil', 'Valid until must be a future date').isISO8601().isAfter()
+  ],
+  groupBookingController.quote
+);
+
+// @route   POST /api/flights/group-requests/:id/accept
+// @desc    Accept the quoted group fare
+// @access  Private (owner)
+router.post('/group-requests/:id/accept', protect, groupBookingController.accept);
+
+// @route   POST /api/flights/group-requests/:id/decline
+// @desc    Decline the quoted group fare
+// @access  Private (owner)
+router.post('/group-requests/:id/decline', protect, groupBookingController.decline);
+
+/**
+ * Validation for markup rules; on update every field is optional
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Validate an update
+ * @returns {Array} Validation chains
+ */
+const markupRuleValidation = ({ partial = false } = {}) => {
+  const required = (field, message) => (partial ? body(field, message).optional() : body(field, message));
+
+  return [
+    required('name', 'Name is required (up to 100 characters)').isString().bail().trim().isLength({ min: 1, max: 100 }),
+    required('calculation', 'Calculation must be fixed or percentage').isIn(['fixed', 'percentage']),
+    required('value', 'Value must be a positive number').isFloat({ min: 0 }).bail()
+      .custom((value, { req }) => {
+        if (req.body.calculation === 'percentage' && Number(value) > 100) {
+          throw new Error('Percentage must be between 0 and 100');
+        }
+        return true;
+      }),
+    body('description', 'Description must be text').optional().isString().isLength({ max: 500 }),
+    body('airlines', 'Airlines must be a list of airline codes').optional().isArray(),
+    body('airlines.*', 'Airline codes have 2 characters').isString().isLength({ min: 2, max: 2 }),
+    body('origins', 'Origins must be a list of airport codes').optional().isArray(),
+    body('origins.*').custom(validateAirportCode),
+    body('destinations', 'Destinations must be a list of airport codes').optional().isArray(),
+    body('destinations.*').custom(validateAirportCode),
+    body('cabinClasses', 'Cabin classes must be a list').optional().isArray(),
+    body('cabinClasses.*', `Cabin class must be one of ${CABIN_CLASSES.join(', ')}`).isIn(CABIN_CLASSES),
+    body('journeyScope', 'Journey scope must be all, domestic or international').optional().isIn(['all', 'domestic', 'international']),
+    body('validFrom', 'Start date must be a valid date').optional({ values: 'null' }).isISO8601(),
+    body('validTo', 'End date must be a valid date').optional({ values: 'null' }).isISO8601().bail()
+      .custom((validTo, { req }) => {
+        if (req.body.validFrom && new Date(validTo) < new Date(req.body.validFrom)) {
+          throw new Error('End date must be after the start date');
+        }
+        return true;
+      }),
+    body('adjustmentType', 'Adjustment type must be markup or discount').optional().isIn(['markup', 'discount']),
+    body('per', 'Per must be booking or passenger').optional().isIn(['booking', 'passenger']),
+    body('priority', 'Priority must be a whole number').optional().isInt().toInt(),
+    body('isActive', 'isActive must be a boolean').optional().isBoolean().toBoolean()
+  ];
+};
+
+// @route   POST /api/flights/markup-rules
+// @desc    Create a markup or discount rule
+// @access  Private/Admin
+router.post('/markup-rules', protect, restrictTo('admin'), markupRuleValidation(), markupRuleController.create);
+
+// @route   GET /api/flights/markup-rules
+// @desc    List markup rules, highest priority first
+// @access  Private/Admin
+router.get('/markup-rules', protect, restrictTo('admin'), markupRuleController.getAll);
+
+// @route   GET /api/flights/markup-rules/:id
+// @desc    Get a markup rule
+// @access  Private/Admin
+router.get('/markup-rules/:id', protect, restrictTo('admin'), markupRuleController.getOne);
+
+// @route   PATCH /api/flights/markup-rules/:id
+// @desc    Update a markup rule
+// @access  Private/Admin
+router.patch('/markup-rules/:id', protect, restrictTo('admin'), markupRuleValidation({ partial: true }), markupRuleController.update);
+
+// @route   DELETE /api/flights/markup-rules/:id
+// @desc    Delete a markup rule
+// @access  Private/Admin
+router.delete('/markup-rules/:id', protect, restrictTo('admin'), markupRuleController.remove);
+
+// @route   GET /api/flights/reconciliation-reports
+// @desc    List nightly reconciliation runs against the supplier
+// @access  Private/Admin
+router.get('/reconciliation-reports', protect, restrictTo('admin'), reconciliationController.getAll);
+
+// @route   POST /api/flights/reconciliation-reports
+// @desc    Start a reconciliation run now
+// @access  Private/Admin
+router.post('/reconciliation-reports', protect, restrictTo('admin'), reconciliationController.run);
+
+// @route   GET /api/flights/reconciliation-reports/:id
+// @desc    Get a reconciliation report with its mismatches
+// @access  Private/Admin
+router.get('/reconciliation-reports/:id', protect, restrictTo('admin'), reconciliationController.getOne);
+
+// @route   PATCH /api/flights/reconciliation-reports/:id/mismatches/:mismatchId
+// @desc    Mark a mismatch as handled
+// @access  Private/Admin
+router.patch(
+  '/reconciliation-reports/:id/mismatches/:mismatchId',
+  protect,
+  restrictTo('admin'),
+  [
+    body('note', 'Note must be text').optional().isString().isLength({ max: 500 })
+  ],
+  reconciliationController.resolve
+);
+
 export default router;
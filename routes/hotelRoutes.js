@@ -1,30 +1,73 @@
 import express from 'express';
 import {
     search,
+    getSearchResults,
     getDetails,
     preBook,
     book,
     getBooking,
+    cancelBooking,
+    getSupplierBooking,
+    getMyBookings,
+    getAllBookings,
     getHotelCodes,
     searchCities
 } from '../controllers/hotelController.js';
+import {
+    registerHotel,
+    getMyHotels,
+    getPartnerHotel,
+    updatePartnerHotel,
+    receiveHotelDocuments,
+    uploadHotelDocuments,
+    getHotelDocument,
+    getPartnerHotels,
+    approveHotel,
+    rejectHotel
+} from '../controllers/hotelPartner.controller.js';
+import {
+    getRoomTypes,
+    createRoomType,
+    updateRoomType,
+    getRatePlans,
+    createRatePlan,
+    updateRatePlan,
+    getAvailability,
+    updateAvailability
+} from '../controllers/hotelInventory.controller.js';
+import { protect, restrictTo } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Search hotels
 router.post('/search', search);
 
+// Filter, sort or page an earlier search (by its searchId)
+router.post('/search/:searchId', getSearchResults);
+
 // Get hotel details
 router.post('/details', getDetails);
 
 // Pre-book hotel
 router.post('/prebook', preBook);
 
-// Confirm booking
-router.post('/book', book);
+// Confirm booking (stored for the logged-in user)
+router.post('/book', protect, book);
+
+// Current user's hotel bookings
+router.get('/my-bookings', protect, getMyBookings);
 
-// Get booking details
-router.get('/booking/:bookingId', getBooking);
+// All hotel bookings (admin)
+router.get('/bookings', protect, restrictTo('admin'), getAllBookings);
+
+// One hotel booking (owner or admin)
+router.get('/bookings/:id', protect, getBooking);
+
+// Deprecated: TBO booking details by TBO BookingId (owner or admin); use /bookings/:id?refresh=true
+router.get('/booking/:bookingId', protect, getSupplierBooking);
+
+// Cancel a direct booking before check-in (owner or admin)
+router.patch('/bookings/:id/cancel', protect, cancelBooking);
 
 // Search hotel codes
 router.get('/hotel-codes', getHotelCodes);
@@ -32,7 +75,44 @@ router.get('/hotel-codes', getHotelCodes);
 // Search cities
 router.get('/search-cities', searchCities);
 
-// Register a new hotel
-// router.post('/register', register);
+// Register a new partner hotel (pending admin review)
+router.post('/register', protect, registerHotel);
+
+// Current partner's hotels
+router.get('/partners/mine', protect, getMyHotels);
+
+// Review queue (admin)
+router.get('/partners', protect, restrictTo('admin'), getPartnerHotels);
+
+// One registration (owner or admin); owners can edit and resubmit until approved
+router.route('/partners/:id')
+    .get(protect, getPartnerHotel)
+    .patch(protect, updatePartnerHotel);
+
+// Upload verification documents (up to 5 files per request)
+router.post('/partners/:id/documents', protect, receiveHotelDocuments, uploadHotelDocuments);
+
+// Download a verification document (owner or admin); documents are not publicly served
+router.get('/partners/:id/documents/:documentId', protect, getHotelDocument);
+
+// Approve or reject a registration (admin)
+router.patch('/partners/:id/approve', protect, restrictTo('admin'), approveHotel);
+router.patch('/partners/:id/reject', protect, restrictTo('admin'), rejectHotel);
+
+// Room types and rate plans of an approved hotel (its owner, a hotel-owner once approved, or an admin)
+router.route('/partners/:id/room-types')
+    .get(protect, restrictTo('hotel-owner', 'admin'), getRoomTypes)
+    .post(protect, restrictTo('hotel-owner', 'admin'), createRoomType);
+router.patch('/partners/:id/room-types/:roomTypeId', protect, restrictTo('hotel-owner', 'admin'), updateRoomType);
+
+router.route('/partners/:id/rate-plans')
+    .get(protect, restrictTo('hotel-owner', 'admin'), getRatePlans)
+    .post(protect, restrictTo('hotel-owner', 'admin'), createRatePlan);
+router.patch('/partners/:id/rate-plans/:ratePlanId', protect, restrictTo('hotel-owner', 'admin'), updateRatePlan);
+
+// Inventory and price calendar; PUT takes bulk date-range updates
+router.route('/partners/:id/availability')
+    .get(protect, restrictTo('hotel-owner', 'admin'), getAvailability)
+    .put(protect, restrictTo('hotel-owner', 'admin'), updateAvailability);
 
 export default router;
\ No newline at end of file
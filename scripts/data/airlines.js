@@ -0,0 +1,57 @@
+// Seed data for the Airline collection: [code, name, countryCode, isLCC]
+
+export const AIRLINES = [
+  // India
+  ['AI', 'Air India', 'IN', false],
+  ['6E', 'IndiGo', 'IN', true],
+  ['SG', 'SpiceJet', 'IN', true],
+  ['IX', 'Air India Express', 'IN', true],
+  ['QP', 'Akasa Air', 'IN', true],
+  ['9I', 'Alliance Air', 'IN', false],
+  ['S5', 'Star Air', 'IN', true],
+  ['2T', 'Fly91', 'IN', true],
+
+  // Middle East
+  ['EK', 'Emirates', 'AE', false],
+  ['EY', 'Etihad Airways', 'AE', false],
+  ['FZ', 'flydubai', 'AE', true],
+  ['G9', 'Air Arabia', 'AE', true],
+  ['QR', 'Qatar Airways', 'QA', false],
+  ['WY', 'Oman Air', 'OM', false],
+  ['GF', 'Gulf Air', 'BH', false],
+  ['KU', 'Kuwait Airways', 'KW', false],
+  ['SV', 'Saudia', 'SA', false],
+
+  // Asia Pacific
+  ['SQ', 'Singapore Airlines', 'SG', false],
+  ['TR', 'Scoot', 'SG', true],
+  ['TG', 'Thai Airways', 'TH', false],
+  ['FD', 'Thai AirAsia', 'TH', true],
+  ['MH', 'Malaysia Airlines', 'MY', false],
+  ['AK', 'AirAsia', 'MY', true],
+  ['D7', 'AirAsia X', 'MY', true],
+  ['UL', 'SriLankan Airlines', 'LK', false],
+  ['RA', 'Nepal Airlines', 'NP', false],
+  ['BG', 'Biman Bangladesh Airlines', 'BD', false],
+  ['CX', 'Cathay Pacific', 'HK', false],
+  ['JL', 'Japan Airlines', 'JP', false],
+  ['NH', 'All Nippon Airways', 'JP', false],
+  ['VN', 'Vietnam Airlines', 'VN', false],
+  ['VJ', 'VietJet Air', 'VN', true],
+  ['QF', 'Qantas', 'AU', false],
+
+  // Europe
+  ['BA', 'British Airways', 'GB', false],
+  ['VS', 'Virgin Atlantic', 'GB', false],
+  ['AF', 'Air France', 'FR', false],
+  ['LH', 'Lufthansa', 'DE', false],
+  ['KL', 'KLM Royal Dutch Airlines', 'NL', false],
+  ['LX', 'Swiss International Air Lines', 'CH', false],
+  ['TK', 'Turkish Airlines', 'TR', false],
+
+  // North America
+  ['UA', 'United Airlines', 'US', false],
+  ['AA', 'American Airlines', 'US', false],
+  ['DL', 'Delta Air Lines', 'US', false],
+  ['AC', 'Air Canada', 'CA', false],
+];
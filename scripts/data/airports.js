@@ -0,0 +1,174 @@
+// Seed data for the Airport collection: [code, name, city, countryCode, timezone, priority, cityCode?]
+// Priority orders autocomplete results; busy domestic airports rank first.
+
+export const COUNTRIES = {
+  IN: 'India',
+  AE: 'United Arab Emirates',
+  QA: 'Qatar',
+  OM: 'Oman',
+  BH: 'Bahrain',
+  KW: 'Kuwait',
+  SA: 'Saudi Arabia',
+  SG: 'Singapore',
+  TH: 'Thailand',
+  MY: 'Malaysia',
+  ID: 'Indonesia',
+  LK: 'Sri Lanka',
+  NP: 'Nepal',
+  BD: 'Bangladesh',
+  MV: 'Maldives',
+  HK: 'Hong Kong',
+  JP: 'Japan',
+  CN: 'China',
+  VN: 'Vietnam',
+  AU: 'Australia',
+  GB: 'United Kingdom',
+  FR: 'France',
+  DE: 'Germany',
+  NL: 'Netherlands',
+  CH: 'Switzerland',
+  IT: 'Italy',
+  TR: 'Turkey',
+  US: 'United States',
+  CA: 'Canada',
+};
+
+// Former or alternative city names, matched by the airport autocomplete
+export const ALIASES = {
+  DEL: ['Delhi'],
+  BOM: ['Bombay'],
+  BLR: ['Bangalore'],
+  MAA: ['Madras'],
+  CCU: ['Calcutta'],
+  PNQ: ['Poona'],
+  COK: ['Cochin', 'Ernakulam'],
+  TRV: ['Trivandrum'],
+  IXE: ['Mangalore'],
+  CCJ: ['Calicut'],
+  VTZ: ['Vizag'],
+  IXB: ['Bagdogra', 'Darjeeling'],
+  IXZ: ['Sri Vijaya Puram'],
+  IXU: ['Chhatrapati Sambhajinagar'],
+  HBX: ['Hubli'],
+  BDQ: ['Baroda'],
+  TRZ: ['Trichy'],
+  GOI: ['Dabolim'],
+  GOX: ['Mopa'],
+  SGN: ['Saigon'],
+  MLE: ['Maldives'],
+  DPS: ['Bali'],
+};
+
+export const AIRPORTS = [
+  // India
+  ['DEL', 'Indira Gandhi International Airport', 'New Delhi', 'IN', 'Asia/Kolkata', 100],
+  ['BOM', 'Chhatrapati Shivaji Maharaj International Airport', 'Mumbai', 'IN', 'Asia/Kolkata', 100],
+  ['BLR', 'Kempegowda International Airport', 'Bengaluru', 'IN', 'Asia/Kolkata', 95],
+  ['HYD', 'Rajiv Gandhi International Airport', 'Hyderabad', 'IN', 'Asia/Kolkata', 90],
+  ['MAA', 'Chennai International Airport', 'Chennai', 'IN', 'Asia/Kolkata', 90],
+  ['CCU', 'Netaji Subhas Chandra Bose International Airport', 'Kolkata', 'IN', 'Asia/Kolkata', 90],
+  ['AMD', 'Sardar Vallabhbhai Patel International Airport', 'Ahmedabad', 'IN', 'Asia/Kolkata', 80],
+  ['PNQ', 'Pune Airport', 'Pune', 'IN', 'Asia/Kolkata', 80],
+  ['GOI', 'Dabolim Airport', 'Goa', 'IN', 'Asia/Kolkata', 75],
+  ['GOX', 'Manohar International Airport', 'Goa', 'IN', 'Asia/Kolkata', 70],
+  ['COK', 'Cochin International Airport', 'Kochi', 'IN', 'Asia/Kolkata', 75],
+  ['JAI', 'Jaipur International Airport', 'Jaipur', 'IN', 'Asia/Kolkata', 70],
+  ['LKO', 'Chaudhary Charan Singh International Airport', 'Lucknow', 'IN', 'Asia/Kolkata', 70],
+  ['GAU', 'Lokpriya Gopinath Bordoloi International Airport', 'Guwahati', 'IN', 'Asia/Kolkata', 65],
+  ['TRV', 'Thiruvananthapuram International Airport', 'Thiruvananthapuram', 'IN', 'Asia/Kolkata', 60],
+  ['PAT', 'Jay Prakash Narayan Airport', 'Patna', 'IN', 'Asia/Kolkata', 60],
+  ['SXR', 'Sheikh ul-Alam International Airport', 'Srinagar', 'IN', 'Asia/Kolkata', 60],
+  ['IXC', 'Chandigarh International Airport', 'Chandigarh', 'IN', 'Asia/Kolkata', 60],
+  ['BBI', 'Biju Patnaik International Airport', 'Bhubaneswar', 'IN', 'Asia/Kolkata', 60],
+  ['NAG', 'Dr. Babasaheb Ambedkar International Airport', 'Nagpur', 'IN', 'Asia/Kolkata', 55],
+  ['IDR', 'Devi Ahilyabai Holkar Airport', 'Indore', 'IN', 'Asia/Kolkata', 55],
+  ['VNS', 'Lal Bahadur Shastri International Airport', 'Varanasi', 'IN', 'Asia/Kolkata', 55],
+  ['ATQ', 'Sri Guru Ram Dass Jee International Airport', 'Amritsar', 'IN', 'Asia/Kolkata', 55],
+  ['CJB', 'Coimbatore International Airport', 'Coimbatore', 'IN', 'Asia/Kolkata', 55],
+  ['IXB', 'Bagdogra Airport', 'Siliguri', 'IN', 'Asia/Kolkata', 50],
+  ['VTZ', 'Visakhapatnam International Airport', 'Visakhapatnam', 'IN', 'Asia/Kolkata', 50],
+  ['IXE', 'Mangaluru International Airport', 'Mangaluru', 'IN', 'Asia/Kolkata', 50],
+  ['CCJ', 'Calicut International Airport', 'Kozhikode', 'IN', 'Asia/Kolkata', 50],
+  ['RPR', 'Swami Vivekananda Airport', 'Raipur', 'IN', 'Asia/Kolkata', 45],
+  ['IXR', 'Birsa Munda Airport', 'Ranchi', 'IN', 'Asia/Kolkata', 45],
+  ['BDQ', 'Vadodara Airport', 'Vadodara', 'IN', 'Asia/Kolkata', 45],
+  ['STV', 'Surat International Airport', 'Surat', 'IN', 'Asia/Kolkata', 40],
+  ['IXZ', 'Veer Savarkar International Airport', 'Port Blair', 'IN', 'Asia/Kolkata', 45],
+  ['IXL', 'Kushok Bakula Rimpochee Airport', 'Leh', 'IN', 'Asia/Kolkata', 45],
+  ['IXJ', 'Jammu Airport', 'Jammu', 'IN', 'Asia/Kolkata', 45],
+  ['DED', 'Jolly Grant Airport', 'Dehradun', 'IN', 'Asia/Kolkata', 45],
+  ['UDR', 'Maharana Pratap Airport', 'Udaipur', 'IN', 'Asia/Kolkata', 45],
+  ['JDH', 'Jodhpur Airport', 'Jodhpur', 'IN', 'Asia/Kolkata', 40],
+  ['BHO', 'Raja Bhoj Airport', 'Bhopal', 'IN', 'Asia/Kolkata', 40],
+  ['IXM', 'Madurai Airport', 'Madurai', 'IN', 'Asia/Kolkata', 40],
+  ['TRZ', 'Tiruchirappalli International Airport', 'Tiruchirappalli', 'IN', 'Asia/Kolkata', 40],
+  ['IMF', 'Bir Tikendrajit International Airport', 'Imphal', 'IN', 'Asia/Kolkata', 40],
+  ['IXA', 'Maharaja Bir Bikram Airport', 'Agartala', 'IN', 'Asia/Kolkata', 40],
+  ['DIB', 'Dibrugarh Airport', 'Dibrugarh', 'IN', 'Asia/Kolkata', 35],
+  ['GAY', 'Gaya Airport', 'Gaya', 'IN', 'Asia/Kolkata', 30],
+  ['AGR', 'Agra Airport', 'Agra', 'IN', 'Asia/Kolkata', 30],
+  ['HBX', 'Hubballi Airport', 'Hubballi', 'IN', 'Asia/Kolkata', 30],
+  ['TIR', 'Tirupati Airport', 'Tirupati', 'IN', 'Asia/Kolkata', 35],
+  ['VGA', 'Vijayawada Airport', 'Vijayawada', 'IN', 'Asia/Kolkata', 35],
+  ['IXU', 'Aurangabad Airport', 'Aurangabad', 'IN', 'Asia/Kolkata', 30],
+  ['RAJ', 'Rajkot International Airport', 'Rajkot', 'IN', 'Asia/Kolkata', 30],
+  ['DHM', 'Kangra Airport', 'Dharamshala', 'IN', 'Asia/Kolkata', 25],
+  ['KUU', 'Bhuntar Airport', 'Kullu', 'IN', 'Asia/Kolkata', 25],
+
+  // Middle East
+  ['DXB', 'Dubai International Airport', 'Dubai', 'AE', 'Asia/Dubai', 85],
+  ['DWC', 'Al Maktoum International Airport', 'Dubai', 'AE', 'Asia/Dubai', 30],
+  ['AUH', 'Zayed International Airport', 'Abu Dhabi', 'AE', 'Asia/Dubai', 70],
+  ['SHJ', 'Sharjah International Airport', 'Sharjah', 'AE', 'Asia/Dubai', 65],
+  ['DOH', 'Hamad International Airport', 'Doha', 'QA', 'Asia/Qatar', 70],
+  ['MCT', 'Muscat International Airport', 'Muscat', 'OM', 'Asia/Muscat', 60],
+  ['BAH', 'Bahrain International Airport', 'Manama', 'BH', 'Asia/Bahrain', 50],
+  ['KWI', 'Kuwait International Airport', 'Kuwait City', 'KW', 'Asia/Kuwait', 55],
+  ['RUH', 'King Khalid International Airport', 'Riyadh', 'SA', 'Asia/Riyadh', 55],
+  ['JED', 'King Abdulaziz International Airport', 'Jeddah', 'SA', 'Asia/Riyadh', 55],
+  ['DMM', 'King Fahd International Airport', 'Dammam', 'SA', 'Asia/Riyadh', 45],
+
+  // Asia Pacific
+  ['SIN', 'Singapore Changi Airport', 'Singapore', 'SG', 'Asia/Singapore', 80],
+  ['BKK', 'Suvarnabhumi Airport', 'Bangkok', 'TH', 'Asia/Bangkok', 75],
+  ['DMK', 'Don Mueang International Airport', 'Bangkok', 'TH', 'Asia/Bangkok', 50],
+  ['HKT', 'Phuket International Airport', 'Phuket', 'TH', 'Asia/Bangkok', 55],
+  ['KUL', 'Kuala Lumpur International Airport', 'Kuala Lumpur', 'MY', 'Asia/Kuala_Lumpur', 70],
+  ['DPS', 'Ngurah Rai International Airport', 'Denpasar', 'ID', 'Asia/Makassar', 55],
+  ['CGK', 'Soekarno-Hatta International Airport', 'Jakarta', 'ID', 'Asia/Jakarta', 50],
+  ['CMB', 'Bandaranaike International Airport', 'Colombo', 'LK', 'Asia/Colombo', 60],
+  ['KTM', 'Tribhuvan International Airport', 'Kathmandu', 'NP', 'Asia/Kathmandu', 60],
+  ['DAC', 'Hazrat Shahjalal International Airport', 'Dhaka', 'BD', 'Asia/Dhaka', 55],
+  ['MLE', 'Velana International Airport', 'Male', 'MV', 'Indian/Maldives', 60],
+  ['HKG', 'Hong Kong International Airport', 'Hong Kong', 'HK', 'Asia/Hong_Kong', 65],
+  ['NRT', 'Narita International Airport', 'Tokyo', 'JP', 'Asia/Tokyo', 55],
+  ['HND', 'Haneda Airport', 'Tokyo', 'JP', 'Asia/Tokyo', 55],
+  ['PVG', 'Shanghai Pudong International Airport', 'Shanghai', 'CN', 'Asia/Shanghai', 45],
+  ['PEK', 'Beijing Capital International Airport', 'Beijing', 'CN', 'Asia/Shanghai', 45],
+  ['SGN', 'Tan Son Nhat International Airport', 'Ho Chi Minh City', 'VN', 'Asia/Ho_Chi_Minh', 45],
+  ['HAN', 'Noi Bai International Airport', 'Hanoi', 'VN', 'Asia/Ho_Chi_Minh', 45],
+  ['SYD', 'Sydney Kingsford Smith Airport', 'Sydney', 'AU', 'Australia/Sydney', 55],
+  ['MEL', 'Melbourne Airport', 'Melbourne', 'AU', 'Australia/Melbourne', 55],
+
+  // Europe
+  ['LHR', 'Heathrow Airport', 'London', 'GB', 'Europe/London', 75, 'LON'],
+  ['LGW', 'Gatwick Airport', 'London', 'GB', 'Europe/London', 50, 'LON'],
+  ['MAN', 'Manchester Airport', 'Manchester', 'GB', 'Europe/London', 45],
+  ['CDG', 'Charles de Gaulle Airport', 'Paris', 'FR', 'Europe/Paris', 65, 'PAR'],
+  ['FRA', 'Frankfurt Airport', 'Frankfurt', 'DE', 'Europe/Berlin', 65],
+  ['MUC', 'Munich Airport', 'Munich', 'DE', 'Europe/Berlin', 50],
+  ['AMS', 'Amsterdam Airport Schiphol', 'Amsterdam', 'NL', 'Europe/Amsterdam', 60],
+  ['ZRH', 'Zurich Airport', 'Zurich', 'CH', 'Europe/Zurich', 50],
+  ['FCO', 'Leonardo da Vinci Fiumicino Airport', 'Rome', 'IT', 'Europe/Rome', 50],
+  ['IST', 'Istanbul Airport', 'Istanbul', 'TR', 'Europe/Istanbul', 55],
+
+  // North America
+  ['JFK', 'John F. Kennedy International Airport', 'New York', 'US', 'America/New_York', 70, 'NYC'],
+  ['EWR', 'Newark Liberty International Airport', 'Newark', 'US', 'America/New_York', 55, 'NYC'],
+  ['ORD', "O'Hare International Airport", 'Chicago', 'US', 'America/Chicago', 55],
+  ['SFO', 'San Francisco International Airport', 'San Francisco', 'US', 'America/Los_Angeles', 60],
+  ['LAX', 'Los Angeles International Airport', 'Los Angeles', 'US', 'America/Los_Angeles', 55],
+  ['IAD', 'Washington Dulles International Airport', 'Washington', 'US', 'America/New_York', 50],
+  ['YYZ', 'Toronto Pearson International Airport', 'Toronto', 'CA', 'America/Toronto', 60],
+  ['YVR', 'Vancouver International Airport', 'Vancouver', 'CA', 'America/Vancouver', 50],
+];
@@ -0,0 +1,59 @@
+// seedReferenceData.js
+// Seeds the Airport and Airline collections. Safe to re-run: records are
+// upserted by code, so edits to the data files are applied on the next run.
+//
+//   npm run seed:reference
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Airport from '../models/airport.model.js';
+import Airline from '../models/airline.model.js';
+import { AIRPORTS, ALIASES, COUNTRIES } from './data/airports.js';
+import { AIRLINES } from './data/airlines.js';
+
+dotenv.config();
+
+const LOGO_BASE_URL = process.env.AIRLINE_LOGO_BASE_URL || 'https://pics.avs.io/200/80';
+
+const upsertByCode = (Model, docs) => Model.bulkWrite(docs.map(doc => ({
+  updateOne: {
+    filter: { code: doc.code },
+    update: { $set: doc },
+    upsert: true
+  }
+})));
+
+async function seed() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const airports = AIRPORTS.map(([code, name, city, countryCode, timezone, priority, cityCode]) => ({
+    code,
+    name,
+    city,
+    cityCode: cityCode || code,
+    aliases: ALIASES[code] || [],
+    country: COUNTRIES[countryCode],
+    countryCode,
+    timezone,
+    priority
+  }));
+  const airportResult = await upsertByCode(Airport, airports);
+  console.log(`🛫 Airports: ${airportResult.upsertedCount} added, ${airportResult.modifiedCount} updated`);
+
+  const airlines = AIRLINES.map(([code, name, countryCode, isLCC]) => ({
+    code,
+    name,
+    country: COUNTRIES[countryCode] || countryCode,
+    logoUrl: `${LOGO_BASE_URL}/${code}.png`,
+    isLCC
+  }));
+  const airlineResult = await upsertByCode(Airline, airlines);
+  console.log(`✈️  Airlines: ${airlineResult.upsertedCount} added, ${airlineResult.modifiedCount} updated`);
+}
+
+seed()
+  .catch(error => {
+    console.error('❌ Seeding reference data failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
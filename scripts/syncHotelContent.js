@@ -0,0 +1,33 @@
+// syncHotelContent.js
+// Fills the HotelContent collection from the TBO hotel code lists and hotel
+// details. Pass TBO city codes to sync those cities; without arguments the
+// cities in HOTEL_CONTENT_CITY_CODES and those already stored are synced.
+//
+//   npm run sync:hotel-content -- 130443 115936
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import { runHotelContentSyncJob } from '../jobs/hotelContentSyncJob.js';
+
+dotenv.config();
+
+async function sync() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('✅ Connected to MongoDB');
+
+  const summary = await runHotelContentSyncJob(process.argv.slice(2));
+  summary.results.forEach(result => {
+    console.log(`🏨 City ${result.cityCode}: ${result.hotels} hotels (${result.added} new, ${result.deactivated} deactivated), details for ${result.detailsUpdated}${result.detailsFailed ? `, ${result.detailsFailed} failed` : ''}`);
+  });
+
+  if (summary.failed.length > 0) {
+    console.error(`❌ Failed cities: ${summary.failed.join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+sync()
+  .catch(error => {
+    console.error('❌ Hotel content sync failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -21,6 +21,10 @@ import hotelRoutes from './routes/hotelRoutes.js';
 import faqsRoutes from './routes/faqs.routes.js';
 import dynamicFieldRoutes from './routes/dynamicField.routes.js';
 import cabRoutes from './routes/cab.routes.js';
+import { startPriceWatchJob } from './jobs/priceWatchJob.js';
+import { startHoldReleaseJob } from './jobs/holdReleaseJob.js';
+import { startReconciliationJob } from './jobs/flightReconciliationJob.js';
+import { startHotelContentSyncJob } from './jobs/hotelContentSyncJob.js';
 
 // Configure __dirname for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -86,7 +90,15 @@ const corsOptions = {
 app.use(cors(corsOptions));
 
 // Other middleware
-app.use(express.json({ limit: '10kb' }));
+app.use(express.json({
+  limit: '10kb',
+  // Payment webhooks are signed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/flights/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
 app.use(morgan('dev'));
@@ -213,6 +225,12 @@ const startServer = async () => {
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
     });
 
+    // Background jobs
+    startPriceWatchJob();
+    startHoldReleaseJob();
+    startReconciliationJob();
+    startHotelContentSyncJob();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.log('UNHANDLED REJECTION! 💥 Shutting down...');
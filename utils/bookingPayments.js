@@ -0,0 +1,162 @@
+import Payment from '../models/payment.model.js';
+import * as paymentGateway from './paymentGateway.js';
+import { createFlightError } from './flightResponse.js';
+import logger from './logger.js';
+
+/**
+ * Payment steps shared by the booking endpoints: check that a verified payment
+ * may pay for a booking, take it (capture) and give it back (refund) when the
+ * booking fails.
+ */
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * SSR option ids per passenger in a stable order, so the selections paid for
+ * can be compared with the selections booked
+ * @param {Array<Object>} [passengers] - Passengers with optional `ssr` option ids
+ * @returns {Array<Array<string>>} Sorted selections per passenger
+ */
+export const normalizeSSRSelections = (passengers = []) =>
+  passengers.map(passenger => (passenger.ssr || []).map(String).sort());
+
+/**
+ * Load a verified payment that the user has not spent yet
+ * @param {string} paymentId - Payment record id
+ * @param {Object} user - Current user
+ * @param {string} purpose - Expected payment purpose
+ * @returns {Promise<Object>} Payment document
+ * @throws {Error} PAYMENT_NOT_FOUND, PAYMENT_MISMATCH, PAYMENT_NOT_COMPLETED or PAYMENT_ALREADY_USED
+ */
+export const findUsablePayment = async (paymentId, user, purpose) => {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment || !payment.user.equals(user._id)) {
+    throw createFlightError(404, 'PAYMENT_NOT_FOUND', 'No payment found with that ID');
+  }
+  if (payment.purpose !== purpose) {
+    throw createFlightError(400, 'PAYMENT_MISMATCH', 'This payment was made for something else');
+  }
+  if (!['authorized', 'captured'].includes(payment.status)) {
+    throw createFlightError(402, 'PAYMENT_NOT_COMPLETED', `Payment is ${payment.status}; complete and verify the payment first`);
+  }
+  if (payment.usedAt) {
+    throw createFlightError(409, 'PAYMENT_ALREADY_USED', 'This payment has already been used for a booking');
+  }
+
+  return payment;
+};
+
+/**
+ * Check that a new booking payment was made for this fare quote and these SSR selections
+ * @param {Object} payment - Payment document
+ * @param {Object} quote - Verified quote token payload
+ * @param {Array<Object>} passengers - Passengers from the booking request
+ * @throws {Error} PAYMENT_MISMATCH
+ */
+export const assertPaymentMatchesQuote = (payment, quote, passengers) => {
+  const paidFor = payment.quote || {};
+  const sameSelections = JSON.stringify(paidFor.ssrSelections || []) === JSON.stringify(normalizeSSRSelections(passengers));
+
+  if (paidFor.resultIndex !== String(quote.resultIndex) || paidFor.traceId !== quote.traceId ||
+    paidFor.fare !== quote.fare || !sameSelections) {
+    throw createFlightError(400, 'PAYMENT_MISMATCH', 'The payment does not match this flight, fare or seat, meal and baggage selection');
+  }
+};
+
+/**
+ * Reserve a payment for a booking and capture it if it is only authorized.
+ * The reservation is atomic, so two requests cannot spend the same payment.
+ * @param {Object} payment - Payment document from findUsablePayment
+ * @param {Object} booking - FlightBooking document
+ * @returns {Promise<Object>} Captured payment document
+ */
+export const collectPayment = async (payment, booking) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: payment._id, usedAt: { $exists: false }, status: { $in: ['authorized', 'captured'] } },
+    { usedAt: new Date(), booking: booking._id },
+    { new: true }
+  );
+
+  if (!claimed) {
+    throw createFlightError(409, 'PAYMENT_ALREADY_USED', 'This payment has already been used for a booking');
+  }
+
+  if (claimed.status === 'authorized') {
+    try {
+      await paymentGateway.capturePayment({
+        paymentId: claimed.providerPaymentId,
+        amount: claimed.amount,
+        currency: claimed.currency
+      });
+    } catch (error) {
+      // Free the payment again; the booking was not paid for
+      await Payment.updateOne({ _id: claimed._id }, { $unset: { usedAt: 1, ...(claimed.purpose === 'flight_booking' && { booking: 1 }) } });
+      throw error;
+    }
+    claimed.status = 'captured';
+    claimed.capturedAt = new Date();
+    await claimed.save();
+  }
+
+  return claimed;
+};
+
+/**
+ * Refund what is left of a captured payment. Payments that were never
+ * captured need no refund; their authorization lapses at the gateway.
+ * @param {Object} payment - Payment document
+ * @param {string} reason - Why the payment is refunded
+ * @returns {Promise<?Object>} The refund entry, or null when nothing was refunded
+ */
+export const refundCapturedPayment = async (payment, reason) => {
+  const amount = round(payment.amount - (payment.refundedAmount || 0));
+
+  if (payment.status !== 'captured' || amount <= 0) {
+    return null;
+  }
+
+  const refund = await paymentGateway.refundPayment({
+    paymentId: payment.providerPaymentId,
+    amount,
+    reason
+  });
+
+  payment.refunds.push({
+    refundId: refund.refundId,
+    amount: refund.amount,
+    status: refund.status === 'processed' ? 'processed' : 'pending',
+    reason,
+    ...(refund.status === 'processed' && { processedAt: new Date() })
+  });
+  payment.refundedAmount = round((payment.refundedAmount || 0) + refund.amount);
+  payment.status = 'refunded';
+  await payment.save();
+
+  logger.info('Payment refunded:', { paymentId: payment._id, amount: refund.amount, reason });
+  return payment.refunds[payment.refunds.length - 1];
+};
+
+/**
+ * Refund a failed booking's payment and record the outcome on the booking.
+ * Never throws: a refund that fails is logged for a manual refund.
+ * @param {Object} booking - Failed FlightBooking document (saved by the caller)
+ * @param {?Object} payment - Payment document taken for the booking
+ * @returns {Promise<void>}
+ */
+export const refundFailedBooking = async (booking, payment) => {
+  if (!payment) {
+    return;
+  }
+
+  try {
+    const refund = await refundCapturedPayment(payment, `Booking ${booking.bookingReference || booking._id} failed`);
+    if (refund) {
+      booking.paymentStatus = 'refunded';
+      booking.statusHistory.push({ status: booking.status, note: `Payment of ${payment.currency} ${refund.amount} refunded` });
+    }
+  } catch (error) {
+    logger.error('Refund of failed booking failed:', { bookingId: booking._id, paymentId: payment._id, error: error.message });
+    booking.statusHistory.push({ status: booking.status, note: `Automatic refund failed, refund manually: ${error.message}` });
+  }
+};
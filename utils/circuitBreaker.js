@@ -0,0 +1,123 @@
+/**
+ * Circuit breaker for calls to an external service.
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - calls fail fast until the cool-down has passed
+ * half_open - one trial call is let through; success closes the breaker,
+ *             failure opens it again
+ *
+ * Only outages count as failures (timeouts, connection errors, 5xx). Business
+ * errors mean the service is up and reset the count.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name shown on the health endpoint
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the breaker
+   * @param {number} [options.resetTimeoutMs=30000] - Time the breaker stays open before a trial call
+   */
+  constructor(name, { failureThreshold = 5, resetTimeoutMs = 30 * 1000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastFailure = null;
+    this.lastSuccessAt = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0 };
+  }
+
+  /**
+   * Whether a call may be made now. In half_open only one trial call is allowed
+   * at a time; the caller must report its outcome.
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected += 1;
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastSuccessAt = new Date();
+    this.stats.successes += 1;
+  }
+
+  /**
+   * @param {Error} error - The outage that was seen
+   */
+  recordFailure(error) {
+    this.failures += 1;
+    this.stats.failures += 1;
+    this.lastFailure = { message: error?.message, at: new Date() };
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Seconds until an open breaker allows a trial call
+   * @returns {number}
+   */
+  getRetryAfterSeconds() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+  }
+
+  /**
+   * State for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    // Report half_open as soon as the cool-down has passed, not only after the next call
+    const state = this.state === 'open' && this.getRetryAfterSeconds() === 0 ? 'half_open' : this.state;
+
+    return {
+      name: this.name,
+      state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryAfterSeconds: this.getRetryAfterSeconds(),
+      lastFailure: this.lastFailure,
+      lastSuccessAt: this.lastSuccessAt,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+const breakers = new Map();
+
+/**
+ * Get (or create) the breaker for a name
+ * @param {string} name - Breaker name, e.g. the base URL it protects
+ * @param {Object} [options] - CircuitBreaker options, used when it is created
+ * @returns {CircuitBreaker}
+ */
+export const getCircuitBreaker = (name, options) => {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, options));
+  }
+  return breakers.get(name);
+};
+
+export default CircuitBreaker;
@@ -0,0 +1,266 @@
+import Hotel from '../models/Hotel.js';
+import RoomType from '../models/roomType.model.js';
+import RatePlan from '../models/ratePlan.model.js';
+import RoomAvailability from '../models/roomAvailability.model.js';
+import AppError from './appError.js';
+import { withRooms } from './hotelOffer.js';
+
+/**
+ * Inventory of directly contracted hotels: turns the availability calendar
+ * into hotel offers for search (same shape as TBO offers, see utils/hotelOffer.js)
+ * and reserves rooms when a direct rate is booked.
+ *
+ * Direct rates are recognised by their booking code, `DIRECT|<rate plan id>`.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOOKING_CODE_PREFIX = 'DIRECT|';
+
+// Star categories of models/Hotel.js; other categories are unrated
+const STAR_CATEGORIES = { 1: 1, 2: 2, 3: 3, 4: 4 };
+
+const FACILITY_NAMES = { hasWifi: 'Free WiFi', hasPool: 'Swimming Pool', hasRestaurant: 'Restaurant' };
+
+/**
+ * Read a calendar date ('2025-01-31' or a Date) as UTC midnight
+ * @param {string|Date} value - Date
+ * @returns {?Date} UTC midnight, or null when the date is invalid
+ */
+export const toCalendarDate = (value) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * List the calendar dates between two dates
+ * @param {string|Date} from - First date
+ * @param {string|Date} to - Last date (inclusive) or check-out date (exclusive)
+ * @param {Object} [options]
+ * @param {boolean} [options.inclusive=false] - Include `to`
+ * @returns {Array<Date>} Dates at UTC midnight
+ */
+export const listDates = (from, to, { inclusive = false } = {}) => {
+  const start = toCalendarDate(from);
+  const end = toCalendarDate(to);
+  if (!start || !end) return [];
+
+  const dates = [];
+  for (let time = start.getTime(); inclusive ? time <= end.getTime() : time < end.getTime(); time += DAY_MS) {
+    dates.push(new Date(time));
+  }
+  return dates;
+};
+
+/**
+ * Build the booking code of a direct rate
+ * @param {string} ratePlanId - RatePlan id
+ * @returns {string}
+ */
+export const toDirectBookingCode = ratePlanId => `${BOOKING_CODE_PREFIX}${ratePlanId}`;
+
+/**
+ * Read the rate plan id of a direct booking code
+ * @param {string} bookingCode - Booking code from search
+ * @returns {?string} RatePlan id, or null for supplier booking codes
+ */
+export const parseDirectBookingCode = bookingCode => (
+  typeof bookingCode === 'string' && bookingCode.startsWith(BOOKING_CODE_PREFIX)
+    ? bookingCode.slice(BOOKING_CODE_PREFIX.length)
+    : null
+);
+
+/**
+ * Price a rate plan for a stay from its calendar nights
+ * @param {Object} ratePlan - RatePlan document
+ * @param {Array<Object>} nights - RoomAvailability entries of the room type, one per night
+ * @param {number} nightCount - Nights in the stay
+ * @param {number} rooms - Rooms wanted
+ * @returns {?number} Total price, or null when the rate cannot be sold for the stay
+ */
+const priceStay = (ratePlan, nights, nightCount, rooms) => {
+  if (nights.length !== nightCount || nightCount < ratePlan.minStay) return null;
+
+  let total = 0;
+  for (const night of nights) {
+    const price = night.prices instanceof Map ? night.prices.get(String(ratePlan._id)) : night.prices?.[ratePlan._id];
+    if (night.stopSell || night.allotment - night.booked < rooms || !(price >= 0)) return null;
+    total += price;
+  }
+
+  return total * rooms;
+};
+
+const readMapLocation = (mapLocation = '') => {
+  const [latitude, longitude] = String(mapLocation).split(/[,|]/).map(parseFloat);
+  return isNaN(latitude) || isNaN(longitude) ? { latitude: null, longitude: null } : { latitude, longitude };
+};
+
+/**
+ * Build search offers from the calendars of approved hotels in a city
+ * @param {Object} params
+ * @param {string} params.city - City name (matched against the hotel's contact city)
+ * @param {string} params.checkIn - Check-in date
+ * @param {string} params.checkOut - Check-out date
+ * @param {number} [params.rooms=1] - Rooms wanted
+ * @param {number} [params.adults=1] - Adults in total
+ * @param {number} [params.children=0] - Children in total
+ * @returns {Promise<Array<Object>>} Hotel offers with source 'direct'
+ */
+export const findDirectHotelOffers = async ({ city, checkIn, checkOut, rooms = 1, adults = 1, children = 0 }) => {
+  const nights = listDates(checkIn, checkOut);
+  if (nights.length === 0) return [];
+
+  const hotels = await Hotel.find({ status: 'approved', 'contact.city': city })
+    .collation({ locale: 'en', strength: 2 })
+    .lean();
+  if (hotels.length === 0) return [];
+
+  const hotelIds = hotels.map(hotel => hotel._id);
+  const [roomTypes, ratePlans, calendar] = await Promise.all([
+    RoomType.find({ hotel: { $in: hotelIds }, isActive: true }),
+    RatePlan.find({ hotel: { $in: hotelIds }, isActive: true }),
+    RoomAvailability.find({ hotel: { $in: hotelIds }, date: { $in: nights } }).lean()
+  ]);
+
+  // Guests are spread evenly over the rooms
+  const adultsPerRoom = Math.ceil(adults / rooms);
+  const childrenPerRoom = Math.ceil(children / rooms);
+
+  return hotels.reduce((offers, hotel) => {
+    const hotelRooms = roomTypes
+      .filter(roomType => roomType.hotel.equals(hotel._id) && roomType.fits(adultsPerRoom, childrenPerRoom))
+      .flatMap(roomType => {
+        const roomNights = calendar.filter(night => night.roomType.equals(roomType._id));
+
+        return ratePlans
+          .filter(ratePlan => ratePlan.roomType.equals(roomType._id))
+          .map(ratePlan => ({ ratePlan, totalFare: priceStay(ratePlan, roomNights, nights.length, rooms) }))
+          .filter(({ totalFare }) => totalFare !== null)
+          .map(({ ratePlan, totalFare }) => ({
+            name: `${roomType.name} - ${ratePlan.name}`,
+            bookingCode: toDirectBookingCode(ratePlan._id),
+            mealType: ratePlan.mealPlan,
+            mealPlan: ratePlan.mealPlan,
+            totalFare,
+            totalTax: 0,
+            isRefundable: ratePlan.cancellation.refundable,
+            cancelPolicies: ratePlan.cancelPoliciesFor(nights[0]),
+            inclusion: ratePlan.inclusions || null
+          }));
+      });
+
+    if (hotelRooms.length > 0) {
+      offers.push(withRooms({
+        hotelCode: String(hotel._id),
+        source: 'direct',
+        name: hotel.name,
+        starRating: STAR_CATEGORIES[hotel.category] || 0,
+        address: hotel.contact.address,
+        ...readMapLocation(hotel.contact.mapLocation),
+        facilities: Object.keys(FACILITY_NAMES).filter(key => hotel.facilities?.[key]).map(key => FACILITY_NAMES[key]),
+        image: null,
+        currency: ratePlans.find(ratePlan => ratePlan.hotel.equals(hotel._id))?.currency || 'INR',
+        distanceKm: null
+      }, hotelRooms));
+    }
+    return offers;
+  }, []);
+};
+
+/**
+ * Load and price a direct rate for a stay
+ * @param {Object} params
+ * @param {string} params.ratePlanId - RatePlan id from the booking code
+ * @param {string} params.checkIn - Check-in date
+ * @param {string} params.checkOut - Check-out date
+ * @param {number} [params.rooms=1] - Rooms wanted
+ * @param {number} [params.adultsPerRoom=1] - Most adults in one room
+ * @param {number} [params.childrenPerRoom=0] - Most children in one room
+ * @returns {Promise<Object>} { hotel, roomType, ratePlan, nights, totalFare, currency }
+ * @throws {AppError} 404 for an unknown rate, 400 when the guests do not fit the room type,
+ * 409 when the stay is no longer available
+ */
+export const quoteDirectStay = async ({ ratePlanId, checkIn, checkOut, rooms = 1, adultsPerRoom = 1, childrenPerRoom = 0 }) => {
+  const ratePlan = await RatePlan.findById(ratePlanId).catch(() => null);
+  const roomType = ratePlan?.isActive && await RoomType.findById(ratePlan.roomType);
+  const hotel = roomType?.isActive && await Hotel.findById(ratePlan.hotel);
+
+  if (!hotel || hotel.status !== 'approved') {
+    throw new AppError('This rate is no longer offered', 404);
+  }
+  // Same occupancy rule as search (findDirectHotelOffers)
+  if (!roomType.fits(adultsPerRoom, childrenPerRoom)) {
+    throw new AppError(
+      `${roomType.name} takes at most ${roomType.maxAdults} adults, ${roomType.maxChildren} children and ${roomType.maxOccupancy} guests per room`,
+      400
+    );
+  }
+
+  const nights = listDates(checkIn, checkOut);
+  const calendar = await RoomAvailability.find({ roomType: roomType._id, date: { $in: nights } }).lean();
+  const totalFare = nights.length > 0 ? priceStay(ratePlan, calendar, nights.length, rooms) : null;
+
+  if (totalFare === null) {
+    throw new AppError('These rooms are no longer available for your dates', 409);
+  }
+
+  return { hotel, roomType, ratePlan, nights, totalFare, currency: ratePlan.currency };
+};
+
+/**
+ * Give back rooms taken by reserveDirectRooms
+ * @param {string} roomTypeId - RoomType id
+ * @param {Array<Date>} nights - Nights to release
+ * @param {number} rooms - Rooms per night
+ */
+export const releaseDirectRooms = async (roomTypeId, nights, rooms) => {
+  await RoomAvailability.updateMany(
+    { roomType: roomTypeId, date: { $in: nights }, booked: { $gte: rooms } },
+    { $inc: { booked: -rooms } }
+  );
+};
+
+/**
+ * Give back the rooms of a cancelled direct booking
+ * @param {Object} booking - HotelBooking document with a direct booking code
+ */
+export const releaseDirectBooking = async (booking) => {
+  const ratePlan = await RatePlan.findById(parseDirectBookingCode(booking.bookingCode)).select('roomType');
+  if (!ratePlan) {
+    throw new AppError('The rate of this booking no longer exists; release its rooms in the calendar', 404);
+  }
+
+  await releaseDirectRooms(ratePlan.roomType, listDates(booking.checkIn, booking.checkOut), booking.rooms.length);
+};
+
+/**
+ * Take rooms out of the calendar, night by night. Each night is claimed only
+ * if enough rooms are still free, so two bookings cannot oversell the last room;
+ * nights already claimed are given back when a later one is sold out.
+ * @param {Object} quote - Result of quoteDirectStay
+ * @param {number} rooms - Rooms per night
+ * @throws {AppError} 409 when a night sold out in the meantime
+ */
+export const reserveDirectRooms = async ({ roomType, nights }, rooms) => {
+  const claimed = [];
+
+  for (const date of nights) {
+    const result = await RoomAvailability.updateOne(
+      {
+        roomType: roomType._id,
+        date,
+        stopSell: false,
+        $expr: { $gte: [{ $subtract: ['$allotment', '$booked'] }, rooms] }
+      },
+      { $inc: { booked: rooms } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseDirectRooms(roomType._id, claimed, rooms);
+      throw new AppError('These rooms were just sold out for your dates', 409);
+    }
+    claimed.push(date);
+  }
+};
@@ -0,0 +1,161 @@
+import PDFDocument from 'pdfkit';
+
+/**
+ * E-ticket PDF for a ticketed FlightBooking, attached to the ticketing email
+ * and served again from GET /api/flights/bookings/:id/ticket.
+ */
+
+const PASSENGER_TYPE_LABELS = { ADT: 'Adult', CHD: 'Child', INF: 'Infant' };
+
+const MARGIN = 50;
+const MUTED = '#666666';
+const ACCENT = '#2b4c7e';
+
+// Supplier times are airport-local wall-clock times stored without a zone, so
+// they are formatted in the server zone they were parsed in
+const formatDateTime = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? String(value)
+    : date.toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+const formatAmount = (amount, currency) => `${currency} ${Number(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Draw a row of columns at the current position
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array<string>} values - Cell values
+ * @param {Array<number>} widths - Column widths
+ * @param {Object} [options]
+ * @param {boolean} [options.header=false] - Draw as a header row
+ */
+const drawRow = (doc, values, widths, { header = false } = {}) => {
+  // Start a new page before a row can overflow the bottom margin
+  if (doc.y + 40 > doc.page.height - MARGIN) {
+    doc.addPage();
+  }
+
+  const y = doc.y;
+  let x = MARGIN;
+
+  doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor(header ? ACCENT : 'black');
+  const heights = values.map((value, index) => {
+    doc.text(value ?? '-', x, y, { width: widths[index] - 6 });
+    x += widths[index];
+    return doc.y - y;
+  });
+
+  doc.x = MARGIN;
+  doc.y = y + Math.max(...heights) + 4;
+};
+
+const drawSectionTitle = (doc, title) => {
+  doc.moveDown(0.8);
+  doc.x = MARGIN;
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(ACCENT).text(title);
+  doc.moveTo(MARGIN, doc.y + 2).lineTo(doc.page.width - MARGIN, doc.y + 2).strokeColor('#cccccc').stroke();
+  doc.moveDown(0.5);
+};
+
+/**
+ * Render the e-ticket of a booking
+ * @param {Object} booking - FlightBooking document (or plain object)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const generateETicketPdf = (booking) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `E-ticket ${booking.bookingReference}` } });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const currency = booking.fare?.currency || 'INR';
+  const segments = booking.segments || [];
+  const passengers = booking.passengers || [];
+
+  // Header
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(ACCENT).text(process.env.EMAIL_FROM_NAME || 'GoingBo');
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED).text('Electronic ticket / itinerary receipt');
+  doc.moveDown();
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor('black').text(`Airline PNR: ${booking.pnr || '-'}`);
+  doc.font('Helvetica').fontSize(10)
+    .text(`Booking reference: ${booking.bookingReference || '-'}`)
+    .text(`Status: ${String(booking.status || '').toUpperCase()}`)
+    .text(`Issued: ${formatDateTime(booking.ticketedAt || booking.updatedAt)}`);
+
+  // Passengers
+  drawSectionTitle(doc, 'Passengers');
+  const passengerWidths = [30, 220, 80, 165];
+  drawRow(doc, ['#', 'Name', 'Type', 'Ticket number'], passengerWidths, { header: true });
+  passengers.forEach((p, index) => {
+    const name = [p.title, p.firstName, p.lastName].filter(Boolean).join(' ');
+    drawRow(doc, [
+      String(index + 1),
+      p.status === 'CANCELLED' ? `${name} (cancelled)` : name,
+      PASSENGER_TYPE_LABELS[p.passengerType] || p.passengerType,
+      p.ticketNumber || 'Pending'
+    ], passengerWidths);
+  });
+
+  // Flights
+  drawSectionTitle(doc, 'Flights');
+  const segmentWidths = [75, 150, 150, 60, 60];
+  drawRow(doc, ['Flight', 'Departure', 'Arrival', 'Class', 'Status'], segmentWidths, { header: true });
+  segments.forEach(s => {
+    drawRow(doc, [
+      [s.airline, s.flightNumber].filter(Boolean).join(' ') + (s.airlineName ? `\n${s.airlineName}` : ''),
+      `${s.origin}${s.originTerminal ? ` T${s.originTerminal}` : ''}\n${formatDateTime(s.departureTime)}`,
+      `${s.destination}${s.destinationTerminal ? ` T${s.destinationTerminal}` : ''}\n${formatDateTime(s.arrivalTime)}`,
+      s.bookingClass || s.cabinClass || '-',
+      s.status || 'Confirmed'
+    ], segmentWidths);
+  });
+
+  // Baggage
+  drawSectionTitle(doc, 'Baggage allowance');
+  const baggageWidths = [165, 165, 165];
+  drawRow(doc, ['Sector', 'Check-in', 'Cabin'], baggageWidths, { header: true });
+  segments.forEach(s => {
+    drawRow(doc, [`${s.origin} - ${s.destination}`, s.baggage || '-', s.cabinBaggage || '-'], baggageWidths);
+  });
+
+  const extras = passengers.flatMap(p => (p.ssr || []).map(ssr => ({ passenger: `${p.firstName} ${p.lastName}`, ...ssr })));
+  if (extras.length > 0) {
+    doc.moveDown(0.5);
+    drawRow(doc, ['Passenger', 'Extra', 'Sector'], baggageWidths, { header: true });
+    extras.forEach(e => {
+      drawRow(doc, [e.passenger, e.description || `${e.type} ${e.code}`, e.origin ? `${e.origin} - ${e.destination}` : 'All'], baggageWidths);
+    });
+  }
+
+  // Fare
+  drawSectionTitle(doc, 'Fare summary');
+  const fare = booking.fare || {};
+  const fareWidths = [300, 195];
+  [
+    ['Base fare', fare.baseFare],
+    ['Taxes and fees', fare.tax],
+    ['Other charges', fare.otherCharges],
+    ['Seats, meals and baggage', fare.ancillaries]
+  ]
+    .filter(([, amount]) => amount)
+    .forEach(([label, amount]) => drawRow(doc, [label, formatAmount(amount, currency)], fareWidths));
+  drawRow(doc, ['Total paid', formatAmount(fare.totalFare, currency)], fareWidths, { header: true });
+
+  // Notes
+  doc.moveDown(1.5);
+  doc.x = MARGIN;
+  doc.font('Helvetica').fontSize(8).fillColor(MUTED).text(
+    'Carry a valid photo ID (passport for international travel) and this e-ticket to the airport. ' +
+    'Check-in usually closes 45 minutes before domestic and 60 minutes before international departures. ' +
+    'All flight times are local to the airport.'
+  );
+
+  doc.end();
+});
+
+export default generateETicketPdf;
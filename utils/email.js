@@ -75,6 +75,114 @@ const templates = {
       <p>Please respond to this inquiry at your earliest convenience.</p>
     </div>
   `,
+    priceDrop: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">Good news, the fare dropped!</h2>
+      <p>Hello ${data.name || 'Traveller'},</p>
+      <p>The lowest fare for a flight you are watching has dropped:</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p><strong>Route:</strong> ${data.origin} &rarr; ${data.destination}</p>
+        <p><strong>Departure:</strong> ${data.departureDate}</p>
+        <p><strong>Lowest fare now:</strong> ${data.currency} ${data.price}${data.airline ? ` (${data.airline})` : ''}</p>
+        ${data.previousPrice ? `<p><strong>Previously:</strong> ${data.currency} ${data.previousPrice}</p>` : ''}
+        ${data.targetPrice ? `<p><strong>Your target:</strong> ${data.currency} ${data.targetPrice}</p>` : ''}
+      </div>
+      <p>Fares change quickly, so book soon to get this price. You can pause or delete this alert from your account at any time.</p>
+      <p>Best regards,<br>${process.env.EMAIL_FROM_NAME || 'Your App Team'}</p>
+    </div>
+  `,
+    eTicket: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">Your flight is confirmed</h2>
+      <p>Hello ${data.name || 'Traveller'},</p>
+      <p>Your tickets have been issued. Your e-ticket is attached to this email.</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p><strong>Airline PNR:</strong> ${data.pnr}</p>
+        <p><strong>Booking reference:</strong> ${data.bookingReference}</p>
+        ${(data.segments || []).map(s => `<p><strong>${s.airline} ${s.flightNumber}:</strong> ${s.origin} &rarr; ${s.destination}, ${s.departureTime}</p>`).join('')}
+        <p><strong>Passengers:</strong><br>${(data.passengers || []).map(p => `${p.name}${p.ticketNumber ? ` (ticket ${p.ticketNumber})` : ''}`).join('<br>')}</p>
+        <p><strong>Total paid:</strong> ${data.currency} ${data.totalFare}</p>
+      </div>
+      <p>You can download your e-ticket again at any time from your bookings.</p>
+      <p>Have a pleasant journey!<br>${process.env.EMAIL_FROM_NAME || 'Your App Team'}</p>
+    </div>
+  `,
+    scheduleChange: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">Your flight times have changed</h2>
+      <p>Hello ${data.name || 'Traveller'},</p>
+      <p>The airline has changed the schedule of your booking <strong>${data.bookingReference}</strong> (PNR ${data.pnr}):</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        ${(data.changes || []).map(c => `
+        <p><strong>${c.airline} ${c.flightNumber}:</strong> ${c.origin} &rarr; ${c.destination}<br>
+          Departure: <s>${c.oldDepartureTime}</s> ${c.newDepartureTime}<br>
+          Arrival: <s>${c.oldArrivalTime}</s> ${c.newArrivalTime}</p>`).join('')}
+      </div>
+      <p>Times are local to each airport. If the new times do not suit you, reply to this email or contact us and we will help you with your options.</p>
+      <p>Best regards,<br>${process.env.EMAIL_FROM_NAME || 'Your App Team'}</p>
+    </div>
+  `,
+    groupRequestAdmin: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">${data.accepted ? 'Group quote accepted' : 'New group flight request'}</h2>
+      <p>${data.accepted ? 'The customer has accepted the quote for this group. Please confirm the seats with the airline.' : 'A customer has asked for a group fare:'}</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p><strong>Reference:</strong> ${data.reference}</p>
+        <p><strong>Route:</strong> ${data.origin} &rarr; ${data.destination}${data.returnDate ? ' (return)' : ''}</p>
+        <p><strong>Dates:</strong> ${data.departureDate}${data.returnDate ? ` to ${data.returnDate}` : ''}${data.flexibleDates ? ' (flexible)' : ''}</p>
+        <p><strong>Passengers:</strong> ${data.adults} adults, ${data.children} children, ${data.infants} infants (${data.cabinClass})</p>
+        ${data.expectedFarePerPerson ? `<p><strong>Expected fare:</strong> ${data.currency} ${data.expectedFarePerPerson} per person</p>` : ''}
+        ${data.quotedFare ? `<p><strong>Accepted fare:</strong> ${data.currency} ${data.quotedFare}</p>` : ''}
+        <p><strong>Group:</strong> ${data.groupType}${data.organization ? `, ${data.organization}` : ''}</p>
+        <p><strong>Contact:</strong> ${data.contactName || ''} ${data.contactEmail || ''} ${data.contactPhone || ''}</p>
+        ${data.notes ? `<p><strong>Notes:</strong><br>${data.notes}</p>` : ''}
+      </div>
+    </div>
+  `,
+    groupQuote: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">Your group fare is ready</h2>
+      <p>Hello ${data.name || 'Traveller'},</p>
+      <p>We have a fare for your group request <strong>${data.reference}</strong> (${data.origin} &rarr; ${data.destination}, ${data.passengers} passengers):</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p><strong>Total fare:</strong> ${data.currency} ${data.totalFare}</p>
+        ${data.airline ? `<p><strong>Airline:</strong> ${data.airline}</p>` : ''}
+        ${data.itinerary ? `<p><strong>Flights:</strong><br>${data.itinerary}</p>` : ''}
+        ${data.conditions ? `<p><strong>Conditions:</strong><br>${data.conditions}</p>` : ''}
+        <p><strong>Valid until:</strong> ${data.validUntil}</p>
+      </div>
+      <p>Accept the quote from your account before it expires and our group desk will confirm the seats with you.</p>
+      <p>Best regards,<br>${process.env.EMAIL_FROM_NAME || 'Your App Team'}</p>
+    </div>
+  `,
+    hotelPartnerAdmin: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">${data.resubmitted ? 'Hotel registration resubmitted' : 'New hotel partner registration'}</h2>
+      <p>${data.resubmitted ? 'A rejected hotel registration has been updated and is waiting for review again:' : 'A hotel has registered as a partner and is waiting for review:'}</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p><strong>Hotel:</strong> ${data.hotelName} (${data.category})</p>
+        <p><strong>Registration number:</strong> ${data.registrationNumber}</p>
+        <p><strong>Location:</strong> ${data.city}, ${data.country}</p>
+        <p><strong>Rooms:</strong> ${data.totalRooms}</p>
+        <p><strong>Contact:</strong> ${data.contactName} ${data.contactEmail} ${data.contactPhone}</p>
+        <p><strong>Documents:</strong> ${data.documentCount}</p>
+      </div>
+    </div>
+  `,
+    hotelPartnerStatus: (data) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #e0e0e0; border-radius: 8px;">
+      <h2 style="color: #4a5568;">${{ pending: 'We have received your hotel registration', approved: 'Your hotel has been approved', rejected: 'Your hotel registration needs changes' }[data.status]}</h2>
+      <p>Hello ${data.name || 'Partner'},</p>
+      ${data.status === 'pending' ? `<p>Thank you for registering <strong>${data.hotelName}</strong>. Please upload your verification documents (registration certificate, GST certificate, owner ID) from your partner account if you have not done so yet. Our team will review your registration and get back to you.</p>` : ''}
+      ${data.status === 'approved' ? `<p><strong>${data.hotelName}</strong> is now a partner hotel. You can sign in to your partner account to manage it.</p>` : ''}
+      ${data.status === 'rejected' ? `<p>We could not approve <strong>${data.hotelName}</strong> yet:</p>
+      <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0;">
+        <p>${data.reason}</p>
+      </div>
+      <p>You can update your registration and documents from your partner account and submit it again.</p>` : ''}
+      <p>Best regards,<br>${process.env.EMAIL_FROM_NAME || 'Your App Team'}</p>
+    </div>
+  `,
 };
 
 /**
@@ -84,9 +192,10 @@ const templates = {
  * @param {string} options.subject - Email subject
  * @param {string} options.template - Template name
  * @param {Object} options.data - Data to be used in the template
+ * @param {Array<Object>} [options.attachments] - Nodemailer attachments ({ filename, content, contentType })
  * @returns {Promise}
  */
-const sendEmail = async ({ to, subject, template, data = {} }) => {
+const sendEmail = async ({ to, subject, template, data = {}, attachments }) => {
     try {
         // Validate recipient email
         if (!to) {
@@ -122,6 +231,7 @@ const sendEmail = async ({ to, subject, template, data = {} }) => {
             subject: subject || 'No Subject',
             html,
             text: html.replace(/<[^>]*>/g, ''), // Fallback text version
+            ...(attachments?.length && { attachments }),
         };
 
         console.log('Sending email:', {
@@ -0,0 +1,161 @@
+import { searchFlights, getFlightProviderName } from './flightProvider.js';
+import TTLCache from './ttlCache.js';
+import { applyMarkup } from './markupEngine.js';
+import logger from './logger.js';
+
+/**
+ * Lowest fare per day around a departure date, built from regular searches.
+ * Day minimums are cached longer than full searches: they are only indicative
+ * and the customer reprices the chosen flight before booking anyway.
+ */
+
+const WEEK_RADIUS_DAYS = 3;
+const MAX_CONCURRENT_SEARCHES = 3;
+const DAY_CACHE_TTL_MS = 30 * 60 * 1000;
+
+const dayCache = new TTLCache({ ttlMs: DAY_CACHE_TTL_MS, maxEntries: 5000 });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = date => date.toISOString().slice(0, 10);
+
+/**
+ * List the dates covered by the calendar, skipping days in the past
+ * @param {string} departureDate - Requested departure date (YYYY-MM-DD)
+ * @param {string} range - 'week' (3 days either side) or 'month' (the whole month)
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+export const getCalendarDates = (departureDate, range = 'week') => {
+  const center = new Date(`${departureDate.slice(0, 10)}T00:00:00Z`);
+  const today = toDateString(new Date());
+  let start;
+  let end;
+
+  if (range === 'month') {
+    start = new Date(Date.UTC(center.getUTCFullYear(), center.getUTCMonth(), 1));
+    end = new Date(Date.UTC(center.getUTCFullYear(), center.getUTCMonth() + 1, 0));
+  } else {
+    start = new Date(center.getTime() - WEEK_RADIUS_DAYS * DAY_MS);
+    end = new Date(center.getTime() + WEEK_RADIUS_DAYS * DAY_MS);
+  }
+
+  const dates = [];
+  for (let day = start.getTime(); day <= end.getTime(); day += DAY_MS) {
+    const date = toDateString(new Date(day));
+    if (date >= today) {
+      dates.push(date);
+    }
+  }
+  return dates;
+};
+
+/**
+ * Map items with at most `limit` promises running at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper
+ * @returns {Promise<Array>} Results in input order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Find the cheapest outbound offer of one day
+ * @param {Object} params - searchFlights parameters for that day
+ * @returns {Promise<Object>} Day summary
+ */
+const searchDay = async (params) => {
+  const { data } = await searchFlights(params);
+  // Day minimums include agency markup so they match the search results
+  const offers = await applyMarkup(data.offers || []);
+  const cheapest = offers
+    .filter(offer => offer.journeyIndex === 0)
+    .reduce((min, offer) => (!min || offer.fare.totalFare < min.fare.totalFare ? offer : min), null);
+
+  return {
+    date: params.departure_date,
+    available: Boolean(cheapest),
+    minFare: cheapest?.fare.totalFare ?? null,
+    currency: cheapest?.fare.currency || data.currency,
+    airline: cheapest?.validatingAirline || null,
+    stops: cheapest ? cheapest.itineraries[0].stops : null
+  };
+};
+
+/**
+ * Get the lowest one-way fare for each day around a departure date
+ * @param {Object} params - Calendar parameters
+ * @param {string} params.origin - Origin airport code
+ * @param {string} params.destination - Destination airport code
+ * @param {string} params.departureDate - Requested departure date (YYYY-MM-DD)
+ * @param {string} [params.range='week'] - 'week' or 'month'
+ * @param {number} [params.adults=1] - Number of adults
+ * @param {number} [params.children=0] - Number of children
+ * @param {number} [params.infants=0] - Number of infants
+ * @param {string} [params.cabinClass='2'] - Cabin class
+ * @returns {Promise<Object>} Calendar with one entry per day
+ */
+export const getFareCalendar = async ({
+  origin,
+  destination,
+  departureDate,
+  range = 'week',
+  adults = 1,
+  children = 0,
+  infants = 0,
+  cabinClass = '2'
+}) => {
+  const route = { origin: origin.trim().toUpperCase(), destination: destination.trim().toUpperCase() };
+  const passengers = { adults: parseInt(adults), children: parseInt(children), infants: parseInt(infants) };
+  const provider = getFlightProviderName();
+
+  const days = await mapWithConcurrency(getCalendarDates(departureDate, range), MAX_CONCURRENT_SEARCHES, async (date) => {
+    const key = JSON.stringify([provider, route.origin, route.destination, date, passengers, String(cabinClass)]);
+    const cached = dayCache.get(key);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    try {
+      const day = await searchDay({
+        ...route,
+        ...passengers,
+        departure_date: date,
+        travelclass: cabinClass,
+        journey_type: '1'
+      });
+      dayCache.set(key, day);
+      return { ...day, cached: false };
+    } catch (error) {
+      // One failed day should not fail the whole calendar
+      logger.warn('Fare calendar day search failed:', { ...route, date, error: error.message });
+      return { date, available: false, minFare: null, currency: null, airline: null, stops: null, cached: false, error: error.code || 'SEARCH_FAILED' };
+    }
+  });
+
+  const cheapest = days
+    .filter(day => day.available)
+    .reduce((min, day) => (!min || day.minFare < min.minFare ? day : min), null);
+
+  return {
+    ...route,
+    departureDate,
+    range,
+    currency: cheapest?.currency || null,
+    cheapestDate: cheapest?.date || null,
+    lowestFare: cheapest?.minFare ?? null,
+    days
+  };
+};
@@ -0,0 +1,66 @@
+import jwt from 'jsonwebtoken';
+import { createFlightError } from './flightResponse.js';
+
+// A quote is only honoured for a short time; TBO fares move quickly
+const QUOTE_TOKEN_TTL_SECONDS = 10 * 60;
+
+const getSecret = () => process.env.QUOTE_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Issue a short-lived token that pins the fare returned by a fare quote
+ * @param {Object} quote - Quoted fare
+ * @param {string} quote.resultIndex - Result index from search
+ * @param {string} quote.traceId - Trace ID from search
+ * @param {number} quote.fare - Quoted selling price
+ * @param {number} [quote.netFare] - Supplier fare before markup
+ * @param {number} [quote.markup] - Markup (negative for discounts) included in the fare
+ * @param {?Object} [quote.markupRule] - Applied markup rule ({ id, name })
+ * @param {string} quote.currency - Fare currency
+ * @param {boolean} [quote.isLCC] - Whether the fare is for a low cost carrier
+ * @param {Object} [quote.journey] - Document rules of the journey (see passengerMapper.describeJourney)
+ * @returns {Object} The token and its expiry date
+ */
+export const issueQuoteToken = ({ resultIndex, traceId, fare, netFare, markup = 0, markupRule = null, currency, isLCC, journey }) => {
+  const token = jwt.sign(
+    { type: 'fare_quote', resultIndex: String(resultIndex), traceId, fare, netFare, markup, markupRule, currency, isLCC: Boolean(isLCC), journey },
+    getSecret(),
+    { expiresIn: QUOTE_TOKEN_TTL_SECONDS }
+  );
+
+  return {
+    quoteToken: token,
+    expiresAt: new Date(Date.now() + QUOTE_TOKEN_TTL_SECONDS * 1000).toISOString()
+  };
+};
+
+/**
+ * Verify a quote token and check it was issued for the flight being booked
+ * @param {string} token - Quote token from the fare quote step
+ * @param {Object} flight - Flight being booked
+ * @param {string} flight.resultIndex - Result index from search
+ * @param {string} flight.traceId - Trace ID from search
+ * @returns {Object} Token payload (fare, netFare, markup, currency, isLCC, journey ...)
+ * @throws {Error} QUOTE_EXPIRED or QUOTE_TOKEN_INVALID
+ */
+export const verifyQuoteToken = (token, { resultIndex, traceId }) => {
+  let payload;
+
+  try {
+    payload = jwt.verify(token, getSecret());
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw createFlightError(410, 'QUOTE_EXPIRED', 'Fare quote has expired. Please reprice the flight before booking');
+    }
+    throw createFlightError(400, 'QUOTE_TOKEN_INVALID', 'Invalid fare quote token');
+  }
+
+  if (
+    payload.type !== 'fare_quote' ||
+    payload.resultIndex !== String(resultIndex) ||
+    (traceId && payload.traceId !== traceId)
+  ) {
+    throw createFlightError(400, 'QUOTE_TOKEN_INVALID', 'Fare quote token does not match the selected flight');
+  }
+
+  return payload;
+};
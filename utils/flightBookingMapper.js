@@ -0,0 +1,121 @@
+/**
+ * Helpers that turn supplier booking/ticketing payloads into the shape stored on
+ * FlightBooking documents. TBO returns either its nested itinerary format
+ * (`Airline.AirlineCode`, `Origin.Airport.AirportCode`, ...) or the flattened
+ * format produced by tboFlightService, so both are accepted.
+ */
+
+const PASSENGER_TYPES = { 1: 'ADT', 2: 'CHD', 3: 'INF' };
+
+const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+const toCode = (value, key) => (value && typeof value === 'object' ? value[key] : value);
+
+/**
+ * Normalize a passenger type (ADT/CHD/INF, 1/2/3 or adult/child/infant)
+ * @param {string|number} type - Supplier or public passenger type
+ * @returns {string} ADT, CHD or INF
+ */
+export const toPassengerType = (type) => {
+  if (PASSENGER_TYPES[type]) return PASSENGER_TYPES[type];
+
+  const normalized = String(type || 'ADT').toUpperCase();
+  if (['CHD', 'CHILD'].includes(normalized)) return 'CHD';
+  if (['INF', 'INFANT'].includes(normalized)) return 'INF';
+  return 'ADT';
+};
+
+/**
+ * Map supplier segments (flat or nested per journey) to booking segments
+ * @param {Array} segments - Supplier segments
+ * @returns {Array<Object>} Booking segments
+ */
+export const toBookingSegments = (segments = []) => (Array.isArray(segments) ? segments.flat() : [])
+  .filter(Boolean)
+  .map(s => ({
+    airline: pick(toCode(s.Airline, 'AirlineCode'), s.airline),
+    airlineName: pick(s.Airline?.AirlineName, s.AirlineName, s.airlineName),
+    flightNumber: pick(s.Airline?.FlightNumber, s.FlightNumber, s.flightNumber),
+    origin: pick(s.Origin?.Airport?.AirportCode, toCode(s.Origin, 'AirportCode'), s.origin),
+    destination: pick(s.Destination?.Airport?.AirportCode, toCode(s.Destination, 'AirportCode'), s.destination),
+    departureTime: pick(s.Origin?.DepTime, s.DepartureTime, s.departureTime),
+    arrivalTime: pick(s.Destination?.ArrTime, s.ArrivalTime, s.arrivalTime),
+    cabinClass: pick(s.CabinClass, s.cabinClass),
+    bookingClass: pick(s.Airline?.FareClass, s.BookingClass, s.bookingClass),
+    aircraftType: pick(s.Craft, s.AircraftType, s.aircraftType),
+    originTerminal: pick(s.Origin?.Airport?.Terminal, s.Terminal),
+    destinationTerminal: s.Destination?.Airport?.Terminal,
+    baggage: pick(s.Baggage, s.BaggageAllowance, s.baggage),
+    cabinBaggage: pick(s.CabinBaggage, s.cabinBaggage),
+    status: pick(s.FlightStatus, s.Status, s.status)
+  }));
+
+/**
+ * Map supplier passengers to booking passengers
+ * @param {Array<Object>} passengers - Supplier passengers (PascalCase or camelCase)
+ * @returns {Array<Object>} Booking passengers
+ */
+export const toBookingPassengers = (passengers = []) => passengers
+  .filter(Boolean)
+  .map(p => ({
+    title: pick(p.Title, p.title),
+    firstName: pick(p.FirstName, p.firstName),
+    lastName: pick(p.LastName, p.lastName),
+    passengerType: toPassengerType(pick(p.PaxType, p.PassengerType, p.passengerType)),
+    gender: pick(p.Gender, p.gender)?.toString(),
+    dateOfBirth: pick(p.DateOfBirth, p.dateOfBirth),
+    nationality: pick(p.Nationality, p.nationality),
+    passportNumber: pick(p.PassportNo, p.PassportNumber),
+    passportExpiry: pick(p.PassportExpiry, p.passportExpiry),
+    isLeadPax: Boolean(pick(p.IsLeadPax, p.isLeadPax)),
+    ticketNumber: pick(p.Ticket?.TicketNumber, p.TicketNumber, p.ticketNumber),
+    status: pick(p.Status, p.status)
+  }));
+
+/**
+ * Map a supplier fare (and optional per passenger type breakdown) to the booking fare
+ * @param {Object} fare - Supplier fare details
+ * @param {Array<Object>} [breakdown] - Supplier fare breakdown
+ * @returns {Object} Booking fare
+ */
+export const toBookingFare = (fare = {}, breakdown = []) => {
+  const baseFare = Number(pick(fare.BaseFare, fare.baseFare, 0));
+  const tax = Number(pick(fare.Tax, fare.tax, 0));
+  const otherCharges = Number(pick(fare.OtherCharges, fare.otherCharges, 0));
+
+  return {
+    baseFare,
+    tax,
+    otherCharges,
+    totalFare: Number(pick(fare.PublishedFare, fare.TotalFare, fare.totalFare, baseFare + tax + otherCharges)),
+    currency: pick(fare.Currency, fare.currency, 'INR'),
+    breakdown: (breakdown || []).map(b => ({
+      passengerType: toPassengerType(pick(b.PassengerType, b.passengerType)),
+      passengerCount: Number(pick(b.PassengerCount, b.passengerCount, 1)),
+      baseFare: Number(pick(b.BaseFare, b.baseFare, 0)),
+      tax: Number(pick(b.Tax, b.tax, 0))
+    }))
+  };
+};
+
+/**
+ * Copy ticket numbers returned at ticketing onto the stored passengers.
+ * Passengers are matched by name, falling back to their position.
+ * @param {Array<Object>} bookingPassengers - Passenger subdocuments of a FlightBooking
+ * @param {Array<Object>} ticketedPassengers - Passengers returned by the ticketing call
+ */
+export const applyTicketNumbers = (bookingPassengers, ticketedPassengers = []) => {
+  const ticketed = toBookingPassengers(ticketedPassengers);
+
+  bookingPassengers.forEach((passenger, index) => {
+    const match = ticketed.find(t =>
+      t.firstName?.toLowerCase() === passenger.firstName?.toLowerCase() &&
+      t.lastName?.toLowerCase() === passenger.lastName?.toLowerCase()
+    ) || ticketed[index];
+
+    if (match?.ticketNumber) {
+      passenger.ticketNumber = match.ticketNumber;
+      passenger.status = match.status || 'TICKETED';
+    }
+  });
+};
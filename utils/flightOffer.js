@@ -0,0 +1,309 @@
+/**
+ * Provider-agnostic flight offer format.
+ *
+ * Every supplier response is mapped to FlightOffer objects before it reaches the
+ * frontend, so the client only ever deals with one contract. Add a mapper here
+ * when a new supplier is integrated.
+ */
+
+/**
+ * @typedef {Object} FlightOfferPlace
+ * @property {string} code - IATA airport code
+ * @property {string} [name] - Airport name
+ * @property {string} [city] - City name
+ * @property {string} [country] - Country code
+ * @property {string} [terminal] - Terminal
+ * @property {string} [timezone] - IANA time zone, from the airport reference data
+ */
+
+/**
+ * @typedef {Object} FlightOfferSegment
+ * @property {{ code: string, name: string, logoUrl?: string }} airline - Marketing airline
+ * @property {string} flightNumber - Flight number including the airline code (e.g. AI-101)
+ * @property {string} [operatingCarrier] - Operating airline code
+ * @property {string} [aircraft] - Aircraft type
+ * @property {string} [cabinClass] - Economy, Premium Economy, Business, First ...
+ * @property {string} [bookingClass] - Fare/booking class
+ * @property {FlightOfferPlace} origin
+ * @property {FlightOfferPlace} destination
+ * @property {string} departureTime - Local departure time (ISO 8601)
+ * @property {string} arrivalTime - Local arrival time (ISO 8601)
+ * @property {number} durationMinutes - Flying time
+ * @property {{ checkIn: ?string, cabin: ?string }} baggage - Baggage allowance
+ */
+
+/**
+ * @typedef {Object} FlightOfferItinerary
+ * @property {string} origin - First departure airport
+ * @property {string} destination - Final arrival airport
+ * @property {string} departureTime
+ * @property {string} arrivalTime
+ * @property {number} durationMinutes - Total journey time including layovers
+ * @property {number} stops - Number of connections
+ * @property {Array<FlightOfferSegment>} segments
+ * @property {Array<{ airport: string, durationMinutes: number }>} layovers
+ */
+
+/**
+ * @typedef {Object} FlightOfferFareBreakdown
+ * @property {string} passengerType - ADT, CHD or INF
+ * @property {number} count - Number of passengers of this type
+ * @property {number} baseFare - Base fare for all passengers of this type
+ * @property {number} taxes - Taxes for all passengers of this type
+ * @property {number} totalFare - Total for all passengers of this type
+ * @property {number} perPassenger - Total for one passenger of this type
+ */
+
+/**
+ * @typedef {Object} FlightOffer
+ * @property {string} id - Unique offer id (`provider:resultIndex`)
+ * @property {string} provider - Supplier the offer came from (tbo, mock ...)
+ * @property {string} resultIndex - Supplier result index, used for fare quote and booking
+ * @property {?string} traceId - Supplier session id
+ * @property {number} journeyIndex - 0 for outbound, 1 for the return list of split round trips
+ * @property {{ code: string, name: string }} validatingAirline
+ * @property {boolean} isLCC - Low cost carrier fare
+ * @property {boolean} isRefundable
+ * @property {Array<FlightOfferItinerary>} itineraries - One per journey leg
+ * @property {{ checkIn: ?string, cabin: ?string }} baggage - Allowance of the first segment
+ * @property {Object} fare - { currency, baseFare, taxes, otherCharges, totalFare, breakdown }
+ * @property {Array<FlightOfferFareBreakdown>} fare.breakdown
+ * @property {?string} lastTicketDate
+ */
+
+const CABIN_CLASSES = {
+  1: 'All',
+  2: 'Economy',
+  3: 'Premium Economy',
+  4: 'Business',
+  5: 'Premium Business',
+  6: 'First'
+};
+
+const PASSENGER_TYPES = { 1: 'ADT', 2: 'CHD', 3: 'INF' };
+
+const round = value => Math.round((Number(value) || 0) * 100) / 100;
+
+const minutesBetween = (from, to) => {
+  const diff = (new Date(to) - new Date(from)) / 60000;
+  return Number.isFinite(diff) && diff > 0 ? Math.round(diff) : 0;
+};
+
+/**
+ * Parse durations such as '2h 30m' into minutes
+ * @param {string|number} duration - Duration text or minutes
+ * @returns {number} Minutes
+ */
+const parseDuration = (duration) => {
+  if (typeof duration === 'number') return duration;
+  const match = String(duration || '').match(/(?:(\d+)\s*h)?\s*(?:(\d+)\s*m)?/i);
+  return match ? (parseInt(match[1] || 0) * 60) + parseInt(match[2] || 0) : 0;
+};
+
+/**
+ * Build an itinerary (stops, layovers, duration) from its ordered segments
+ * @param {Array<FlightOfferSegment>} segments - Segments of one journey leg
+ * @returns {FlightOfferItinerary}
+ */
+const buildItinerary = (segments) => {
+  const first = segments[0] || {};
+  const last = segments[segments.length - 1] || {};
+  const layovers = segments.slice(1).map((segment, index) => ({
+    airport: segment.origin.code,
+    durationMinutes: minutesBetween(segments[index].arrivalTime, segment.departureTime)
+  }));
+  const flyingMinutes = segments.reduce((total, segment) => total + (segment.durationMinutes || 0), 0);
+  const layoverMinutes = layovers.reduce((total, layover) => total + layover.durationMinutes, 0);
+
+  return {
+    origin: first.origin?.code,
+    destination: last.destination?.code,
+    departureTime: first.departureTime,
+    arrivalTime: last.arrivalTime,
+    durationMinutes: flyingMinutes
+      ? flyingMinutes + layoverMinutes
+      : minutesBetween(first.departureTime, last.arrivalTime),
+    stops: Math.max(segments.length - 1, 0),
+    segments,
+    layovers
+  };
+};
+
+/**
+ * Map a TBO airport block to an offer place
+ * @param {Object} place - TBO `Origin` or `Destination`
+ * @returns {FlightOfferPlace}
+ */
+const mapTboPlace = (place = {}) => ({
+  code: place.Airport?.AirportCode,
+  name: place.Airport?.AirportName,
+  city: place.Airport?.CityName,
+  country: place.Airport?.CountryCode,
+  terminal: place.Airport?.Terminal || null
+});
+
+/**
+ * Map a TBO segment to an offer segment
+ * @param {Object} segment - TBO segment
+ * @returns {FlightOfferSegment}
+ */
+const mapTboSegment = (segment) => ({
+  airline: {
+    code: segment.Airline?.AirlineCode,
+    name: segment.Airline?.AirlineName
+  },
+  flightNumber: `${segment.Airline?.AirlineCode}-${segment.Airline?.FlightNumber}`,
+  operatingCarrier: segment.Airline?.OperatingCarrier || null,
+  aircraft: segment.Craft || null,
+  // Mock quotes carry the cabin name instead of TBO's numeric code
+  cabinClass: CABIN_CLASSES[segment.CabinClass] || (Object.values(CABIN_CLASSES).includes(segment.CabinClass) ? segment.CabinClass : null),
+  bookingClass: segment.Airline?.FareClass || null,
+  origin: mapTboPlace(segment.Origin),
+  destination: mapTboPlace(segment.Destination),
+  departureTime: segment.Origin?.DepTime,
+  arrivalTime: segment.Destination?.ArrTime,
+  durationMinutes: Number(segment.Duration) || 0,
+  baggage: {
+    checkIn: segment.Baggage || null,
+    cabin: segment.CabinBaggage || null
+  }
+});
+
+/**
+ * Map one TBO search result to a FlightOffer
+ * @param {Object} result - Entry of TBO `Response.Results`
+ * @param {Object} [context] - Search context
+ * @param {string} [context.traceId] - TBO trace id
+ * @param {number} [context.journeyIndex=0] - Result list the entry came from
+ * @returns {FlightOffer}
+ */
+export const mapTboResultToOffer = (result, { traceId = null, journeyIndex = 0 } = {}) => {
+  // Segments is an array per journey leg; older payloads are flat
+  const segmentGroups = Array.isArray(result.Segments?.[0]) ? result.Segments : [result.Segments || []];
+  const itineraries = segmentGroups.map(group => buildItinerary(group.map(mapTboSegment)));
+  const firstSegment = itineraries[0]?.segments[0];
+  const fare = result.Fare || {};
+
+  return {
+    id: `tbo:${result.ResultIndex}`,
+    provider: 'tbo',
+    resultIndex: result.ResultIndex,
+    traceId,
+    journeyIndex,
+    validatingAirline: {
+      code: result.ValidatingAirline || result.AirlineCode || firstSegment?.airline.code,
+      name: firstSegment?.airline.name
+    },
+    isLCC: Boolean(result.IsLCC),
+    isRefundable: Boolean(result.IsRefundable),
+    itineraries,
+    baggage: firstSegment?.baggage || { checkIn: null, cabin: null },
+    fare: {
+      currency: fare.Currency || 'INR',
+      baseFare: round(fare.BaseFare),
+      taxes: round(fare.Tax),
+      otherCharges: round(fare.OtherCharges),
+      totalFare: round(fare.PublishedFare ?? (Number(fare.BaseFare) + Number(fare.Tax) + Number(fare.OtherCharges || 0))),
+      breakdown: (result.FareBreakdown || []).map(item => {
+        const count = Number(item.PassengerCount) || 1;
+        const totalFare = round(Number(item.BaseFare) + Number(item.Tax));
+        return {
+          passengerType: PASSENGER_TYPES[item.PassengerType] || 'ADT',
+          count,
+          baseFare: round(item.BaseFare),
+          taxes: round(item.Tax),
+          totalFare,
+          perPassenger: round(totalFare / count)
+        };
+      })
+    },
+    lastTicketDate: result.LastTicketDate || null
+  };
+};
+
+/**
+ * Map TBO `Response.Results` (a flat list or one list per journey) to FlightOffers
+ * @param {Array} results - TBO results
+ * @param {Object} [context] - Search context
+ * @param {string} [context.traceId] - TBO trace id
+ * @returns {Array<FlightOffer>}
+ */
+export const mapTboResultsToOffers = (results = [], { traceId = null } = {}) => {
+  const lists = results.some(Array.isArray) ? results : [results];
+
+  return lists.flatMap((list, journeyIndex) => (Array.isArray(list) ? list : [list])
+    .filter(Boolean)
+    .map(result => mapTboResultToOffer(result, { traceId, journeyIndex })));
+};
+
+/**
+ * Map an entry of utils/mockFlights.js to a FlightOffer
+ * @param {Object} flight - Mock flight
+ * @param {Object} [context] - Search context
+ * @param {string} [context.traceId] - Mock session id
+ * @returns {FlightOffer}
+ */
+export const mapMockFlightToOffer = (flight, { traceId = null } = {}) => {
+  const airline = { code: flight.airline, name: flight.airline_name };
+  const baggage = { checkIn: flight.baggage || '15 KG', cabin: flight.cabin_baggage || '7 KG' };
+  const layovers = (flight.layovers || []).map(layover => ({
+    airport: layover.airport,
+    durationMinutes: parseDuration(layover.duration)
+  }));
+  const durationMinutes = parseDuration(flight.duration);
+
+  const segment = {
+    airline,
+    flightNumber: flight.flight_number,
+    operatingCarrier: null,
+    aircraft: flight.aircraft_type || null,
+    cabinClass: flight.cabin_class || null,
+    bookingClass: null,
+    origin: { code: flight.origin, name: flight.origin_name, terminal: null },
+    destination: { code: flight.destination, name: flight.destination_name, terminal: null },
+    departureTime: flight.departure_time,
+    arrivalTime: flight.arrival_time,
+    durationMinutes,
+    baggage
+  };
+
+  return {
+    id: `mock:${flight.result_index}`,
+    provider: 'mock',
+    resultIndex: flight.result_index,
+    traceId,
+    journeyIndex: 0,
+    validatingAirline: airline,
+    isLCC: Boolean(flight.is_lcc),
+    isRefundable: !/non-refundable/i.test(flight.fare_rules || ''),
+    itineraries: [{
+      origin: flight.origin,
+      destination: flight.destination,
+      departureTime: flight.departure_time,
+      arrivalTime: flight.arrival_time,
+      durationMinutes: minutesBetween(flight.departure_time, flight.arrival_time) ||
+        durationMinutes + layovers.reduce((total, layover) => total + layover.durationMinutes, 0),
+      stops: flight.stops || 0,
+      segments: [segment],
+      layovers
+    }],
+    baggage,
+    fare: {
+      currency: flight.price.currency,
+      baseFare: round(flight.price.base),
+      taxes: round(flight.price.taxes),
+      otherCharges: 0,
+      totalFare: round(flight.price.total),
+      breakdown: (flight.price.breakdown || [{ passenger_type: 'ADT', count: 1, base: flight.price.base, taxes: flight.price.taxes }])
+        .map(item => ({
+          passengerType: item.passenger_type,
+          count: item.count,
+          baseFare: round(item.base),
+          taxes: round(item.taxes),
+          totalFare: round(item.base + item.taxes),
+          perPassenger: round((item.base + item.taxes) / item.count)
+        }))
+    },
+    lastTicketDate: null
+  };
+};
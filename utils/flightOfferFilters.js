@@ -0,0 +1,164 @@
+/**
+ * Filtering, sorting and facets for normalized flight offers (see utils/flightOffer.js).
+ * Times are compared as local airport times (HH:mm) because supplier timestamps
+ * carry no offset.
+ */
+
+export const SORT_OPTIONS = ['cheapest', 'fastest', 'earliest', 'best'];
+
+// Weights of the 'best' score; price matters most, then journey time, then stops
+const BEST_WEIGHTS = { price: 0.6, duration: 0.3, stops: 0.1 };
+
+const TIME_OF_DAY = [
+  { key: 'early_morning', label: 'Before 6 AM', from: '00:00', to: '06:00' },
+  { key: 'morning', label: '6 AM - 12 PM', from: '06:00', to: '12:00' },
+  { key: 'afternoon', label: '12 PM - 6 PM', from: '12:00', to: '18:00' },
+  { key: 'evening', label: 'After 6 PM', from: '18:00', to: '24:00' }
+];
+
+const toMinutes = time => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours * 60) + (minutes || 0);
+};
+
+const timeOfDay = dateTime => toMinutes(String(dateTime || '').slice(11, 16));
+
+/**
+ * Check a local timestamp against a window. Windows may wrap past midnight (22:00-06:00).
+ * @param {string} dateTime - Local ISO timestamp
+ * @param {Object} window - { from: 'HH:mm', to: 'HH:mm' }
+ * @returns {boolean}
+ */
+const isWithinWindow = (dateTime, { from = '00:00', to = '24:00' } = {}) => {
+  const minutes = timeOfDay(dateTime);
+  const start = toMinutes(from);
+  const end = toMinutes(to);
+  return start <= end ? minutes >= start && minutes <= end : minutes >= start || minutes <= end;
+};
+
+const maxStops = offer => Math.max(...offer.itineraries.map(itinerary => itinerary.stops));
+
+const totalDuration = offer => offer.itineraries.reduce((total, itinerary) => total + itinerary.durationMinutes, 0);
+
+const longestLayover = offer => Math.max(0, ...offer.itineraries.flatMap(itinerary =>
+  itinerary.layovers.map(layover => layover.durationMinutes)
+));
+
+/**
+ * Filter offers. Stop counts of 2 or more match the `2` stop filter.
+ * @param {Array<Object>} offers - Normalized offers
+ * @param {Object} [filters] - Filters from the search request
+ * @param {Array<number>} [filters.stops] - Allowed stop counts (0, 1, 2 for 2+)
+ * @param {Array<string>} [filters.airlines] - Allowed validating airline codes
+ * @param {number} [filters.minPrice] - Minimum total fare
+ * @param {number} [filters.maxPrice] - Maximum total fare
+ * @param {Object} [filters.departureTime] - Outbound departure window ({ from, to } as HH:mm)
+ * @param {Object} [filters.arrivalTime] - Outbound arrival window ({ from, to } as HH:mm)
+ * @param {boolean} [filters.refundableOnly] - Only refundable fares
+ * @param {number} [filters.maxLayoverMinutes] - Longest layover allowed
+ * @returns {Array<Object>} Matching offers
+ */
+export const filterOffers = (offers, filters = {}) => {
+  const stops = filters.stops?.map(Number);
+  const airlines = filters.airlines?.map(code => String(code).toUpperCase());
+
+  return offers.filter(offer => {
+    const outbound = offer.itineraries[0] || {};
+
+    if (stops?.length && !stops.includes(Math.min(maxStops(offer), 2))) return false;
+    if (airlines?.length && !airlines.includes(offer.validatingAirline.code)) return false;
+    if (filters.minPrice !== undefined && offer.fare.totalFare < Number(filters.minPrice)) return false;
+    if (filters.maxPrice !== undefined && offer.fare.totalFare > Number(filters.maxPrice)) return false;
+    if (filters.departureTime && !isWithinWindow(outbound.departureTime, filters.departureTime)) return false;
+    if (filters.arrivalTime && !isWithinWindow(outbound.arrivalTime, filters.arrivalTime)) return false;
+    if (filters.refundableOnly && !offer.isRefundable) return false;
+    if (filters.maxLayoverMinutes !== undefined && longestLayover(offer) > Number(filters.maxLayoverMinutes)) return false;
+
+    return true;
+  });
+};
+
+/**
+ * Sort offers. Offers stay grouped by journey so split round trips keep their
+ * outbound and return lists apart. Without a sort option the supplier order is kept.
+ * @param {Array<Object>} offers - Normalized offers
+ * @param {string} [sortBy] - cheapest, fastest, earliest or best
+ * @returns {Array<Object>} Sorted copy of the offers
+ */
+export const sortOffers = (offers, sortBy) => {
+  if (!SORT_OPTIONS.includes(sortBy)) {
+    return [...offers];
+  }
+
+  const minPrice = Math.min(...offers.map(offer => offer.fare.totalFare)) || 1;
+  const minDuration = Math.min(...offers.map(totalDuration)) || 1;
+  const score = offer => (BEST_WEIGHTS.price * offer.fare.totalFare / minPrice) +
+    (BEST_WEIGHTS.duration * totalDuration(offer) / minDuration) +
+    (BEST_WEIGHTS.stops * maxStops(offer));
+
+  const compare = {
+    cheapest: (a, b) => a.fare.totalFare - b.fare.totalFare || totalDuration(a) - totalDuration(b),
+    fastest: (a, b) => totalDuration(a) - totalDuration(b) || a.fare.totalFare - b.fare.totalFare,
+    earliest: (a, b) => String(a.itineraries[0]?.departureTime).localeCompare(String(b.itineraries[0]?.departureTime)),
+    best: (a, b) => score(a) - score(b)
+  }[sortBy];
+
+  return [...offers].sort((a, b) => a.journeyIndex - b.journeyIndex || compare(a, b));
+};
+
+/**
+ * Count offers per filter value so the client can render filters
+ * @param {Array<Object>} offers - Normalized offers (before filtering)
+ * @returns {Object} Facets for airlines, stops, price, refundability, departure time and layovers
+ */
+export const buildOfferFacets = (offers) => {
+  const airlines = new Map();
+  const stops = new Map();
+
+  offers.forEach(offer => {
+    const { code, name } = offer.validatingAirline;
+    const price = offer.fare.totalFare;
+    const stopCount = Math.min(maxStops(offer), 2);
+
+    const airline = airlines.get(code) || { code, name, count: 0, minPrice: price };
+    airline.count += 1;
+    airline.minPrice = Math.min(airline.minPrice, price);
+    airlines.set(code, airline);
+
+    const stop = stops.get(stopCount) || { stops: stopCount, count: 0, minPrice: price };
+    stop.count += 1;
+    stop.minPrice = Math.min(stop.minPrice, price);
+    stops.set(stopCount, stop);
+  });
+
+  const prices = offers.map(offer => offer.fare.totalFare);
+  const layovers = offers.map(longestLayover);
+
+  return {
+    airlines: [...airlines.values()].sort((a, b) => b.count - a.count),
+    stops: [...stops.values()].sort((a, b) => a.stops - b.stops),
+    price: {
+      min: prices.length ? Math.min(...prices) : 0,
+      max: prices.length ? Math.max(...prices) : 0,
+      currency: offers[0]?.fare.currency
+    },
+    refundable: {
+      refundable: offers.filter(offer => offer.isRefundable).length,
+      nonRefundable: offers.filter(offer => !offer.isRefundable).length
+    },
+    departureTime: TIME_OF_DAY.map(({ key, label, from, to }) => ({
+      key,
+      label,
+      from,
+      to,
+      count: offers.filter(offer => {
+        const minutes = timeOfDay(offer.itineraries[0]?.departureTime);
+        return minutes >= toMinutes(from) && minutes < toMinutes(to);
+      }).length
+    })),
+    layoverMinutes: {
+      min: layovers.length ? Math.min(...layovers) : 0,
+      max: layovers.length ? Math.max(...layovers) : 0
+    }
+  };
+};
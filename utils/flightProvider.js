@@ -0,0 +1,126 @@
+import * as tboFlightService from './tboFlightService.js';
+import * as mockFlightProvider from './mockFlightProvider.js';
+import { createFlightError } from './flightResponse.js';
+import {
+  buildSearchKey,
+  getCachedSearch,
+  cacheSearch,
+  assertTraceActive,
+  expireTrace,
+  isTraceExpiredError,
+  traceExpiredError
+} from './flightSearchCache.js';
+
+/**
+ * Flight supplier abstraction. Controllers call the functions exported here
+ * instead of a specific supplier module; the implementation is chosen by the
+ * FLIGHT_PROVIDER environment variable ('tbo' by default, 'mock' for offline
+ * development and tests).
+ *
+ * Every provider implements the same functions with the tboFlightService
+ * signatures and response shapes:
+ * searchFlights, getFareRules, getFareQuote, getSSRDetails, bookFlight,
+ * confirmTicket, getBookingDetails, getCancellationCharges, cancelBooking,
+ * getCancellationStatus, releasePNR and getSupplierHealth.
+ *
+ * Searches are cached per provider and normalized parameters, and calls that
+ * continue a search (fare rules, fare quote, SSR, booking) report an expired
+ * TraceId as TRACE_EXPIRED (see utils/flightSearchCache.js).
+ */
+
+const PROVIDERS = {
+  tbo: tboFlightService,
+  mock: mockFlightProvider
+};
+
+/**
+ * Name of the configured flight provider
+ * @returns {string} Provider name
+ */
+export const getFlightProviderName = () => (process.env.FLIGHT_PROVIDER || 'tbo').trim().toLowerCase();
+
+/**
+ * Resolve the configured flight provider. Read on every call so the choice
+ * follows the environment loaded at startup.
+ * @returns {Object} Provider module
+ */
+export const getFlightProvider = () => {
+  const name = getFlightProviderName();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw createFlightError(
+      500,
+      'INVALID_FLIGHT_PROVIDER',
+      `Unknown flight provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+
+  return provider;
+};
+
+/**
+ * Run a call that continues a search session
+ * @param {string} traceId - Trace from search
+ * @param {Function} call - Provider call
+ * @returns {Promise<Object>} Provider response
+ * @throws {Error} TRACE_EXPIRED when the session has ended
+ */
+const withTrace = async (traceId, call) => {
+  assertTraceActive(traceId);
+
+  try {
+    return await call();
+  } catch (error) {
+    if (isTraceExpiredError(error)) {
+      expireTrace(traceId);
+      throw traceExpiredError(traceId);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Search flights, serving identical searches from the cache while their trace is valid
+ * @param {Object} params - searchFlights parameters
+ * @returns {Promise<Object>} Search results with a `cache` block ({ hit, expiresAt })
+ */
+export const searchFlights = async (params, ...args) => {
+  const key = buildSearchKey(getFlightProviderName(), params);
+  const cached = getCachedSearch(key);
+
+  if (cached) {
+    return {
+      ...cached.result,
+      data: { ...cached.result.data },
+      cache: { hit: true, expiresAt: cached.expiresAt }
+    };
+  }
+
+  const result = await getFlightProvider().searchFlights(params, ...args);
+  if (result?.success) {
+    cacheSearch(key, result);
+  }
+
+  return {
+    ...result,
+    data: { ...result?.data },
+    cache: { hit: false, expiresAt: getCachedSearch(key)?.expiresAt || null }
+  };
+};
+
+export const getFareRules = (resultIndex, traceId, ...args) =>
+  withTrace(traceId, () => getFlightProvider().getFareRules(resultIndex, traceId, ...args));
+export const getFareQuote = (resultIndex, traceId, ...args) =>
+  withTrace(traceId, () => getFlightProvider().getFareQuote(resultIndex, traceId, ...args));
+export const getSSRDetails = (resultIndex, traceId, ...args) =>
+  withTrace(traceId, () => getFlightProvider().getSSRDetails(resultIndex, traceId, ...args));
+export const bookFlight = (bookingData, ...args) =>
+  withTrace(bookingData?.TraceId, () => getFlightProvider().bookFlight(bookingData, ...args));
+export const confirmTicket = (...args) => getFlightProvider().confirmTicket(...args);
+export const getBookingDetails = (...args) => getFlightProvider().getBookingDetails(...args);
+export const getCancellationCharges = (...args) => getFlightProvider().getCancellationCharges(...args);
+export const cancelBooking = (...args) => getFlightProvider().cancelBooking(...args);
+export const getCancellationStatus = (...args) => getFlightProvider().getCancellationStatus(...args);
+export const releasePNR = (...args) => getFlightProvider().releasePNR(...args);
+export const getSupplierHealth = () => getFlightProvider().getSupplierHealth();
@@ -0,0 +1,60 @@
+/**
+ * Shared response helpers for the flight controllers.
+ * Keeps the `{ success, error: { code, message, details } }` envelope used by
+ * the flight API consistent across handlers.
+ */
+
+/**
+ * Create an operational error carrying an HTTP status and a machine readable code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} code - Error code returned to the client (e.g. 'BOOKING_NOT_FOUND')
+ * @param {string} message - Human readable message
+ * @param {*} [details] - Optional extra details for the client
+ * @returns {Error}
+ */
+export const createFlightError = (statusCode, code, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.code = code;
+  if (details !== undefined) {
+    error.details = details;
+  }
+  return error;
+};
+
+/**
+ * Send a 400 response for express-validator (or compatible) errors
+ * @param {Object} res - Express response object
+ * @param {Array<Object>} details - Validation errors
+ */
+export const sendValidationError = (res, details) => res.status(400).json({
+  success: false,
+  error: {
+    code: 'VALIDATION_ERROR',
+    message: 'Validation failed',
+    details
+  }
+});
+
+/**
+ * Send an error response. Operational errors (with a statusCode) keep their own
+ * code and message; anything else is reported with the given fallback.
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error that was caught
+ * @param {Object} fallback - Fallback code and message for unexpected errors
+ * @param {string} fallback.code - Error code
+ * @param {string} fallback.message - Error message
+ */
+export const sendError = (res, error, { code, message }) => {
+  const isOperational = Boolean(error.statusCode);
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: {
+      code: isOperational ? error.code : code,
+      message: isOperational ? error.message : message,
+      ...(isOperational && error.details !== undefined && { details: error.details }),
+      ...(!isOperational && process.env.NODE_ENV === 'development' && { details: error.message })
+    }
+  });
+};
@@ -0,0 +1,122 @@
+import TTLCache from './ttlCache.js';
+import { createFlightError } from './flightResponse.js';
+
+/**
+ * Search result cache and TraceId registry for the flight providers.
+ *
+ * A TBO TraceId is valid for about 15 minutes after the search that issued it.
+ * Cached searches expire well before that so a cached result always carries a
+ * trace that can still be priced and booked, and follow-up calls on a trace we
+ * know has expired fail fast with TRACE_EXPIRED instead of reaching the supplier.
+ */
+
+const SEARCH_TTL_MS = 10 * 60 * 1000;
+const TRACE_TTL_MS = 14 * 60 * 1000;
+
+const searchCache = new TTLCache({ ttlMs: SEARCH_TTL_MS, maxEntries: 500 });
+// traceId -> { key, expiresAt }; kept past expiry so late follow-up calls can be told apart
+const traces = new TTLCache({ ttlMs: 60 * 60 * 1000, maxEntries: 5000 });
+
+// TBO reports an ended session as e.g. "Your session (TraceId) is expired"
+const TRACE_EXPIRED_PATTERN = /trace\s*id.*(expired|invalid|not\s+found)|(expired|invalid).*trace\s*id/i;
+
+const code = value => (value || '').toString().trim().toUpperCase();
+
+/**
+ * Build the cache key for a search. Parameters that do not change the supplier
+ * response (casing, whitespace, number formatting) are normalized away.
+ * @param {string} provider - Flight provider name
+ * @param {Object} params - searchFlights parameters
+ * @returns {string} Cache key
+ */
+export const buildSearchKey = (provider, params = {}) => JSON.stringify([
+  provider,
+  code(params.origin),
+  code(params.destination),
+  params.departure_date || null,
+  params.return_date || null,
+  String(params.journey_type || 1),
+  String(params.travelclass || 2),
+  parseInt(params.adults) || 1,
+  parseInt(params.children) || 0,
+  parseInt(params.infants) || 0,
+  (params.legs || []).map(leg => [code(leg.origin), code(leg.destination), leg.departure_date]),
+  params.currency || null,
+  params.maxResults || null
+]);
+
+/**
+ * Create the error returned for an expired TraceId
+ * @param {string} traceId - Expired trace
+ * @returns {Error}
+ */
+export const traceExpiredError = traceId => createFlightError(
+  410,
+  'TRACE_EXPIRED',
+  'Your search session has expired. Please search again',
+  { traceId }
+);
+
+/**
+ * Get a cached search result
+ * @param {string} key - Key from buildSearchKey
+ * @returns {?Object} Cached result with its expiry, or null
+ */
+export const getCachedSearch = (key) => {
+  const result = searchCache.get(key);
+  if (!result) return null;
+
+  return { result, expiresAt: searchCache.getExpiry(key) };
+};
+
+/**
+ * Cache a search result and start tracking its TraceId
+ * @param {string} key - Key from buildSearchKey
+ * @param {Object} result - searchFlights result
+ */
+export const cacheSearch = (key, result) => {
+  const traceId = result?.data?.traceId;
+  if (!traceId) return;
+
+  searchCache.set(key, result);
+  traces.set(traceId, { key, expiresAt: Date.now() + TRACE_TTL_MS });
+};
+
+/**
+ * Fail fast when a TraceId is known to have expired
+ * @param {string} traceId - Trace from search
+ * @throws {Error} TRACE_EXPIRED
+ */
+export const assertTraceActive = (traceId) => {
+  const trace = traceId && traces.get(traceId);
+
+  if (trace && trace.expiresAt <= Date.now()) {
+    throw traceExpiredError(traceId);
+  }
+};
+
+/**
+ * Record that a TraceId has expired and drop the search that issued it
+ * @param {string} traceId - Expired trace
+ */
+export const expireTrace = (traceId) => {
+  if (!traceId) return;
+
+  const trace = traces.get(traceId);
+  if (trace?.key) {
+    searchCache.delete(trace.key);
+  }
+  traces.set(traceId, { key: null, expiresAt: 0 });
+};
+
+/**
+ * Check whether a supplier error means the TraceId session has ended
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export const isTraceExpiredError = (error) => {
+  if (!error || error.code === 'TRACE_EXPIRED') return Boolean(error);
+
+  const supplierMessage = error.details?.Response?.Error?.ErrorMessage || error.details?.Error?.ErrorMessage;
+  return [error.message, supplierMessage].some(message => message && TRACE_EXPIRED_PATTERN.test(message));
+};
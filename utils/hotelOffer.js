@@ -0,0 +1,210 @@
+/**
+ * Hotel offer format returned by hotel search.
+ *
+ * TBO's Search response only carries rates (HotelResults with Rooms); names,
+ * star ratings, amenities and coordinates come from the static hotel content
+ * (models/hotelContent.model.js). Both are joined here into one object per hotel.
+ */
+
+/**
+ * @typedef {Object} HotelOfferRoom
+ * @property {string} name - Room name(s)
+ * @property {string} bookingCode - Code to pre-book and book the rate
+ * @property {string} mealType - Meal type as sent by TBO
+ * @property {string} mealPlan - room_only, breakfast, half_board, full_board or all_inclusive
+ * @property {number} totalFare - Price for the stay
+ * @property {number} totalTax - Tax included in the price
+ * @property {boolean} isRefundable - Whether the rate can be cancelled with a refund
+ * @property {Array<Object>} cancelPolicies - TBO cancellation policies
+ * @property {?string} inclusion - Included extras
+ */
+
+/**
+ * @typedef {Object} HotelOffer
+ * @property {string} hotelCode - TBO hotel code (Hotel id for direct hotels)
+ * @property {string} source - 'tbo' or 'direct' (contracted hotels, see utils/directHotelInventory.js)
+ * @property {string} name
+ * @property {number} starRating - 0 (unrated) to 5
+ * @property {?string} address
+ * @property {?number} latitude
+ * @property {?number} longitude
+ * @property {Array<string>} facilities
+ * @property {?string} image
+ * @property {string} currency
+ * @property {number} minPrice - Cheapest room rate
+ * @property {boolean} hasRefundableRate
+ * @property {Array<string>} mealPlans - Meal plans offered by the rates
+ * @property {?number} distanceKm - Distance from the search location, set by the search
+ * @property {Array<HotelOfferRoom>} rooms - Rates, cheapest first
+ */
+
+export const MEAL_PLANS = ['room_only', 'breakfast', 'half_board', 'full_board', 'all_inclusive'];
+
+const STAR_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5 };
+
+/**
+ * Read a star rating from TBO ('FourStar', '4', 4 or 'All')
+ * @param {*} rating - TBO HotelRating
+ * @returns {number} Stars from 0 to 5
+ */
+export const parseStarRating = (rating) => {
+  const numeric = parseFloat(rating);
+  if (!isNaN(numeric)) {
+    return Math.min(Math.max(Math.round(numeric), 0), 5);
+  }
+
+  const word = String(rating || '').toLowerCase().match(/one|two|three|four|five/);
+  return word ? STAR_WORDS[word[0]] : 0;
+};
+
+/**
+ * Map TBO meal types (Room_Only, BreakFast, Half_Board ...) to a meal plan
+ * @param {string} mealType - TBO MealType or Inclusion text
+ * @returns {string} One of MEAL_PLANS
+ */
+export const toMealPlan = (mealType) => {
+  const text = String(mealType || '').toLowerCase().replace(/[_\s-]+/g, ' ');
+
+  if (/all inclusive/.test(text)) return 'all_inclusive';
+  if (/full board/.test(text)) return 'full_board';
+  if (/half board|dinner/.test(text)) return 'half_board';
+  if (/breakfast/.test(text)) return 'breakfast';
+  return 'room_only';
+};
+
+const toCoordinate = value => {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+};
+
+const toList = value => {
+  if (Array.isArray(value)) return value.filter(Boolean).map(String);
+  return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+};
+
+/**
+ * Read coordinates from a TBO entry (Latitude/Longitude or Map 'lat|lng')
+ * @param {Object} entry - Hotel code list or details entry
+ * @returns {{ latitude: ?number, longitude: ?number }}
+ */
+const readCoordinates = (entry) => {
+  if (entry.Latitude !== undefined || entry.Longitude !== undefined) {
+    return { latitude: toCoordinate(entry.Latitude), longitude: toCoordinate(entry.Longitude) };
+  }
+
+  const [latitude, longitude] = String(entry.Map || '').split('|');
+  return { latitude: toCoordinate(latitude), longitude: toCoordinate(longitude) };
+};
+
+/**
+ * Normalize the static content of a TBO hotel code list or Hoteldetails entry
+ * to the HotelContent fields
+ * @param {Object} entry - TBO hotel entry
+ * @returns {Object} Hotel content
+ */
+export const readTboHotelContent = (entry = {}) => ({
+  hotelCode: String(entry.HotelCode),
+  name: entry.HotelName || String(entry.HotelCode),
+  starRating: parseStarRating(entry.HotelRating),
+  description: entry.Description || undefined,
+  address: entry.Address || undefined,
+  cityName: entry.CityName || undefined,
+  countryCode: entry.CountryCode || undefined,
+  location: readCoordinates(entry),
+  images: toList(entry.Images || entry.ImageUrls),
+  amenities: toList(entry.HotelFacilities),
+  phone: entry.PhoneNumber || undefined,
+  checkInTime: entry.CheckInTime || undefined,
+  checkOutTime: entry.CheckOutTime || undefined
+});
+
+/**
+ * Map a TBO room rate
+ * @param {Object} room - Entry of HotelResults[].Rooms
+ * @returns {HotelOfferRoom}
+ */
+const mapRoom = room => ({
+  name: toList(room.Name).join(', '),
+  bookingCode: room.BookingCode,
+  mealType: room.MealType,
+  mealPlan: toMealPlan(room.MealType || room.Inclusion),
+  totalFare: Number(room.TotalFare) || 0,
+  totalTax: Number(room.TotalTax) || 0,
+  isRefundable: Boolean(room.IsRefundable),
+  cancelPolicies: room.CancelPolicies || [],
+  inclusion: room.Inclusion || null
+});
+
+/**
+ * Summarize a hotel from its (possibly filtered) rooms
+ * @param {HotelOffer} hotel - Hotel offer
+ * @param {Array<HotelOfferRoom>} rooms - Rooms to keep
+ * @returns {HotelOffer} Copy with the rooms and their summary
+ */
+export const withRooms = (hotel, rooms) => {
+  const sorted = [...rooms].sort((a, b) => a.totalFare - b.totalFare);
+
+  return {
+    ...hotel,
+    rooms: sorted,
+    minPrice: sorted[0]?.totalFare ?? 0,
+    hasRefundableRate: sorted.some(room => room.isRefundable),
+    mealPlans: MEAL_PLANS.filter(plan => sorted.some(room => room.mealPlan === plan))
+  };
+};
+
+/**
+ * Build a hotel offer from a TBO search result and the hotel's static content
+ * @param {Object} result - Entry of the Search response HotelResults
+ * @param {Object} [content] - HotelContent document or readTboHotelContent() result
+ * @returns {HotelOffer}
+ */
+export const mapTboHotelResult = (result, content = {}) => withRooms({
+  hotelCode: String(result.HotelCode),
+  source: 'tbo',
+  name: content.name || result.HotelName || String(result.HotelCode),
+  starRating: content.starRating ?? parseStarRating(result.HotelRating),
+  address: content.address || null,
+  latitude: content.location?.latitude ?? null,
+  longitude: content.location?.longitude ?? null,
+  facilities: content.amenities ? [...content.amenities] : [],
+  image: content.images?.[0] || null,
+  currency: result.Currency || 'INR',
+  distanceKm: null
+}, (result.Rooms || []).map(mapRoom));
+
+/**
+ * Great-circle distance between two points
+ * @param {{ latitude: number, longitude: number }} from
+ * @param {{ latitude: number, longitude: number }} to
+ * @returns {number} Distance in kilometres
+ */
+export const distanceKm = (from, to) => {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return Math.round(6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a)) * 10) / 10;
+};
+
+/**
+ * Set each hotel's distance from a point. Without a point, the centre of the
+ * hotels that have coordinates is used (close to the city centre).
+ * @param {Array<HotelOffer>} hotels - Hotel offers
+ * @param {{ latitude: number, longitude: number }} [point] - Search location
+ * @returns {Array<HotelOffer>} Hotels with distanceKm set where coordinates are known
+ */
+export const setDistances = (hotels, point) => {
+  const located = hotels.filter(hotel => hotel.latitude !== null && hotel.longitude !== null);
+  const reference = point || (located.length > 0 && {
+    latitude: located.reduce((total, hotel) => total + hotel.latitude, 0) / located.length,
+    longitude: located.reduce((total, hotel) => total + hotel.longitude, 0) / located.length
+  });
+
+  return hotels.map(hotel => ({
+    ...hotel,
+    distanceKm: reference && hotel.latitude !== null && hotel.longitude !== null ? distanceKm(reference, hotel) : null
+  }));
+};
@@ -0,0 +1,130 @@
+import { MEAL_PLANS, withRooms } from './hotelOffer.js';
+
+/**
+ * Filtering, sorting, facets and paging for hotel offers (see utils/hotelOffer.js).
+ * Price, refundability and meal plan are rate filters: a hotel matches when at
+ * least one of its rooms passes them, and only those rooms are returned.
+ */
+
+export const HOTEL_SORT_OPTIONS = ['price', 'price_desc', 'rating', 'distance'];
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+const normalize = text => String(text).trim().toLowerCase();
+
+/**
+ * Filter hotels and their rooms
+ * @param {Array<Object>} hotels - Hotel offers
+ * @param {Object} [filters] - Filters from the search request
+ * @param {Array<number>} [filters.starRatings] - Allowed star ratings (0 for unrated)
+ * @param {number} [filters.minPrice] - Minimum room price for the stay
+ * @param {number} [filters.maxPrice] - Maximum room price for the stay
+ * @param {Array<string>} [filters.amenities] - Facilities the hotel must all have (matched by name)
+ * @param {boolean} [filters.refundableOnly] - Only refundable rates
+ * @param {Array<string>} [filters.mealPlans] - Allowed meal plans (see MEAL_PLANS)
+ * @returns {Array<Object>} Matching hotels with only their matching rooms
+ */
+export const filterHotels = (hotels, filters = {}) => {
+  const starRatings = filters.starRatings?.map(Number);
+  const amenities = filters.amenities?.map(normalize);
+  const mealPlans = filters.mealPlans?.filter(plan => MEAL_PLANS.includes(plan));
+
+  const roomMatches = room => {
+    if (filters.minPrice !== undefined && room.totalFare < Number(filters.minPrice)) return false;
+    if (filters.maxPrice !== undefined && room.totalFare > Number(filters.maxPrice)) return false;
+    if (filters.refundableOnly && !room.isRefundable) return false;
+    if (mealPlans?.length && !mealPlans.includes(room.mealPlan)) return false;
+    return true;
+  };
+
+  return hotels.reduce((matches, hotel) => {
+    if (starRatings?.length && !starRatings.includes(hotel.starRating)) return matches;
+
+    if (amenities?.length) {
+      const facilities = hotel.facilities.map(normalize);
+      if (!amenities.every(amenity => facilities.some(facility => facility.includes(amenity)))) return matches;
+    }
+
+    const rooms = hotel.rooms.filter(roomMatches);
+    if (rooms.length > 0) {
+      matches.push(rooms.length === hotel.rooms.length ? hotel : withRooms(hotel, rooms));
+    }
+    return matches;
+  }, []);
+};
+
+/**
+ * Sort hotels. Hotels without a distance go last when sorting by distance.
+ * @param {Array<Object>} hotels - Hotel offers
+ * @param {string} [sortBy='price'] - price, price_desc, rating or distance
+ * @returns {Array<Object>} Sorted copy of the hotels
+ */
+export const sortHotels = (hotels, sortBy = 'price') => {
+  const byDistance = (a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity);
+  const compare = {
+    price: (a, b) => a.minPrice - b.minPrice,
+    price_desc: (a, b) => b.minPrice - a.minPrice,
+    rating: (a, b) => b.starRating - a.starRating || a.minPrice - b.minPrice,
+    distance: (a, b) => byDistance(a, b) || a.minPrice - b.minPrice
+  }[sortBy] || ((a, b) => a.minPrice - b.minPrice);
+
+  // Hotel code as the last key keeps pages stable between requests
+  return [...hotels].sort((a, b) => compare(a, b) || a.hotelCode.localeCompare(b.hotelCode));
+};
+
+/**
+ * Count hotels per filter value so the client can render filters
+ * @param {Array<Object>} hotels - Hotel offers (before filtering)
+ * @returns {Object} Facets for star rating, price, meal plans, refundability and amenities
+ */
+export const buildHotelFacets = (hotels) => {
+  const prices = hotels.map(hotel => hotel.minPrice);
+  const amenities = new Map();
+
+  hotels.forEach(hotel => {
+    new Set(hotel.facilities).forEach(facility => amenities.set(facility, (amenities.get(facility) || 0) + 1));
+  });
+
+  return {
+    starRatings: [5, 4, 3, 2, 1, 0]
+      .map(stars => ({ stars, count: hotels.filter(hotel => hotel.starRating === stars).length }))
+      .filter(facet => facet.count > 0),
+    price: {
+      min: prices.length ? Math.min(...prices) : 0,
+      max: prices.length ? Math.max(...hotels.flatMap(hotel => hotel.rooms.map(room => room.totalFare))) : 0,
+      currency: hotels[0]?.currency
+    },
+    mealPlans: MEAL_PLANS
+      .map(mealPlan => ({ mealPlan, count: hotels.filter(hotel => hotel.mealPlans.includes(mealPlan)).length }))
+      .filter(facet => facet.count > 0),
+    refundable: hotels.filter(hotel => hotel.hasRefundableRate).length,
+    amenities: [...amenities.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, 30)
+  };
+};
+
+/**
+ * Cut one page out of a result list
+ * @param {Array} items - All results
+ * @param {Object} [options]
+ * @param {number} [options.page=1] - 1-based page number
+ * @param {number} [options.limit=DEFAULT_PAGE_SIZE] - Page size (up to MAX_PAGE_SIZE)
+ * @returns {Object} { results, page, limit, total, totalPages, hasMore }
+ */
+export const paginate = (items, { page = 1, limit = DEFAULT_PAGE_SIZE } = {}) => {
+  const size = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const current = Math.max(parseInt(page) || 1, 1);
+  const totalPages = Math.ceil(items.length / size);
+
+  return {
+    results: items.slice((current - 1) * size, current * size),
+    page: current,
+    limit: size,
+    total: items.length,
+    totalPages,
+    hasMore: current < totalPages
+  };
+};
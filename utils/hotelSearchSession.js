@@ -0,0 +1,36 @@
+import { randomUUID } from 'crypto';
+import TTLCache from './ttlCache.js';
+
+/**
+ * Hotel search sessions. A search keeps its normalized hotels under a search
+ * ID so the client can filter, re-sort and load more pages without searching
+ * TBO again. Rates go stale, so sessions only live for a short time.
+ */
+
+const SESSION_TTL_MS = 15 * 60 * 1000;
+
+const sessions = new TTLCache({ ttlMs: SESSION_TTL_MS, maxEntries: 200 });
+
+/**
+ * Store the hotels of a new search
+ * @param {Object} session - { hotels, criteria }
+ * @returns {Object} { searchId, expiresAt }
+ */
+export const createSearchSession = (session) => {
+  const searchId = randomUUID();
+  sessions.set(searchId, session);
+
+  return { searchId, expiresAt: sessions.getExpiry(searchId) };
+};
+
+/**
+ * Get a search session
+ * @param {string} searchId - ID from createSearchSession
+ * @returns {?Object} { hotels, criteria, expiresAt }, or null when unknown or expired
+ */
+export const getSearchSession = (searchId) => {
+  const session = searchId && sessions.get(searchId);
+  if (!session) return null;
+
+  return { ...session, expiresAt: sessions.getExpiry(searchId) };
+};
@@ -0,0 +1,182 @@
+import MarkupRule from '../models/markupRule.model.js';
+import { getAirport } from './referenceData.js';
+import logger from './logger.js';
+
+/**
+ * Agency markup and discounts on supplier fares.
+ *
+ * The supplier's published fare is the net fare. The highest priority active
+ * rule that matches an offer adds a markup or takes off a discount, fixed or
+ * as a percentage of the net fare, giving the selling price. Search, fare
+ * quote and booking all price through priceOffer so the customer pays what
+ * they were shown, and bookings keep net fare, markup and selling price apart
+ * for margin reporting.
+ */
+
+// Rules are cached per process; admin changes clear the cache right away
+const REFRESH_MS = 5 * 60 * 1000;
+// Wait before retrying when the database could not be read
+const RETRY_MS = 60 * 1000;
+
+let rules = [];
+let refreshAt = 0;
+let loading = null;
+
+const round = value => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Load (or refresh) the active rules, highest priority first
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Reload even if the rules are fresh
+ * @returns {Promise<Array<Object>>} Active rules
+ */
+export const loadMarkupRules = async ({ force = false } = {}) => {
+  if (!force && Date.now() < refreshAt) {
+    return rules;
+  }
+
+  if (!loading) {
+    loading = MarkupRule.find({ isActive: true })
+      .sort({ priority: -1, createdAt: 1 })
+      .lean()
+      .then(activeRules => {
+        rules = activeRules;
+        refreshAt = Date.now() + REFRESH_MS;
+        return rules;
+      })
+      .catch(error => {
+        logger.warn('Failed to load markup rules:', { error: error.message });
+        refreshAt = Date.now() + RETRY_MS;
+        return rules;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+};
+
+/**
+ * Drop the cached rules so the next pricing reloads them
+ */
+export const clearMarkupRules = () => {
+  refreshAt = 0;
+};
+
+/**
+ * Describe an offer with the fields rules match on
+ * @param {Object} offer - FlightOffer
+ * @param {Object} [options]
+ * @param {boolean} [options.isDomestic] - Known journey scope (e.g. from the fare quote)
+ * @returns {Promise<Object>} { airline, origin, destination, cabinClass, isDomestic, passengers }
+ */
+export const getPricingContext = async (offer, { isDomestic } = {}) => {
+  const itinerary = offer.itineraries?.[0] || { segments: [] };
+  const segments = (offer.itineraries || []).flatMap(leg => leg.segments);
+
+  if (isDomestic === undefined) {
+    // Same rule as the passenger document checks: unknown countries are left out
+    const places = segments.flatMap(segment => [segment.origin, segment.destination]).filter(Boolean);
+    const countries = new Set((await Promise.all(places.map(async place =>
+      place.country || (await getAirport(place.code))?.countryCode
+    ))).filter(Boolean));
+    isDomestic = countries.size <= 1;
+  }
+
+  return {
+    airline: offer.validatingAirline?.code,
+    origin: itinerary.origin,
+    destination: itinerary.destination,
+    cabinClass: itinerary.segments[0]?.cabinClass,
+    isDomestic,
+    // Infants do not take a seat and are not charged per-passenger markups
+    passengers: (offer.fare?.breakdown || [])
+      .filter(item => item.passengerType !== 'INF')
+      .reduce((total, item) => total + item.count, 0) || 1
+  };
+};
+
+const matchesList = (list, value) => !list?.length || list.includes(value);
+
+/**
+ * Whether a rule applies to a pricing context
+ * @param {Object} rule - MarkupRule
+ * @param {Object} context - From getPricingContext
+ * @param {Date} [now] - Sale date
+ * @returns {boolean}
+ */
+export const ruleMatches = (rule, context, now = new Date()) => {
+  if (rule.validFrom && now < new Date(rule.validFrom)) return false;
+  if (rule.validTo && now > new Date(rule.validTo)) return false;
+  if (rule.journeyScope === 'domestic' && !context.isDomestic) return false;
+  if (rule.journeyScope === 'international' && context.isDomestic) return false;
+
+  return matchesList(rule.airlines, context.airline) &&
+    matchesList(rule.origins, context.origin) &&
+    matchesList(rule.destinations, context.destination) &&
+    matchesList(rule.cabinClasses, context.cabinClass);
+};
+
+/**
+ * Signed adjustment of a rule: positive for markups, negative for discounts.
+ * A discount never takes the fare below zero.
+ * @param {Object} rule - MarkupRule
+ * @param {number} netFare - Supplier fare
+ * @param {number} passengers - Passengers charged per-passenger amounts
+ * @returns {number}
+ */
+export const calculateMarkup = (rule, netFare, passengers = 1) => {
+  const amount = rule.calculation === 'percentage'
+    ? netFare * rule.value / 100
+    : rule.value * (rule.per === 'passenger' ? passengers : 1);
+
+  return rule.adjustmentType === 'discount' ? -round(Math.min(amount, netFare)) : round(amount);
+};
+
+/**
+ * Price an offer with the active rules
+ * @param {Object} offer - FlightOffer (fare.totalFare is the supplier fare)
+ * @param {Object} [options] - See getPricingContext
+ * @returns {Promise<Object>} { netFare, markup, sellingPrice, currency, rule } — rule is { id, name } or null
+ */
+export const priceOffer = async (offer, options = {}) => {
+  const [activeRules, context] = await Promise.all([loadMarkupRules(), getPricingContext(offer, options)]);
+  const netFare = round(offer.fare?.totalFare);
+  const rule = activeRules.find(candidate => ruleMatches(candidate, context));
+  const markup = rule ? calculateMarkup(rule, netFare, context.passengers) : 0;
+
+  return {
+    netFare,
+    markup,
+    sellingPrice: round(netFare + markup),
+    currency: offer.fare?.currency,
+    rule: rule ? { id: String(rule._id), name: rule.name } : null
+  };
+};
+
+/**
+ * Replace the supplier fare of each offer with its selling price. Returns new
+ * objects: offers may be shared with the search cache. The net fare is kept
+ * out of the offer so margins are not sent to the client.
+ * @param {Array<Object>} offers - FlightOffers
+ * @returns {Promise<Array<Object>>} Priced offers; fare.markup holds the adjustment
+ */
+export const applyMarkup = async (offers = []) => {
+  const activeRules = await loadMarkupRules();
+  if (activeRules.length === 0) return offers;
+
+  return Promise.all(offers.map(async offer => {
+    const { markup, sellingPrice } = await priceOffer(offer);
+    if (markup === 0) return offer;
+
+    return {
+      ...offer,
+      fare: {
+        ...offer.fare,
+        markup,
+        totalFare: sellingPrice
+      }
+    };
+  }));
+};
@@ -0,0 +1,816 @@
+import crypto from 'crypto';
+import { mockFlights } from './mockFlights.js';
+import { mapMockFlightToOffer } from './flightOffer.js';
+import { createFlightError } from './flightResponse.js';
+
+/**
+ * Offline flight provider backed by the canned flights in utils/mockFlights.js.
+ * Implements the same functions and response shapes as tboFlightService without
+ * any network access. Trace ids and result indexes encode everything needed to
+ * rebuild a flight, so the same request always returns the same data.
+ */
+
+const CURRENCY = 'INR';
+const CABIN_CLASSES = { 2: 'Economy', 3: 'Premium Economy', 4: 'Business', 6: 'First' };
+const CHILD_FARE_RATIO = 0.75;
+const INFANT_FARE_RATIO = 0.1;
+const CANCELLATION_FEE_PER_PASSENGER = 3000;
+const SERVICE_FEE = 300;
+const HOLD_HOURS = 24;
+
+const BAGGAGE_OPTIONS = [
+  { code: 'XBAG5', description: 'Extra 5 KG', weight: 5, price: 1800 },
+  { code: 'XBAG10', description: 'Extra 10 KG', weight: 10, price: 3400 },
+  { code: 'XBAG15', description: 'Extra 15 KG', weight: 15, price: 4900 }
+];
+const MEAL_OPTIONS = [
+  { code: 'VGML', description: 'Vegetarian meal', price: 350 },
+  { code: 'AVML', description: 'Asian vegetarian meal', price: 350 },
+  { code: 'MOML', description: 'Non-vegetarian meal', price: 400 }
+];
+const MEAL_PREFERENCES = [
+  { code: 'VGML', description: 'Vegetarian meal' },
+  { code: 'AVML', description: 'Asian vegetarian meal' },
+  { code: 'MOML', description: 'Muslim meal' }
+];
+const SEAT_PREFERENCES = [
+  { code: 'W', description: 'Window' },
+  { code: 'A', description: 'Aisle' }
+];
+const SEAT_ROWS = 10;
+const SEAT_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// Bookings made by this process, needed for ticketing and cancellation
+const bookings = new Map();
+
+const round = value => Math.round(value * 100) / 100;
+
+const hash = (...parts) => crypto.createHash('sha1').update(parts.join('|')).digest('hex');
+
+const bookingNotFound = () => createFlightError(
+  404,
+  'BOOKING_NOT_FOUND',
+  'Mock booking not found. Mock bookings are kept in memory and are lost when the server restarts'
+);
+
+/**
+ * Price a mock flight for the searched passengers
+ * @param {Object} template - Flight from mockFlights
+ * @param {Object} counts - Passenger counts ({ adults, children, infants })
+ * @returns {Object} Price with per passenger type breakdown
+ */
+const priceFlight = (template, { adults, children, infants }) => {
+  const { base, taxes } = template.price;
+  const breakdown = [
+    { passenger_type: 'ADT', count: adults, base: base * adults, taxes: taxes * adults },
+    children > 0 && { passenger_type: 'CHD', count: children, base: base * CHILD_FARE_RATIO * children, taxes: taxes * children },
+    infants > 0 && { passenger_type: 'INF', count: infants, base: base * INFANT_FARE_RATIO * infants, taxes: taxes * INFANT_FARE_RATIO * infants }
+  ].filter(Boolean).map(item => ({ ...item, base: round(item.base), taxes: round(item.taxes) }));
+
+  const totalBase = round(breakdown.reduce((total, item) => total + item.base, 0));
+  const totalTaxes = round(breakdown.reduce((total, item) => total + item.taxes, 0));
+
+  return {
+    total: round(totalBase + totalTaxes),
+    base: totalBase,
+    taxes: totalTaxes,
+    currency: template.price.currency || CURRENCY,
+    breakdown
+  };
+};
+
+/**
+ * Move a mock flight onto the requested route and date. Departures are spread
+ * over the day by position so times do not depend on when the server started.
+ * @param {Object} template - Flight from mockFlights
+ * @param {Object} journey - { origin, destination, departureDate }
+ * @param {Object} counts - Passenger counts
+ * @returns {Object} Flight in the mockFlights shape
+ */
+const buildFlight = (template, { origin, destination, departureDate }, counts) => {
+  const position = mockFlights.data.flights.indexOf(template);
+  const templateDeparture = new Date(template.departure_time).getTime();
+  const departure = new Date(`${departureDate}T${String(6 + position * 3).padStart(2, '0')}:00:00Z`).getTime();
+  const shift = time => {
+    const offsetMinutes = Math.round((new Date(time).getTime() - templateDeparture) / 60000);
+    return new Date(departure + offsetMinutes * 60000).toISOString().slice(0, 19);
+  };
+  const isTemplateRoute = template.origin === origin && template.destination === destination;
+
+  return {
+    ...template,
+    result_index: `${template.result_index}-${origin}-${destination}-${departureDate.replace(/-/g, '')}`,
+    origin,
+    destination,
+    origin_name: isTemplateRoute ? template.origin_name : undefined,
+    destination_name: isTemplateRoute ? template.destination_name : undefined,
+    departure_time: shift(template.departure_time),
+    arrival_time: shift(template.arrival_time),
+    ...(template.layovers && {
+      layovers: template.layovers.map(layover => ({
+        ...layover,
+        arrival: shift(layover.arrival),
+        departure: shift(layover.departure)
+      }))
+    }),
+    price: priceFlight(template, counts)
+  };
+};
+
+/**
+ * Read the passenger counts encoded in a mock trace id
+ * @param {string} traceId - Trace id returned by searchFlights
+ * @returns {Object} Passenger counts
+ */
+const parseTraceId = (traceId) => {
+  const match = /^MOCK-(\d)-(\d)-(\d)-[a-f0-9]+$/.exec(traceId || '');
+  if (!match) {
+    throw createFlightError(400, 'INVALID_TRACE_ID', 'Invalid or expired trace ID');
+  }
+  return { adults: Number(match[1]), children: Number(match[2]), infants: Number(match[3]) };
+};
+
+/**
+ * Rebuild the flight a result index refers to
+ * @param {string} resultIndex - Result index returned by searchFlights
+ * @param {string} traceId - Trace id returned by searchFlights
+ * @returns {Object} Flight in the mockFlights shape
+ */
+const findFlight = (resultIndex, traceId) => {
+  const counts = parseTraceId(traceId);
+  const match = /^(\w+)-([A-Z]{3})-([A-Z]{3})-(\d{4})(\d{2})(\d{2})$/.exec(resultIndex || '');
+  const template = match && mockFlights.data.flights.find(flight => flight.result_index === match[1]);
+
+  if (!template) {
+    throw createFlightError(404, 'FLIGHT_NOT_FOUND', `No flight found for result index ${resultIndex}`);
+  }
+
+  return buildFlight(template, {
+    origin: match[2],
+    destination: match[3],
+    departureDate: `${match[4]}-${match[5]}-${match[6]}`
+  }, counts);
+};
+
+/**
+ * Build a TBO style segment for a mock flight
+ * @param {Object} flight - Flight in the mockFlights shape
+ * @returns {Object} Segment
+ */
+const toSegment = flight => ({
+  Airline: {
+    AirlineCode: flight.airline,
+    AirlineName: flight.airline_name,
+    FlightNumber: flight.flight_number.split('-')[1],
+    FareClass: 'Y'
+  },
+  Origin: { Airport: { AirportCode: flight.origin, AirportName: flight.origin_name }, DepTime: flight.departure_time },
+  Destination: { Airport: { AirportCode: flight.destination, AirportName: flight.destination_name }, ArrTime: flight.arrival_time },
+  Craft: flight.aircraft_type,
+  CabinClass: flight.cabin_class,
+  Baggage: '15 KG',
+  CabinBaggage: '7 KG',
+  FlightStatus: 'Confirmed'
+});
+
+const toFareDetails = flight => ({
+  BaseFare: flight.price.base,
+  Tax: flight.price.taxes,
+  OtherCharges: 0,
+  PublishedFare: flight.price.total,
+  Currency: flight.price.currency
+});
+
+const isRefundable = flight => !/non-refundable/i.test(flight.fare_rules || '');
+
+/**
+ * List the seat, meal and baggage options of a mock flight. LCC flights offer
+ * priced options, other flights only free preferences (like TBO).
+ * @param {Object} flight - Flight in the mockFlights shape
+ * @returns {Array<Object>} Options in the tboFlightService format
+ */
+const listSSROptions = (flight) => {
+  const route = `${flight.origin}-${flight.destination}`;
+  const common = { origin: flight.origin, destination: flight.destination, currency: CURRENCY };
+
+  if (!flight.is_lcc) {
+    return [
+      ...MEAL_PREFERENCES.map(item => ({ id: `mealPreference:ALL-ALL:${item.code}`, type: 'mealPreference', ...item, price: 0, currency: CURRENCY })),
+      ...SEAT_PREFERENCES.map(item => ({ id: `seatPreference:ALL-ALL:${item.code}`, type: 'seatPreference', ...item, price: 0, currency: CURRENCY }))
+    ];
+  }
+
+  const seats = [];
+  for (let row = 1; row <= SEAT_ROWS; row++) {
+    SEAT_LETTERS.forEach((letter, column) => {
+      const seatType = ['A', 'F'].includes(letter) ? 'window' : ['C', 'D'].includes(letter) ? 'aisle' : 'middle';
+      seats.push({
+        id: `seat:${route}:${row}${letter}`,
+        type: 'seat',
+        code: `${row}${letter}`,
+        seatNo: letter,
+        rowNo: String(row),
+        seatType,
+        airline: flight.airline,
+        flightNumber: flight.flight_number,
+        isAvailable: (row + column) % 4 !== 0,
+        price: row <= 2 ? 800 : seatType === 'middle' ? 0 : 250,
+        ...common
+      });
+    });
+  }
+
+  return [
+    ...BAGGAGE_OPTIONS.map(item => ({ id: `baggage:${route}:${item.code}`, type: 'baggage', ...item, ...common })),
+    ...MEAL_OPTIONS.map(item => ({ id: `meal:${route}:${item.code}`, type: 'meal', ...item, ...common })),
+    ...seats
+  ];
+};
+
+/**
+ * Validate the SSR option ids selected per passenger and total their price
+ * @param {Array<Object>} passengers - Passengers with optional SSRSelections
+ * @param {Array<Object>} options - Options from listSSROptions
+ * @returns {Object} Ancillary summary ({ total, currency, items })
+ */
+const priceSSRSelections = (passengers, options) => {
+  const optionsById = new Map(options.map(option => [option.id, option]));
+  const takenSeats = new Set();
+  const items = [];
+
+  passengers.forEach((passenger, index) => {
+    const selectedKeys = new Set();
+
+    (passenger.SSRSelections || []).forEach(optionId => {
+      const option = optionsById.get(optionId);
+      const selectionKey = `${option?.type}:${option?.origin}-${option?.destination}`;
+
+      if (!option) {
+        throw createFlightError(400, 'INVALID_SSR_SELECTION', `Passenger ${index + 1}: SSR option '${optionId}' is not available for this flight`);
+      }
+      if (selectedKeys.has(selectionKey)) {
+        throw createFlightError(400, 'INVALID_SSR_SELECTION', `Passenger ${index + 1}: only one ${option.type} can be selected per segment`);
+      }
+      if (option.type === 'seat' && (passenger.PassengerType === 'INF' || !option.isAvailable || takenSeats.has(option.id))) {
+        throw createFlightError(400, 'INVALID_SSR_SELECTION', `Passenger ${index + 1}: seat ${option.code} is not available`);
+      }
+      selectedKeys.add(selectionKey);
+      if (option.type === 'seat') {
+        takenSeats.add(option.id);
+      }
+
+      items.push({
+        passengerIndex: index,
+        id: option.id,
+        type: option.type,
+        code: option.code,
+        description: option.description || option.seatNo,
+        origin: option.origin,
+        destination: option.destination,
+        price: option.price,
+        currency: option.currency
+      });
+    });
+  });
+
+  return {
+    total: items.reduce((total, item) => total + item.price, 0),
+    currency: CURRENCY,
+    items
+  };
+};
+
+/**
+ * Work out cancellation charges for some or all passengers of a mock booking
+ * @param {Object} stored - Stored mock booking
+ * @param {Array<Object>} [passengers] - Passengers being cancelled (all when empty)
+ * @returns {Object} Charges in the tboFlightService format
+ */
+const calculateCharges = (stored, passengers = []) => {
+  const count = passengers.length || stored.passengers.length;
+  const share = count / stored.passengers.length;
+  const refundable = isRefundable(stored.flight);
+  const fare = stored.flight.price.total * share;
+  const cancellationFee = refundable
+    ? CANCELLATION_FEE_PER_PASSENGER * count
+    : stored.flight.price.base * share;
+  const refundAmount = round(Math.max(fare - cancellationFee - SERVICE_FEE, 0));
+
+  return {
+    cancellationFee: round(cancellationFee),
+    serviceFee: SERVICE_FEE,
+    totalCharges: round(cancellationFee + SERVICE_FEE),
+    refundAmount,
+    netRefund: refundAmount,
+    currency: stored.flight.price.currency,
+    isRefundable: refundable,
+    isNonRefundable: !refundable
+  };
+};
+
+/**
+ * Search mock flights. Accepts the same parameters as tboFlightService.searchFlights;
+ * the canned flights are placed on every requested route and date.
+ * @param {Object} params - Search parameters
+ * @returns {Promise<Object>} Search results
+ */
+async function searchFlights(params) {
+  const journeyType = Number(params.journey_type) || 1;
+  const counts = {
+    adults: parseInt(params.adults) || 1,
+    children: parseInt(params.children) || 0,
+    infants: parseInt(params.infants) || 0
+  };
+
+  const journeys = (journeyType === 3
+    ? params.legs || []
+    : [
+      { origin: params.origin, destination: params.destination, departure_date: params.departure_date },
+      ...(journeyType === 2 ? [{ origin: params.destination, destination: params.origin, departure_date: params.return_date }] : [])
+    ]
+  ).map(journey => ({
+    origin: journey.origin?.trim().toUpperCase(),
+    destination: journey.destination?.trim().toUpperCase(),
+    departureDate: journey.departure_date
+  }));
+
+  if (journeys.length === 0 || journeys.some(j => !j.origin || !j.destination || !/^\d{4}-\d{2}-\d{2}$/.test(j.departureDate || ''))) {
+    throw createFlightError(400, 'INVALID_SEARCH', 'Origin, destination and a YYYY-MM-DD departure date are required for every journey');
+  }
+
+  const cabinClass = CABIN_CLASSES[params.travelclass || 2];
+  const traceId = `MOCK-${counts.adults}-${counts.children}-${counts.infants}-${hash(JSON.stringify(journeys), cabinClass).slice(0, 12)}`;
+  const lists = journeys.map(journey => mockFlights.data.flights
+    .filter(flight => !cabinClass || flight.cabin_class === cabinClass)
+    .map(flight => buildFlight(flight, journey, counts)));
+  const results = journeyType === 1 ? lists[0] : lists;
+
+  return {
+    success: true,
+    searchId: `search_${traceId}`,
+    data: {
+      results,
+      offers: lists.flatMap((list, journeyIndex) => list.map(flight => ({
+        ...mapMockFlightToOffer(flight, { traceId }),
+        journeyIndex
+      }))),
+      traceId,
+      resultIndex: lists[0][0]?.result_index,
+      isDomestic: true,
+      currency: CURRENCY,
+      ...(journeyType === 3 && {
+        legs: journeys.map((journey, legIndex) => ({
+          legIndex,
+          ...journey,
+          isPricedSeparately: true,
+          results: lists[legIndex]
+        }))
+      }),
+      searchParams: {
+        origin: journeys[0].origin,
+        destination: journeys[0].destination,
+        departureDate: params.departure_date,
+        returnDate: params.return_date,
+        journeyType,
+        ...(journeyType === 3 && { legs: journeys }),
+        ...counts,
+        cabinClass: params.travelclass || '2'
+      },
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Get fare rules for a mock flight
+ * @param {string} resultIndex - Result index from search
+ * @param {string} traceId - Trace ID from search
+ * @returns {Promise<Object>} Fare rules
+ */
+async function getFareRules(resultIndex, traceId) {
+  const flight = findFlight(resultIndex, traceId);
+
+  return {
+    success: true,
+    requestId: `fare_rules_${resultIndex}`,
+    data: {
+      generalRules: [flight.fare_rules],
+      penalties: [],
+      restrictions: ['Some restrictions may apply. Please check with the airline for details.'],
+      fareBasis: {},
+      metadata: {
+        resultIndex,
+        traceId,
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Reprice a mock flight. Mock fares never change between search and quote.
+ * @param {string} resultIndex - Result index from search
+ * @param {string} traceId - Trace ID from search
+ * @returns {Promise<Object>} Fare quote in the TBO `Results` format
+ */
+async function getFareQuote(resultIndex, traceId) {
+  const flight = findFlight(resultIndex, traceId);
+
+  return {
+    ResultIndex: resultIndex,
+    IsLCC: flight.is_lcc,
+    IsRefundable: isRefundable(flight),
+    Fare: toFareDetails(flight),
+    FareBreakdown: flight.price.breakdown.map(item => ({
+      PassengerType: { ADT: 1, CHD: 2, INF: 3 }[item.passenger_type],
+      PassengerCount: item.count,
+      BaseFare: item.base,
+      Tax: item.taxes,
+      Currency: flight.price.currency
+    })),
+    Segments: [[toSegment(flight)]]
+  };
+}
+
+/**
+ * Get seat, meal and baggage options for a mock flight
+ * @param {string} resultIndex - Result index from search
+ * @param {string} traceId - Trace ID from search
+ * @returns {Promise<Object>} SSR details in the tboFlightService format
+ */
+async function getSSRDetails(resultIndex, traceId) {
+  const flight = findFlight(resultIndex, traceId);
+  const options = listSSROptions(flight);
+  const ofType = type => options.filter(option => option.type === type);
+  const seats = ofType('seat');
+  const rows = [...new Set(seats.map(seat => seat.rowNo))];
+
+  return {
+    success: true,
+    requestId: `ssr_${resultIndex}`,
+    data: {
+      ssr: [],
+      seats: [],
+      otherServices: [],
+      seatMaps: seats.length > 0 ? [{
+        origin: flight.origin,
+        destination: flight.destination,
+        airline: flight.airline,
+        flightNumber: flight.flight_number,
+        rows: rows.map(rowNo => ({ rowNo, seats: seats.filter(seat => seat.rowNo === rowNo) }))
+      }] : [],
+      meals: ofType('meal'),
+      baggage: ofType('baggage'),
+      mealPreferences: ofType('mealPreference'),
+      seatPreferences: ofType('seatPreference'),
+      metadata: {
+        resultIndex,
+        traceId,
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Book a mock flight. Accepts the same booking data as tboFlightService.bookFlight.
+ * @param {Object} bookingData - Booking data (ResultIndex, TraceId, Passengers)
+ * @returns {Promise<Object>} Booking confirmation details
+ */
+async function bookFlight(bookingData) {
+  if (!bookingData.ResultIndex || !bookingData.TraceId) {
+    throw createFlightError(400, 'BOOKING_ERROR', 'ResultIndex and TraceId are required for booking');
+  }
+  if (!Array.isArray(bookingData.Passengers) || bookingData.Passengers.length === 0) {
+    throw createFlightError(400, 'BOOKING_ERROR', 'At least one passenger is required for booking');
+  }
+
+  bookingData.Passengers.forEach((passenger, index) => {
+    if (!passenger.FirstName || !passenger.LastName || !passenger.PassengerType) {
+      throw createFlightError(400, 'BOOKING_ERROR', `Passenger ${index + 1}: FirstName, LastName and PassengerType are required`);
+    }
+  });
+
+  const flight = findFlight(bookingData.ResultIndex, bookingData.TraceId);
+  if (bookingData.IsHoldBooking && flight.is_lcc) {
+    throw createFlightError(400, 'HOLD_NOT_AVAILABLE', 'Low cost carrier fares cannot be held; book and ticket them in one step');
+  }
+
+  const ancillaries = priceSSRSelections(bookingData.Passengers, listSSROptions(flight));
+  const passengers = bookingData.Passengers.map(p => ({
+    title: p.Title,
+    firstName: p.FirstName,
+    lastName: p.LastName,
+    passengerType: p.PassengerType.toUpperCase(),
+    ticketNumber: null,
+    status: 'BOOKED'
+  }));
+
+  const key = hash(bookingData.TraceId, bookingData.ResultIndex, ...passengers.map(p => `${p.firstName} ${p.lastName}`));
+  const bookingReference = `MOCK${key.slice(0, 8).toUpperCase()}`;
+  const pnr = parseInt(key.slice(8, 18), 16).toString(36).toUpperCase().slice(0, 6).padStart(6, 'X');
+
+  // Holds last a day, but never past three hours before departure
+  const lastTicketDate = bookingData.IsHoldBooking
+    ? new Date(Math.min(Date.now() + HOLD_HOURS * 3600000, new Date(flight.departure_time).getTime() - 3 * 3600000)).toISOString()
+    : null;
+
+  bookings.set(bookingReference, { bookingReference, pnr, flight, passengers, cancellations: [], isHold: Boolean(bookingData.IsHoldBooking) });
+
+  return {
+    success: true,
+    bookingId: bookingReference,
+    data: {
+      bookingReference,
+      pnr,
+      status: 'CONFIRMED',
+      bookingDate: new Date().toISOString(),
+      lastTicketDate,
+      source: null,
+      passengers,
+      flights: [toSegment(flight)],
+      fareDetails: toFareDetails(flight),
+      ancillaries,
+      paymentDetails: {},
+      cancellationPolicy: { policyText: flight.fare_rules },
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString(),
+        isHold: Boolean(bookingData.IsHoldBooking),
+        isTicketed: false,
+        isVoidable: true,
+        isRefundable: isRefundable(flight)
+      }
+    }
+  };
+}
+
+/**
+ * Issue tickets for a mock booking
+ * @param {Object} params - Ticketing parameters (bookingId, PNR)
+ * @returns {Promise<Object>} Ticketing details
+ */
+async function confirmTicket(params) {
+  const stored = bookings.get(params.bookingId);
+  if (!stored) {
+    throw bookingNotFound();
+  }
+  if (stored.released) {
+    throw createFlightError(410, 'HOLD_RELEASED', 'The held PNR has been released and can no longer be ticketed');
+  }
+
+  stored.passengers = stored.passengers.map((passenger, index) => ({
+    ...passenger,
+    ticketNumber: passenger.ticketNumber || `098${String(parseInt(hash(stored.pnr, index).slice(0, 10), 16)).slice(-10).padStart(10, '0')}`,
+    status: 'TICKETED'
+  }));
+  stored.isTicketed = true;
+
+  return {
+    success: true,
+    confirmationId: `ticket_${stored.bookingReference}`,
+    data: {
+      bookingReference: stored.bookingReference,
+      pnr: stored.pnr,
+      status: 'TICKETED',
+      ticketNumber: stored.passengers[0]?.ticketNumber,
+      issueDate: new Date().toISOString(),
+      passengers: stored.passengers,
+      flights: [toSegment(stored.flight)],
+      fareDetails: toFareDetails(stored.flight),
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString(),
+        isEligibleForVoid: true,
+        isRefundable: isRefundable(stored.flight)
+      }
+    }
+  };
+}
+
+/**
+ * Release a held mock booking
+ * @param {Object} params - { BookingId }
+ * @returns {Promise<Object>} Release result
+ */
+async function releasePNR(params) {
+  const stored = bookings.get(params.BookingId);
+  if (!stored) {
+    throw bookingNotFound();
+  }
+  if (stored.isTicketed) {
+    throw createFlightError(409, 'ALREADY_TICKETED', 'Ticketed bookings cannot be released; cancel them instead');
+  }
+
+  stored.released = true;
+
+  return {
+    success: true,
+    requestId: `release_${stored.bookingReference}`,
+    data: {
+      bookingReference: stored.bookingReference,
+      pnr: stored.pnr,
+      status: 'RELEASED',
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Get the details of a mock booking
+ * @param {Object} params - { BookingId }
+ * @returns {Promise<Object>} Booking details
+ */
+async function getBookingDetails(params) {
+  const stored = bookings.get(params.BookingId);
+  if (!stored) {
+    throw bookingNotFound();
+  }
+
+  const { flight } = stored;
+
+  return {
+    success: true,
+    requestId: `booking_details_${stored.bookingReference}`,
+    data: {
+      bookingReference: stored.bookingReference,
+      pnr: stored.pnr,
+      status: stored.released ? 'RELEASED' : stored.isTicketed ? 'TICKETED' : 'CONFIRMED',
+      isTicketed: Boolean(stored.isTicketed),
+      isRefundable: isRefundable(flight),
+      passengers: stored.passengers,
+      segments: [{
+        airline: flight.airline,
+        flightNumber: flight.flight_number,
+        origin: flight.origin,
+        destination: flight.destination,
+        departureTime: flight.departure_time,
+        arrivalTime: flight.arrival_time,
+        cabinClass: flight.cabin_class,
+        status: 'Confirmed',
+        aircraftType: flight.aircraft_type
+      }],
+      fareDetails: {
+        baseFare: flight.price.base,
+        tax: flight.price.taxes,
+        totalFare: flight.price.total,
+        currency: flight.price.currency
+      },
+      cancellations: stored.cancellations,
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Get cancellation charges for a mock booking
+ * @param {Object} params - { BookingId, PNR, Passengers, Segments }
+ * @returns {Promise<Object>} Cancellation charges
+ */
+async function getCancellationCharges(params) {
+  const stored = bookings.get(params.BookingId);
+  if (!stored) {
+    throw bookingNotFound();
+  }
+
+  return {
+    success: true,
+    requestId: `cancellation_charges_${stored.bookingReference}`,
+    data: {
+      bookingReference: stored.bookingReference,
+      pnr: stored.pnr,
+      isCancellable: true,
+      isPartiallyCancellable: true,
+      charges: calculateCharges(stored, params.Passengers),
+      breakdown: null,
+      passengerCharges: [],
+      segmentCharges: [],
+      policy: { policyText: stored.flight.fare_rules },
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString()
+      }
+    }
+  };
+}
+
+/**
+ * Cancel a mock booking, fully or for some passengers
+ * @param {Object} params - { BookingId, PNR, Passengers, Segments, Reason }
+ * @returns {Promise<Object>} Cancellation details
+ */
+async function cancelBooking(params) {
+  const stored = bookings.get(params.BookingId);
+  if (!stored) {
+    throw bookingNotFound();
+  }
+
+  const charges = calculateCharges(stored, params.Passengers);
+  const cancellationType = params.Passengers?.length || params.Segments?.length ? 'PARTIAL' : 'FULL';
+  const cancellationReference = `MOCKCX${hash(stored.bookingReference, stored.cancellations.length).slice(0, 8).toUpperCase()}`;
+  const refund = {
+    status: 'PENDING',
+    amount: charges.refundAmount,
+    currency: charges.currency,
+    referenceNumber: `RF${cancellationReference.slice(6)}`,
+    processedDate: null,
+    estimatedProcessingTime: '5-7 working days'
+  };
+
+  stored.cancellations.push({ cancellationId: cancellationReference, cancellationType, reason: params.Reason, refund });
+
+  return {
+    success: true,
+    cancellationId: cancellationReference,
+    data: {
+      bookingReference: stored.bookingReference,
+      pnr: stored.pnr,
+      status: 'SUCCESS',
+      cancellationReference,
+      cancellationDate: new Date().toISOString(),
+      charges,
+      refund,
+      metadata: {
+        provider: 'mock',
+        timestamp: new Date().toISOString(),
+        isFullCancellation: cancellationType === 'FULL',
+        isPartialCancellation: cancellationType !== 'FULL',
+        cancellationType
+      }
+    }
+  };
+}
+
+/**
+ * Get the status of a mock cancellation. Mock cancellations complete immediately.
+ * @param {Object} params - { CancellationId, BookingId, PNR }
+ * @returns {Promise<Object>} Cancellation status
+ */
+async function getCancellationStatus(params) {
+  const stored = bookings.get(params.BookingId);
+  const cancellation = stored?.cancellations.find(c => c.cancellationId === params.CancellationId);
+  if (!cancellation) {
+    throw createFlightError(404, 'CANCELLATION_NOT_FOUND', 'Mock cancellation not found');
+  }
+
+  const processedDate = new Date().toISOString();
+  cancellation.refund = { ...cancellation.refund, status: 'PROCESSED', processedDate };
+
+  return {
+    success: true,
+    requestId: `cancellation_status_${cancellation.cancellationId}`,
+    data: {
+      cancellationId: cancellation.cancellationId,
+      bookingReference: stored.bookingReference,
+      pnr: stored.pnr,
+      status: 'COMPLETED',
+      processedDate,
+      cancellationType: cancellation.cancellationType,
+      cancellationReason: cancellation.reason,
+      refund: cancellation.refund,
+      passengers: [],
+      segments: [],
+      metadata: {
+        provider: 'mock',
+        timestamp: processedDate,
+        isComplete: true,
+        isSuccess: true,
+        isFailure: false,
+        isPending: false,
+        isRefundProcessed: true
+      }
+    }
+  };
+}
+
+/**
+ * Health of the mock supplier; it has no remote endpoints
+ * @returns {Object} { status, endpoints }
+ */
+function getSupplierHealth() {
+  return { status: 'up', endpoints: [] };
+}
+
+export {
+  searchFlights,
+  getFareRules,
+  getFareQuote,
+  getSSRDetails,
+  bookFlight,
+  confirmTicket,
+  getBookingDetails,
+  getCancellationCharges,
+  cancelBooking,
+  getCancellationStatus,
+  releasePNR,
+  getSupplierHealth
+};
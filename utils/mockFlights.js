@@ -1,4 +1,4 @@
-const mockFlights = {
+export const mockFlights = {
   success: true,
   data: {
     session_id: 'sess_mock_12345',
@@ -18,6 +18,7 @@ const mockFlights = {
         stops: 0,
         aircraft_type: 'Boeing 787-8',
         cabin_class: 'Economy',
+        is_lcc: false,
         price: {
           total: 7500.00,
           base: 6300.00,
@@ -41,6 +42,7 @@ const mockFlights = {
         stops: 0,
         aircraft_type: 'Airbus A320',
         cabin_class: 'Economy',
+        is_lcc: false,
         price: {
           total: 8200.00,
           base: 7000.00,
@@ -64,6 +66,7 @@ const mockFlights = {
         stops: 0,
         aircraft_type: 'Airbus A320neo',
         cabin_class: 'Economy',
+        is_lcc: true,
         price: {
           total: 6800.00,
           base: 5600.00,
@@ -95,6 +98,7 @@ const mockFlights = {
         ],
         aircraft_type: 'Boeing 737',
         cabin_class: 'Economy',
+        is_lcc: true,
         price: {
           total: 5500.00,
           base: 4300.00,
@@ -118,6 +122,7 @@ const mockFlights = {
         stops: 0,
         aircraft_type: 'Boeing 777',
         cabin_class: 'Business',
+        is_lcc: false,
         price: {
           total: 18500.00,
           base: 17000.00,
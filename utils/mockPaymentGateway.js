@@ -0,0 +1,182 @@
+import crypto from 'crypto';
+import { createFlightError } from './flightResponse.js';
+
+/**
+ * Offline payment gateway for development and tests. Orders and payments live
+ * in memory; `simulatePayment` stands in for the hosted checkout and returns
+ * the same fields (payment id and signature) a real checkout would.
+ *
+ * Implements the interface documented in utils/paymentGateway.js.
+ */
+
+const orders = new Map();
+const payments = new Map();
+
+const getSecret = () => process.env.MOCK_PAYMENT_SECRET || 'mock_payment_secret';
+
+const sign = value => crypto.createHmac('sha256', getSecret()).update(value).digest('hex');
+
+const randomId = prefix => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+const findPayment = paymentId => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    throw createFlightError(404, 'PAYMENT_NOT_FOUND', `Mock payment '${paymentId}' does not exist`);
+  }
+  return payment;
+};
+
+/**
+ * Create a payment order
+ * @param {Object} order
+ * @param {number} order.amount - Amount in major units (e.g. rupees)
+ * @param {string} order.currency - ISO currency code
+ * @param {string} order.receipt - Our reference for the order
+ * @param {Object} [order.notes] - Free-form notes
+ * @returns {Promise<Object>} Order ({ orderId, amount, currency, status, checkout })
+ */
+export const createOrder = async ({ amount, currency, receipt, notes = {} }) => {
+  const order = {
+    orderId: randomId('order'),
+    amount,
+    currency,
+    receipt,
+    notes,
+    status: 'created'
+  };
+  orders.set(order.orderId, order);
+
+  return {
+    orderId: order.orderId,
+    amount,
+    currency,
+    status: order.status,
+    checkout: { provider: 'mock', orderId: order.orderId }
+  };
+};
+
+/**
+ * Pay a mock order the way the hosted checkout would
+ * @param {string} orderId - Order from createOrder
+ * @param {Object} [options]
+ * @param {boolean} [options.fail=false] - Decline the payment
+ * @returns {Object} Checkout result ({ orderId, paymentId, signature, status })
+ */
+export const simulatePayment = (orderId, { fail = false } = {}) => {
+  const order = orders.get(orderId);
+  if (!order) {
+    throw createFlightError(404, 'ORDER_NOT_FOUND', `Mock order '${orderId}' does not exist`);
+  }
+
+  const payment = {
+    paymentId: randomId('pay'),
+    orderId,
+    amount: order.amount,
+    currency: order.currency,
+    method: 'mock',
+    status: fail ? 'failed' : 'authorized',
+    refunded: 0,
+    ...(fail && { error: 'Payment declined by the mock gateway' })
+  };
+  payments.set(payment.paymentId, payment);
+  order.status = fail ? order.status : 'attempted';
+
+  return {
+    orderId,
+    paymentId: payment.paymentId,
+    signature: fail ? undefined : sign(`${orderId}|${payment.paymentId}`),
+    status: payment.status
+  };
+};
+
+/**
+ * Check the signature the checkout returned for a payment
+ * @param {Object} params
+ * @param {string} params.orderId - Gateway order id
+ * @param {string} params.paymentId - Gateway payment id
+ * @param {string} params.signature - Signature from the checkout
+ * @returns {boolean} Whether the signature is valid
+ */
+export const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  const expected = sign(`${orderId}|${paymentId}`);
+  return typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Get the current state of a payment
+ * @param {string} paymentId - Gateway payment id
+ * @returns {Promise<Object>} Payment ({ paymentId, orderId, status, amount, currency, method, error })
+ */
+export const fetchPayment = async (paymentId) => {
+  const { refunded, ...payment } = findPayment(paymentId);
+  return payment;
+};
+
+/**
+ * Capture an authorized payment
+ * @param {Object} params
+ * @param {string} params.paymentId - Gateway payment id
+ * @param {number} params.amount - Amount to capture in major units
+ * @returns {Promise<Object>} Captured payment ({ paymentId, status, amount })
+ */
+export const capturePayment = async ({ paymentId, amount }) => {
+  const payment = findPayment(paymentId);
+
+  if (payment.status !== 'authorized') {
+    throw createFlightError(409, 'PAYMENT_NOT_CAPTURABLE', `Payment is ${payment.status} and cannot be captured`);
+  }
+  if (amount !== payment.amount) {
+    throw createFlightError(400, 'PAYMENT_AMOUNT_MISMATCH', 'Capture amount must equal the authorized amount');
+  }
+
+  payment.status = 'captured';
+  return { paymentId, status: payment.status, amount };
+};
+
+/**
+ * Refund a captured payment, fully or in part
+ * @param {Object} params
+ * @param {string} params.paymentId - Gateway payment id
+ * @param {number} params.amount - Amount to refund in major units
+ * @param {string} [params.reason] - Why the payment is refunded
+ * @returns {Promise<Object>} Refund ({ refundId, status, amount })
+ */
+export const refundPayment = async ({ paymentId, amount }) => {
+  const payment = findPayment(paymentId);
+
+  if (payment.status !== 'captured') {
+    throw createFlightError(409, 'PAYMENT_NOT_REFUNDABLE', `Payment is ${payment.status} and cannot be refunded`);
+  }
+  if (amount > payment.amount - payment.refunded) {
+    throw createFlightError(400, 'REFUND_TOO_LARGE', 'Refund is larger than the amount left on the payment');
+  }
+
+  payment.refunded += amount;
+  return { refundId: randomId('rfnd'), status: 'processed', amount };
+};
+
+/**
+ * Check a webhook signature. Mock webhooks are signed with MOCK_PAYMENT_SECRET
+ * in the `x-mock-signature` header.
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {boolean} Whether the signature is valid
+ */
+export const verifyWebhookSignature = (rawBody, headers = {}) => {
+  const signature = headers['x-mock-signature'];
+  const expected = sign(rawBody || '');
+  return typeof signature === 'string' && signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+};
+
+/**
+ * Normalize a webhook body
+ * @param {Object} body - Parsed body ({ id, type, data: { orderId, paymentId, refundId, amount, status, error } })
+ * @returns {Object} Event ({ id, type, orderId, paymentId, refundId, amount, status, error })
+ */
+export const parseWebhookEvent = (body = {}) => ({
+  id: body.id,
+  type: body.type,
+  ...body.data
+});
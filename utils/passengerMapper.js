@@ -0,0 +1,243 @@
+import { getAirport } from './referenceData.js';
+
+/**
+ * Maps passengers from the public booking schema (snake_case, `type: adult`)
+ * to the format expected by the flight providers (`PassengerType: ADT`, ...).
+ *
+ * Which documents are needed depends on the journey: international trips need
+ * passport details for every passenger, and when the airline asks for a PAN it
+ * is needed from the lead passenger (domestic) or every adult (international).
+ * Problems are returned per field, in the same shape as express-validator
+ * errors, so the client can show them next to the input that caused them.
+ */
+
+const PASSENGER_TYPES = {
+  adult: { code: 'ADT', paxType: 1 },
+  child: { code: 'CHD', paxType: 2 },
+  infant: { code: 'INF', paxType: 3 }
+};
+
+// Passenger type by age (in full years) on the day of travel
+const AGE_BANDS = [
+  { type: 'infant', maxAge: 1 },
+  { type: 'child', maxAge: 11 },
+  { type: 'adult', maxAge: Infinity }
+];
+
+const TITLES = {
+  adult: ['Mr', 'Mrs', 'Ms', 'Miss'],
+  child: ['Mstr', 'Miss'],
+  infant: ['Mstr', 'Miss']
+};
+
+const TITLE_ALIASES = { mr: 'Mr', mrs: 'Mrs', ms: 'Ms', miss: 'Miss', mstr: 'Mstr', master: 'Mstr' };
+
+const GENDERS = { M: 1, F: 2 };
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const NAME_PATTERN = /^[A-Za-z][A-Za-z ]*$/;
+
+// Passports must stay valid this long after the last flight
+const PASSPORT_VALIDITY_MONTHS = 6;
+
+const toDateString = date => date.toISOString().slice(0, 10);
+
+const withArticle = type => (['adult', 'infant'].includes(type) ? `an ${type}` : `a ${type}`);
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+/**
+ * Age in full years on a given date
+ * @param {Date} dateOfBirth
+ * @param {Date} onDate
+ * @returns {number}
+ */
+export const ageOn = (dateOfBirth, onDate) => {
+  const age = onDate.getUTCFullYear() - dateOfBirth.getUTCFullYear();
+  const beforeBirthday = onDate.getUTCMonth() < dateOfBirth.getUTCMonth() ||
+    (onDate.getUTCMonth() === dateOfBirth.getUTCMonth() && onDate.getUTCDate() < dateOfBirth.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+};
+
+/**
+ * Passenger type (adult, child or infant) for an age
+ * @param {number} age - Age in full years
+ * @returns {string}
+ */
+export const getAgeBand = age => AGE_BANDS.find(band => age <= band.maxAge).type;
+
+/**
+ * Work out the document rules of a journey from its fare quote
+ * @param {Object} fareQuote - Fare quote result (TBO `Results` shape)
+ * @returns {Promise<Object>} { isDomestic, departureDate, lastTravelDate, passportRequired, panRequired }
+ */
+export const describeJourney = async (fareQuote = {}) => {
+  const segments = (fareQuote.Segments || []).flat().filter(Boolean);
+  const places = segments.flatMap(segment => [segment.Origin?.Airport, segment.Destination?.Airport]).filter(Boolean);
+
+  // Airports without a known country are left out rather than guessed
+  const countries = new Set((await Promise.all(places.map(async place =>
+    place.CountryCode || (await getAirport(place.AirportCode))?.countryCode
+  ))).filter(Boolean));
+
+  const departures = segments.map(segment => parseDate(segment.Origin?.DepTime)).filter(Boolean);
+  const isDomestic = countries.size <= 1;
+
+  return {
+    isDomestic,
+    departureDate: departures.length ? toDateString(new Date(Math.min(...departures))) : null,
+    lastTravelDate: departures.length ? toDateString(new Date(Math.max(...departures))) : null,
+    passportRequired: !isDomestic || Boolean(fareQuote.IsPassportRequiredAtBook || fareQuote.IsPassportRequiredAtTicket),
+    panRequired: Boolean(fareQuote.IsPanRequiredAtBook || fareQuote.IsPanRequiredAtTicket)
+  };
+};
+
+/**
+ * Map public passengers to provider passengers
+ * @param {Array<Object>} passengers - Passengers from the booking request
+ * @param {Object} journey - Journey rules from describeJourney
+ * @param {Object} [contact] - contact_info from the booking request ({ email, phone, address, city, country_code })
+ * @returns {Object} { passengers, errors } — errors use the express-validator shape
+ */
+export const mapPassengers = (passengers = [], journey = {}, contact = {}) => {
+  const errors = [];
+  const addError = (index, field, msg, value) => errors.push({
+    type: 'field',
+    location: 'body',
+    path: index === null ? 'passengers' : `passengers[${index}].${field}`,
+    msg,
+    value
+  });
+
+  const today = new Date(`${toDateString(new Date())}T00:00:00Z`);
+  const travelDate = parseDate(journey.lastTravelDate) || today;
+  const passportValidUntil = new Date(travelDate);
+  passportValidUntil.setUTCMonth(passportValidUntil.getUTCMonth() + PASSPORT_VALIDITY_MONTHS);
+
+  const mapped = passengers.map((passenger, index) => {
+    const type = String(passenger.type || '').toLowerCase();
+    const typeInfo = PASSENGER_TYPES[type];
+    if (!typeInfo) {
+      addError(index, 'type', 'Passenger type must be adult, child or infant', passenger.type);
+      return null;
+    }
+
+    ['first_name', 'last_name'].forEach(field => {
+      const name = String(passenger[field] || '').trim();
+      if (!NAME_PATTERN.test(name)) {
+        addError(index, field, 'Names can only contain letters and spaces, as on the travel document', passenger[field]);
+      } else if (field === 'last_name' && name.length < 2) {
+        addError(index, field, 'Last name must have at least 2 letters', passenger[field]);
+      }
+    });
+
+    const title = TITLE_ALIASES[String(passenger.title || '').toLowerCase().replace(/\./g, '')];
+    if (!title || !TITLES[type].includes(title)) {
+      addError(index, 'title', `Title must be one of ${TITLES[type].join(', ')} for ${withArticle(type)}`, passenger.title);
+    }
+
+    const gender = GENDERS[String(passenger.gender || '').toUpperCase()];
+    if (!gender) {
+      addError(index, 'gender', 'Airlines only accept gender M or F, as on the travel document', passenger.gender);
+    }
+
+    // Date of birth and age band
+    const dateOfBirth = parseDate(passenger.date_of_birth);
+    const needsDateOfBirth = type !== 'adult' || journey.passportRequired;
+    if (!dateOfBirth) {
+      if (passenger.date_of_birth || needsDateOfBirth) {
+        addError(index, 'date_of_birth', `Valid date of birth is required for ${type === 'adult' ? 'this flight' : withArticle(type)}`, passenger.date_of_birth);
+      }
+    } else if (dateOfBirth >= today) {
+      addError(index, 'date_of_birth', 'Date of birth must be in the past', passenger.date_of_birth);
+    } else {
+      const age = ageOn(dateOfBirth, travelDate);
+      const band = getAgeBand(age);
+      if (band !== type) {
+        addError(index, 'type', `Passenger is ${age} on the travel date and must be booked as ${withArticle(band)}`, passenger.type);
+      }
+    }
+
+    // Passport
+    if (journey.passportRequired) {
+      if (!passenger.passport_number || !/^[A-Za-z0-9]{6,12}$/.test(passenger.passport_number)) {
+        addError(index, 'passport_number', 'Valid passport number is required for this flight', passenger.passport_number);
+      }
+      const passportExpiry = parseDate(passenger.passport_expiry);
+      if (!passportExpiry) {
+        addError(index, 'passport_expiry', 'Passport expiry date is required for this flight', passenger.passport_expiry);
+      } else if (passportExpiry < passportValidUntil) {
+        addError(index, 'passport_expiry', `Passport must be valid until at least ${toDateString(passportValidUntil)}`, passenger.passport_expiry);
+      }
+      if (!/^[A-Za-z]{2}$/.test(passenger.nationality || '')) {
+        addError(index, 'nationality', 'Nationality must be a 2-letter country code', passenger.nationality);
+      }
+    }
+
+    // PAN (whether it is required is checked with the lead passenger below)
+    const pan = passenger.pan ? String(passenger.pan).trim().toUpperCase() : null;
+    if (pan && !PAN_PATTERN.test(pan)) {
+      addError(index, 'pan', 'PAN must be 10 characters, e.g. ABCDE1234F', passenger.pan);
+    }
+
+    return {
+      Title: title,
+      FirstName: String(passenger.first_name || '').trim(),
+      LastName: String(passenger.last_name || '').trim(),
+      PassengerType: typeInfo.code,
+      PaxType: typeInfo.paxType,
+      Gender: gender,
+      ...(dateOfBirth && { DateOfBirth: `${toDateString(dateOfBirth)}T00:00:00` }),
+      Nationality: passenger.nationality ? String(passenger.nationality).toUpperCase() : contact.country_code || 'IN',
+      ...(passenger.passport_number && { PassportNumber: String(passenger.passport_number).toUpperCase() }),
+      ...(parseDate(passenger.passport_expiry) && { PassportExpiry: `${toDateString(parseDate(passenger.passport_expiry))}T00:00:00` }),
+      ...(pan && { PAN: pan }),
+      IsLeadPax: false,
+      // The airline needs contact details on every passenger record
+      Email: contact.email,
+      ContactNo: contact.phone,
+      AddressLine1: contact.address,
+      City: contact.city,
+      CountryCode: contact.country_code || 'IN',
+      SSRSelections: Array.isArray(passenger.ssr) ? passenger.ssr : []
+    };
+  });
+
+  // Party composition
+  const count = type => passengers.filter(p => String(p.type || '').toLowerCase() === type).length;
+  if (count('adult') === 0) {
+    addError(null, null, 'At least one adult is required', undefined);
+  }
+  if (count('infant') > count('adult')) {
+    addError(null, null, 'Each infant must travel on the lap of a different adult', undefined);
+  }
+
+  // Lead passenger: the one flagged by the client, otherwise the first adult
+  const flagged = passengers.map((p, index) => (p.is_lead ? index : -1)).filter(index => index >= 0);
+  if (flagged.length > 1) {
+    flagged.slice(1).forEach(index => addError(index, 'is_lead', 'Only one passenger can be the lead passenger', true));
+  }
+  const leadIndex = flagged.length ? flagged[0] : passengers.findIndex(p => String(p.type || '').toLowerCase() === 'adult');
+  if (leadIndex >= 0 && mapped[leadIndex]) {
+    if (mapped[leadIndex].PassengerType !== 'ADT') {
+      addError(leadIndex, 'is_lead', 'The lead passenger must be an adult', true);
+    }
+    mapped[leadIndex].IsLeadPax = true;
+  }
+
+  // When the airline asks for a PAN, domestic fares need the lead passenger's
+  // and international fares every adult's
+  if (journey.panRequired) {
+    mapped.forEach((passenger, index) => {
+      const needsPan = passenger?.PassengerType === 'ADT' && (!journey.isDomestic || index === leadIndex);
+      if (needsPan && !passenger.PAN && !errors.some(error => error.path === `passengers[${index}].pan`)) {
+        addError(index, 'pan', `PAN is required by the airline for ${journey.isDomestic ? 'the lead passenger' : 'every adult on international fares'}`, passengers[index].pan);
+      }
+    });
+  }
+
+  return { passengers: errors.length ? [] : mapped, errors };
+};
@@ -0,0 +1,68 @@
+import * as razorpayPaymentGateway from './razorpayPaymentGateway.js';
+import * as mockPaymentGateway from './mockPaymentGateway.js';
+import { createFlightError } from './flightResponse.js';
+
+/**
+ * Payment gateway abstraction. Controllers call the functions exported here
+ * instead of a specific gateway; the implementation is chosen by the
+ * PAYMENT_PROVIDER environment variable ('razorpay' by default, or 'mock' for
+ * offline development). The mock takes payments without charging anyone, so it
+ * is only used when set explicitly and never in production.
+ *
+ * Every gateway implements, with amounts in major currency units:
+ * createOrder, verifyPaymentSignature, fetchPayment, capturePayment,
+ * refundPayment, verifyWebhookSignature and parseWebhookEvent.
+ * Webhook events are normalized to { id, type, orderId, paymentId, refundId,
+ * amount, status, error } with the types payment.authorized,
+ * payment.captured, payment.failed, refund.processed and refund.failed.
+ *
+ * Card details never reach this server: the customer pays on the gateway's
+ * checkout and we only see the order id, payment id and signature.
+ */
+
+const PROVIDERS = {
+  razorpay: razorpayPaymentGateway,
+  mock: mockPaymentGateway
+};
+
+/**
+ * Name of the configured payment gateway
+ * @returns {string} Gateway name
+ */
+export const getPaymentProviderName = () => (process.env.PAYMENT_PROVIDER || 'razorpay').trim().toLowerCase();
+
+/**
+ * Whether the mock gateway is in use (PAYMENT_PROVIDER=mock outside production)
+ * @returns {boolean}
+ */
+export const isMockPaymentProvider = () => getPaymentProviderName() === 'mock' && process.env.NODE_ENV !== 'production';
+
+/**
+ * Resolve the configured payment gateway
+ * @returns {Object} Gateway module
+ */
+export const getPaymentProvider = () => {
+  const name = getPaymentProviderName();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw createFlightError(
+      500,
+      'INVALID_PAYMENT_PROVIDER',
+      `Unknown payment provider '${name}'. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`
+    );
+  }
+  if (name === 'mock' && !isMockPaymentProvider()) {
+    throw createFlightError(500, 'INVALID_PAYMENT_PROVIDER', 'The mock payment provider cannot be used in production');
+  }
+
+  return provider;
+};
+
+export const createOrder = (...args) => getPaymentProvider().createOrder(...args);
+export const verifyPaymentSignature = (...args) => getPaymentProvider().verifyPaymentSignature(...args);
+export const fetchPayment = (...args) => getPaymentProvider().fetchPayment(...args);
+export const capturePayment = (...args) => getPaymentProvider().capturePayment(...args);
+export const refundPayment = (...args) => getPaymentProvider().refundPayment(...args);
+export const verifyWebhookSignature = (...args) => getPaymentProvider().verifyWebhookSignature(...args);
+export const parseWebhookEvent = (...args) => getPaymentProvider().parseWebhookEvent(...args);
@@ -0,0 +1,194 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import { createFlightError } from './flightResponse.js';
+import logger from './logger.js';
+
+/**
+ * Razorpay implementation of the payment gateway interface documented in
+ * utils/paymentGateway.js. Razorpay works in the smallest currency unit
+ * (paise); amounts are converted at this boundary so callers always use
+ * major units.
+ */
+
+const CONFIG = {
+  BASE_URL: process.env.RAZORPAY_API_URL || 'https://api.razorpay.com/v1',
+  TIMEOUT_MS: 15000
+};
+
+const toMinorUnits = amount => Math.round(Number(amount) * 100);
+const toMajorUnits = amount => Math.round(Number(amount)) / 100;
+
+const getCredentials = () => {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+
+  if (!keyId || !keySecret) {
+    throw createFlightError(500, 'PAYMENT_GATEWAY_NOT_CONFIGURED', 'RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+  }
+  return { keyId, keySecret };
+};
+
+const safeEqual = (a, b) => typeof a === 'string' && a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+/**
+ * Call the Razorpay API and turn its errors into operational errors
+ * @param {string} method - HTTP method
+ * @param {string} path - API path (e.g. '/orders')
+ * @param {Object} [data] - Request body
+ * @returns {Promise<Object>} Response body
+ */
+const request = async (method, path, data) => {
+  const { keyId, keySecret } = getCredentials();
+
+  try {
+    const response = await axios({
+      method,
+      url: `${CONFIG.BASE_URL}${path}`,
+      data,
+      auth: { username: keyId, password: keySecret },
+      timeout: CONFIG.TIMEOUT_MS
+    });
+    return response.data;
+  } catch (error) {
+    const apiError = error.response?.data?.error;
+    logger.error('Razorpay request failed:', { method, path, status: error.response?.status, error: apiError?.description || error.message });
+
+    if (apiError && error.response.status < 500) {
+      throw createFlightError(400, 'PAYMENT_GATEWAY_REJECTED', apiError.description || 'The payment gateway rejected the request', { reason: apiError.code });
+    }
+    throw createFlightError(502, 'PAYMENT_GATEWAY_ERROR', 'The payment gateway is not reachable right now');
+  }
+};
+
+const mapPayment = payment => ({
+  paymentId: payment.id,
+  orderId: payment.order_id,
+  status: payment.status,
+  amount: toMajorUnits(payment.amount),
+  currency: payment.currency,
+  method: payment.method,
+  error: payment.error_description || undefined
+});
+
+/**
+ * Create a payment order
+ * @param {Object} order
+ * @param {number} order.amount - Amount in major units (e.g. rupees)
+ * @param {string} order.currency - ISO currency code
+ * @param {string} order.receipt - Our reference for the order
+ * @param {Object} [order.notes] - Free-form notes
+ * @returns {Promise<Object>} Order ({ orderId, amount, currency, status, checkout })
+ */
+export const createOrder = async ({ amount, currency, receipt, notes = {} }) => {
+  const order = await request('post', '/orders', {
+    amount: toMinorUnits(amount),
+    currency,
+    receipt,
+    notes
+  });
+
+  return {
+    orderId: order.id,
+    amount: toMajorUnits(order.amount),
+    currency: order.currency,
+    status: order.status,
+    // What the browser checkout needs; the key id is public
+    checkout: { provider: 'razorpay', keyId: getCredentials().keyId, orderId: order.id }
+  };
+};
+
+/**
+ * Check the signature the checkout returned for a payment
+ * @param {Object} params
+ * @param {string} params.orderId - Gateway order id
+ * @param {string} params.paymentId - Gateway payment id
+ * @param {string} params.signature - `razorpay_signature` from the checkout
+ * @returns {boolean} Whether the signature is valid
+ */
+export const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  const expected = crypto
+    .createHmac('sha256', getCredentials().keySecret)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+  return safeEqual(signature, expected);
+};
+
+/**
+ * Get the current state of a payment
+ * @param {string} paymentId - Gateway payment id
+ * @returns {Promise<Object>} Payment ({ paymentId, orderId, status, amount, currency, method, error })
+ */
+export const fetchPayment = async (paymentId) => mapPayment(await request('get', `/payments/${paymentId}`));
+
+/**
+ * Capture an authorized payment
+ * @param {Object} params
+ * @param {string} params.paymentId - Gateway payment id
+ * @param {number} params.amount - Amount to capture in major units
+ * @param {string} params.currency - ISO currency code
+ * @returns {Promise<Object>} Captured payment ({ paymentId, status, amount })
+ */
+export const capturePayment = async ({ paymentId, amount, currency }) => {
+  const payment = await request('post', `/payments/${paymentId}/capture`, {
+    amount: toMinorUnits(amount),
+    currency
+  });
+
+  return { paymentId: payment.id, status: payment.status, amount: toMajorUnits(payment.amount) };
+};
+
+/**
+ * Refund a captured payment, fully or in part
+ * @param {Object} params
+ * @param {string} params.paymentId - Gateway payment id
+ * @param {number} params.amount - Amount to refund in major units
+ * @param {string} [params.reason] - Why the payment is refunded
+ * @returns {Promise<Object>} Refund ({ refundId, status, amount })
+ */
+export const refundPayment = async ({ paymentId, amount, reason }) => {
+  const refund = await request('post', `/payments/${paymentId}/refund`, {
+    amount: toMinorUnits(amount),
+    ...(reason && { notes: { reason } })
+  });
+
+  return { refundId: refund.id, status: refund.status, amount: toMajorUnits(refund.amount) };
+};
+
+/**
+ * Check the `X-Razorpay-Signature` header of a webhook
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {Object} headers - Request headers
+ * @returns {boolean} Whether the signature is valid
+ */
+export const verifyWebhookSignature = (rawBody, headers = {}) => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret || !rawBody) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+  return safeEqual(headers['x-razorpay-signature'], expected);
+};
+
+/**
+ * Normalize a webhook body
+ * @param {Object} body - Parsed Razorpay webhook body
+ * @param {Object} [headers] - Request headers (the event id is sent in `x-razorpay-event-id`)
+ * @returns {Object} Event ({ id, type, orderId, paymentId, refundId, amount, status, error })
+ */
+export const parseWebhookEvent = (body = {}, headers = {}) => {
+  const payment = body.payload?.payment?.entity;
+  const refund = body.payload?.refund?.entity;
+
+  return {
+    id: headers['x-razorpay-event-id'],
+    type: body.event,
+    orderId: payment?.order_id,
+    paymentId: refund?.payment_id || payment?.id,
+    refundId: refund?.id,
+    amount: toMajorUnits((refund || payment)?.amount || 0),
+    status: (refund || payment)?.status,
+    error: payment?.error_description || undefined
+  };
+};
@@ -0,0 +1,257 @@
+import Airport from '../models/airport.model.js';
+import Airline from '../models/airline.model.js';
+import logger from './logger.js';
+
+/**
+ * In-memory view of the Airport and Airline collections (seeded with
+ * `npm run seed:reference`). The collections are small and rarely change, so
+ * they are loaded once and refreshed hourly instead of queried per request.
+ * Until they are seeded, airport codes are only checked for their format.
+ */
+
+// IATA metropolitan area codes, accepted as search origins and destinations
+// even when none of the city's airports are seeded
+const METRO_CITY_CODES = new Set([
+  'BER', 'BJS', 'BUE', 'BUH', 'CHI', 'DTT', 'JKT', 'LON', 'MIL', 'MOW', 'NYC', 'OSA', 'PAR', 'RIO',
+  'ROM', 'SAO', 'SEL', 'SHA', 'SPK', 'STO', 'TYO', 'WAS', 'YMQ', 'YTO'
+]);
+
+const REFRESH_MS = 60 * 60 * 1000;
+// Wait before retrying when the database could not be read
+const RETRY_MS = 60 * 1000;
+
+let snapshot = { airports: new Map(), cityCodes: new Set(), airlines: new Map(), loadedAt: 0 };
+let refreshAt = 0;
+let loading = null;
+
+/**
+ * Load (or refresh) the airports and airlines
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Reload even if the data is fresh
+ * @returns {Promise<Object>} { airports, airlines } maps keyed by code
+ */
+export const loadReferenceData = async ({ force = false } = {}) => {
+  if (!force && Date.now() < refreshAt) {
+    return snapshot;
+  }
+
+  if (!loading) {
+    loading = Promise.all([
+      Airport.find({ isActive: true }).select('-__v -createdAt -updatedAt').lean(),
+      Airline.find({ isActive: true }).select('-__v -createdAt -updatedAt').lean()
+    ])
+      .then(([airports, airlines]) => {
+        snapshot = {
+          airports: new Map(airports.map(airport => [airport.code, { ...airport, search: buildSearchFields(airport) }])),
+          cityCodes: new Set(airports.map(airport => airport.cityCode).filter(Boolean)),
+          airlines: new Map(airlines.map(airline => [airline.code, airline])),
+          loadedAt: Date.now()
+        };
+        refreshAt = Date.now() + REFRESH_MS;
+        return snapshot;
+      })
+      .catch(error => {
+        logger.warn('Failed to load airport and airline data:', { error: error.message });
+        refreshAt = Date.now() + RETRY_MS;
+        return snapshot;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+};
+
+const normalize = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const buildSearchFields = airport => ({
+  city: normalize(airport.city),
+  name: normalize(airport.name),
+  country: normalize(airport.country),
+  aliases: (airport.aliases || []).map(normalize),
+  words: [...new Set(normalize(`${airport.city} ${airport.name} ${(airport.aliases || []).join(' ')}`).split(' '))]
+});
+
+/**
+ * Edit distance between two strings (insertions, deletions, substitutions)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Smallest edit distance between the query and the start of a word, so that
+ * 'banglore' still finds Bangalore while the user is typing
+ * @param {string} query - Normalized query
+ * @param {string} word - Normalized word
+ * @returns {number}
+ */
+const prefixDistance = (query, word) => Math.min(
+  ...[query.length - 1, query.length, query.length + 1]
+    .filter(length => length > 0)
+    .map(length => levenshtein(query, word.slice(0, length)))
+);
+
+/**
+ * Score how well an airport matches a query (0 means no match)
+ * @param {Object} airport - Airport with search fields
+ * @param {string} query - Normalized query
+ * @returns {number}
+ */
+const scoreAirport = (airport, query) => {
+  const code = query.toUpperCase();
+  const { search } = airport;
+
+  if (airport.code === code) return 100;
+  if (airport.cityCode === code) return 90;
+  if (search.city.startsWith(query) || search.aliases.some(alias => alias.startsWith(query))) return 80;
+  if (airport.code.startsWith(code)) return 70;
+  if (search.words.some(word => word.startsWith(query))) return 60;
+  if (query.length >= 3 && (search.city.includes(query) || search.name.includes(query))) return 50;
+  if (search.country.startsWith(query)) return 30;
+
+  // Typos: one edit from four characters, two from seven
+  if (query.length >= 4) {
+    const allowed = query.length >= 7 ? 2 : 1;
+    const distance = Math.min(...search.words.map(word => prefixDistance(query, word)));
+    if (distance <= allowed) return 20 - distance * 5;
+  }
+
+  return 0;
+};
+
+const toPublicAirport = ({ code, name, city, cityCode, country, countryCode, timezone }) => ({
+  code,
+  name,
+  city,
+  cityCode,
+  country,
+  countryCode,
+  timezone
+});
+
+/**
+ * Autocomplete airports by code, city, former city name, airport name or
+ * country, tolerating typos
+ * @param {string} query - Text typed by the user
+ * @param {Object} [options]
+ * @param {number} [options.limit=10] - Maximum number of airports
+ * @returns {Promise<Array<Object>>} Best matches first
+ */
+export const searchAirports = async (query, { limit = 10 } = {}) => {
+  const { airports } = await loadReferenceData();
+  const normalized = normalize(query);
+  if (!normalized) return [];
+
+  return Array.from(airports.values())
+    .map(airport => ({ airport, score: scoreAirport(airport, normalized) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || (b.airport.priority || 0) - (a.airport.priority || 0) || a.airport.city.localeCompare(b.airport.city))
+    .slice(0, limit)
+    .map(({ airport }) => toPublicAirport(airport));
+};
+
+/**
+ * Look up an airport by IATA code
+ * @param {string} code - Airport code
+ * @returns {Promise<?Object>} Airport or null
+ */
+export const getAirport = async (code) => {
+  const { airports } = await loadReferenceData();
+  const airport = airports.get(String(code || '').toUpperCase());
+  return airport ? toPublicAirport(airport) : null;
+};
+
+/**
+ * express-validator check for airport codes. Accepts seeded airports, the city
+ * codes of seeded airports and metropolitan codes (LON, NYC). Any 3-letter code
+ * is accepted while no airports are loaded, so an unseeded database does not
+ * block searches.
+ * @param {string} value - Airport or city code from the request
+ * @returns {Promise<boolean>}
+ * @throws {Error} When the code is not a known airport or city
+ */
+export const validateAirportCode = async (value) => {
+  const code = String(value || '').trim().toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error('Airport code must be 3 letters');
+  }
+
+  const { airports, cityCodes } = await loadReferenceData();
+  if (airports.size > 0 && !airports.has(code) && !cityCodes.has(code) && !METRO_CITY_CODES.has(code)) {
+    throw new Error(`Unknown airport or city code ${code}`);
+  }
+  return true;
+};
+
+const enrichPlace = (place, airports) => {
+  const airport = place?.code && airports.get(place.code);
+  if (!airport) return place;
+
+  return {
+    ...place,
+    name: place.name || airport.name,
+    city: place.city || airport.city,
+    country: place.country || airport.countryCode,
+    timezone: airport.timezone
+  };
+};
+
+const enrichAirline = (airline, airlines) => {
+  const known = airline?.code && airlines.get(airline.code);
+  if (!known) return airline;
+
+  return {
+    ...airline,
+    name: airline.name || known.name,
+    logoUrl: known.logoUrl || null
+  };
+};
+
+/**
+ * Add airport names, time zones, airline names and logos to offers. Returns
+ * new objects: offers may be shared with the search cache.
+ * @param {Array<Object>} offers - FlightOffers
+ * @returns {Promise<Array<Object>>} Enriched offers
+ */
+export const enrichOffers = async (offers = []) => {
+  const { airports, airlines } = await loadReferenceData();
+  if (airports.size === 0 && airlines.size === 0) return offers;
+
+  return offers.map(offer => ({
+    ...offer,
+    validatingAirline: enrichAirline(offer.validatingAirline, airlines),
+    itineraries: offer.itineraries.map(itinerary => ({
+      ...itinerary,
+      segments: itinerary.segments.map(segment => ({
+        ...segment,
+        airline: enrichAirline(segment.airline, airlines),
+        origin: enrichPlace(segment.origin, airports),
+        destination: enrichPlace(segment.destination, airports)
+      }))
+    }))
+  }));
+};
@@ -0,0 +1,99 @@
+import logger from './logger.js';
+
+/**
+ * Minimal in-process job scheduler for periodic background work.
+ * A run is skipped while the previous run of the same job is still going, so
+ * slow supplier calls never stack up. Set DISABLE_SCHEDULED_JOBS=true to keep
+ * jobs from starting (e.g. on extra instances behind a load balancer).
+ */
+
+const jobs = new Map();
+
+/**
+ * Run a job every `intervalMs` milliseconds
+ * @param {string} name - Unique job name, used in logs
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} task - Async job function
+ * @param {Object} [options]
+ * @param {boolean} [options.runOnStart=false] - Also run once right away
+ * @param {Date} [options.startAt] - Time of the first run; later runs follow every `intervalMs`
+ * @returns {boolean} Whether the job was scheduled
+ */
+export const scheduleJob = (name, intervalMs, task, { runOnStart = false, startAt } = {}) => {
+  if (process.env.DISABLE_SCHEDULED_JOBS === 'true') {
+    logger.info(`Scheduled job '${name}' is disabled`);
+    return false;
+  }
+
+  if (jobs.has(name)) {
+    throw new Error(`Job '${name}' is already scheduled`);
+  }
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastError: null };
+
+  const run = async () => {
+    if (job.running) {
+      logger.warn(`Skipping job '${name}': previous run still in progress`);
+      return;
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+    try {
+      await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Job '${name}' failed:`, { error: error.message, stack: error.stack });
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+      logger.debug(`Job '${name}' finished in ${Date.now() - startedAt}ms`);
+    }
+  };
+
+  const startInterval = () => {
+    job.timer = setInterval(run, intervalMs);
+    // Do not keep the process alive just for background jobs
+    job.timer.unref?.();
+  };
+
+  if (startAt) {
+    job.timer = setTimeout(() => {
+      run();
+      startInterval();
+    }, Math.max(0, startAt.getTime() - Date.now()));
+    job.timer.unref?.();
+  } else {
+    startInterval();
+  }
+  jobs.set(name, job);
+
+  if (runOnStart) {
+    setImmediate(run);
+  }
+
+  logger.info(`Scheduled job '${name}' every ${Math.round(intervalMs / 1000)}s${startAt ? ` from ${startAt.toISOString()}` : ''}`);
+  return true;
+};
+
+/**
+ * Stop every scheduled job
+ */
+export const stopAllJobs = () => {
+  // clearTimeout also clears intervals
+  jobs.forEach(job => clearTimeout(job.timer));
+  jobs.clear();
+};
+
+/**
+ * Status of the scheduled jobs, for health checks
+ * @returns {Array<Object>} Job name, interval, last run and last error
+ */
+export const getJobStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
@@ -1,5 +1,8 @@
 import axios from 'axios';
 import { getAuthToken } from './tboAuth.js';
+import { mapTboResultsToOffers } from './flightOffer.js';
+import { getCircuitBreaker } from './circuitBreaker.js';
+import { createFlightError } from './flightResponse.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -24,7 +27,20 @@ const CONFIG = {
     DEFAULT_CABIN_CLASS: '2', // 2: Economy, 3: Premium Economy, 4: Business, etc.
     DEFAULT_CURRENCY: 'INR',
     MAX_RETRIES: 3,
-    RETRY_DELAY: 1000 // 1 second
+    RETRY_DELAY: 1000, // 1 second
+
+    // Circuit breaker per base URL: opens after this many consecutive timeouts,
+    // connection errors, 429 or 5xx responses, and lets a trial call through after the cool-down
+    BREAKER_FAILURE_THRESHOLD: 5,
+    BREAKER_RESET_MS: 30000,
+
+    // TBO journey types
+    JOURNEY_TYPES: {
+        ONE_WAY: 1,
+        RETURN: 2,
+        MULTI_CITY: 3
+    },
+    MAX_MULTI_CITY_LEGS: 5
 };
 
 // Ensure log directory exists
@@ -109,16 +125,85 @@ async function createParams(params = {}, attempt = 1) {
 }
 
 
+// Calls that change a booking are only resent when they never reached TBO;
+// after a timeout the first attempt may already have been processed
+const NON_IDEMPOTENT_ENDPOINTS = ['Book', 'Ticket', 'SendChangeRequest', 'ReleasePNRRequest'];
+const CONNECT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+// TBO runs search/pricing (FLIGHT_URL_1) and booking (FLIGHT_URL_2) as separate
+// services, so a call only fails over to a mirror of its own service. Mirrors
+// are optional, comma-separated base URLs read from the environment.
+const SERVICES = {
+    search: { baseUrl: CONFIG.FLIGHT_URL_1, mirrorsEnv: 'TBO_FLIGHT_SEARCH_MIRROR_URLS' },
+    booking: { baseUrl: CONFIG.FLIGHT_URL_2, mirrorsEnv: 'TBO_FLIGHT_BOOKING_MIRROR_URLS' }
+};
+
+/**
+ * Base URLs of a TBO service: its main URL first, then any configured mirrors
+ * @param {string} service - 'search' or 'booking'
+ * @returns {string[]}
+ */
+function getServiceUrls(service) {
+    const { baseUrl, mirrorsEnv } = SERVICES[service];
+    const mirrors = (process.env[mirrorsEnv] || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean)
+        .map(url => (url.endsWith('/') ? url : `${url}/`));
+
+    return [...new Set([baseUrl, ...mirrors])];
+}
+
+const getBreaker = baseUrl => getCircuitBreaker(`tbo-flight:${new URL(baseUrl).host}`, {
+    failureThreshold: CONFIG.BREAKER_FAILURE_THRESHOLD,
+    resetTimeoutMs: CONFIG.BREAKER_RESET_MS
+});
+
+/**
+ * Pick the base URL for a call among the mirrors of its service: the preferred
+ * one unless its breaker is open, otherwise the next mirror that allows a request
+ * @param {string[]} serviceUrls - Base URLs of the service
+ * @param {string} preferredUrl - URL to try first
+ * @returns {?string} Base URL, or null when every breaker of the service is open
+ */
+function selectBaseUrl(serviceUrls, preferredUrl) {
+    const start = Math.max(serviceUrls.indexOf(preferredUrl), 0);
+    const candidates = [...serviceUrls.slice(start), ...serviceUrls.slice(0, start)];
+
+    return candidates.find(baseUrl => getBreaker(baseUrl).allowRequest()) || null;
+}
+
 /**
- * Make API request to TBO Flight service with retry mechanism
+ * Make API request to TBO Flight service with retry and failover.
+ * Timeouts, connection errors, 429 and 5xx responses count against the circuit
+ * breaker of the base URL; after an outage the retry goes to the next mirror of
+ * the same service. When every breaker of the service is open the call fails
+ * fast with SUPPLIER_UNAVAILABLE (503).
  * @param {string} endpoint - API endpoint
  * @param {Object} data - Request data
- * @param {boolean} [useSecondaryUrl=false] - Whether to use the secondary URL
+ * @param {boolean} [useSecondaryUrl=false] - Whether to call the booking service (FLIGHT_URL_2)
  * @param {number} [attempt=1] - Current retry attempt
+ * @param {string} [preferredUrl] - Mirror to try first on a retry
  * @returns {Promise<Object>} API response
  */
-async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1) {
-    const baseUrl = useSecondaryUrl ? CONFIG.FLIGHT_URL_2 : CONFIG.FLIGHT_URL_1;
+async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1, preferredUrl = null) {
+    const serviceUrls = getServiceUrls(useSecondaryUrl ? 'booking' : 'search');
+    const baseUrl = selectBaseUrl(serviceUrls, preferredUrl || serviceUrls[0]);
+    if (!baseUrl) {
+        const retryAfterSeconds = Math.min(...serviceUrls.map(url => getBreaker(url).getRetryAfterSeconds()));
+        logger.warn('TBO API unavailable, failing fast:', { endpoint, retryAfterSeconds });
+
+        const unavailable = createFlightError(
+            503,
+            'SUPPLIER_UNAVAILABLE',
+            'The flight supplier is temporarily unavailable. Please try again in a few minutes',
+            { retryAfterSeconds }
+        );
+        unavailable.isRetryable = false;
+        throw unavailable;
+    }
+
+    const breaker = getBreaker(baseUrl);
     const url = `${baseUrl}${endpoint}`;
     const logId = `req_${Date.now()}_${Math.floor(Math.random() * 1000)}.log`;
     
@@ -145,6 +230,7 @@ async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1)
             maxBodyLength: Infinity,
             maxContentLength: Infinity
         });
+        breaker.recordSuccess();
         
         // Log successful response
         logMessage(`[${endpoint}] Response: ${JSON.stringify(response.data, null, 2)}`, logId, 'debug');
@@ -153,21 +239,44 @@ async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1)
         if (response.data && response.data.Response && response.data.Response.Error) {
             const apiError = response.data.Response.Error;
             if (apiError.ErrorCode !== 0 && apiError.ErrorCode !== '0') {
-                throw new Error(`TBO API Error [${apiError.ErrorCode}]: ${apiError.ErrorMessage}`);
+                const error = new Error(`TBO API Error [${apiError.ErrorCode}]: ${apiError.ErrorMessage}`);
+                error.isApiError = true;
+                throw error;
             }
         }
         
         return response.data;
     } catch (error) {
-        // Check if we should retry
+        // TBO answered with a business error: nothing to retry
+        if (error.isApiError) {
+            error.isRetryable = false;
+            throw error;
+        }
+
         const isNetworkError = !error.response;
         const isServerError = error.response && error.response.status >= 500;
         const isRateLimit = error.response && error.response.status === 429;
+        const isOutage = isNetworkError || isServerError;
+
+        // Throttling counts as a failure too, so it never resets the breaker.
+        // Other 4xx answers still show the endpoint is up.
+        if (isOutage || isRateLimit) {
+            breaker.recordFailure(error);
+        } else {
+            breaker.recordSuccess();
+        }
+
+        // Check if we should retry
+        const isSafeToResend = !NON_IDEMPOTENT_ENDPOINTS.includes(endpoint) || CONNECT_ERROR_CODES.includes(error.code);
         
-        if ((isNetworkError || isServerError || isRateLimit) && attempt < CONFIG.MAX_RETRIES) {
+        if ((isOutage || isRateLimit) && isSafeToResend && attempt < CONFIG.MAX_RETRIES) {
             const retryDelay = isRateLimit
                 ? 5000 // Longer delay for rate limits
                 : CONFIG.RETRY_DELAY * Math.pow(2, attempt - 1); // Exponential backoff
+            // Outages move to the next mirror of the same service; rate limits stay on the same URL
+            const retryUrl = isOutage
+                ? serviceUrls[(serviceUrls.indexOf(baseUrl) + 1) % serviceUrls.length]
+                : baseUrl;
 
             logMessage(
                 `Retry ${attempt}/${CONFIG.MAX_RETRIES} for ${endpoint} after ${retryDelay}ms: ${error.message}`,
@@ -176,7 +285,7 @@ async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1)
             );
 
             await new Promise(resolve => setTimeout(resolve, retryDelay));
-            return makeRequest(endpoint, data, useSecondaryUrl, attempt + 1);
+            return makeRequest(endpoint, data, useSecondaryUrl, attempt + 1, retryUrl);
         }
 
         // Log final error
@@ -184,6 +293,7 @@ async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1)
             message: error.message,
             code: error.code || (error.response ? error.response.status : 'NETWORK_ERROR'),
             endpoint,
+            url,
             attempt,
             response: error.response ? {
                 status: error.response.status,
@@ -207,12 +317,34 @@ async function makeRequest(endpoint, data, useSecondaryUrl = false, attempt = 1)
 
         enhancedError.code = error.response?.status || error.code || 'API_ERROR';
         enhancedError.details = error.response?.data || {};
-        enhancedError.isRetryable = isNetworkError || isServerError || isRateLimit;
+        enhancedError.isRetryable = isOutage || isRateLimit;
 
         throw enhancedError;
     }
 }
 
+/**
+ * Circuit breaker state of every TBO base URL. The supplier is down when all
+ * mirrors of either service are unavailable, degraded when any breaker is not closed.
+ * @returns {Object} { status: up | degraded | down, endpoints }
+ */
+function getSupplierHealth() {
+    const endpoints = Object.keys(SERVICES).flatMap(service => getServiceUrls(service).map((baseUrl, index) => ({
+        url: baseUrl,
+        service,
+        role: index === 0 ? 'primary' : 'mirror',
+        ...getBreaker(baseUrl).getStatus()
+    })));
+    const isClosed = endpoint => endpoint.state === 'closed';
+    const serviceDown = Object.keys(SERVICES).some(service =>
+        !endpoints.some(endpoint => endpoint.service === service && isClosed(endpoint)));
+
+    return {
+        status: serviceDown ? 'down' : endpoints.every(isClosed) ? 'up' : 'degraded',
+        endpoints
+    };
+}
+
 /**
  * Create flight segment for search with validation
  * @param {string} origin - Origin airport code (3-letter IATA code)
@@ -261,6 +393,36 @@ function createFlightSegment(origin, destination, cabinClass = CONFIG.DEFAULT_CA
 }
 
 
+/**
+ * Group multi-city search results by leg.
+ * TBO returns either one result list per leg (fares priced separately) or a
+ * single list of combined itineraries whose `Segments` hold one array per leg.
+ * @param {Array} rawResults - `Response.Results` from the Search call
+ * @param {Array<Object>} legs - Requested legs ({ origin, destination, departure_date })
+ * @returns {Array<Object>} One entry per leg with its results
+ */
+function groupResultsByLeg(rawResults, legs) {
+    const isListPerLeg = rawResults.length === legs.length && rawResults.every(Array.isArray);
+    const itineraries = isListPerLeg ? [] : rawResults.flat();
+
+    return legs.map((leg, legIndex) => ({
+        legIndex,
+        origin: leg.origin.trim().toUpperCase(),
+        destination: leg.destination.trim().toUpperCase(),
+        departureDate: leg.departure_date,
+        isPricedSeparately: isListPerLeg,
+        results: isListPerLeg
+            ? rawResults[legIndex]
+            : itineraries.map(itinerary => ({
+                resultIndex: itinerary.ResultIndex,
+                fare: itinerary.Fare,
+                isLCC: itinerary.IsLCC,
+                isRefundable: itinerary.IsRefundable,
+                segments: itinerary.Segments?.[legIndex] || []
+            }))
+    }));
+}
+
 /**
  * Search for flights with comprehensive validation and filtering
  * @param {Object} params - Search parameters
@@ -272,7 +434,8 @@ function createFlightSegment(origin, destination, cabinClass = CONFIG.DEFAULT_CA
  * @param {number} [params.adults=1] - Number of adults (1-9)
  * @param {number} [params.children=0] - Number of children (0-9)
  * @param {number} [params.infants=0] - Number of infants (0-9)
- * @param {number} [params.journey_type=1] - 1 for one-way, 2 for round-trip
+ * @param {number} [params.journey_type=1] - 1 for one-way, 2 for round-trip, 3 for multi-city
+ * @param {Array<Object>} [params.legs] - Ordered legs for multi-city searches (2-5), each with origin, destination and departure_date
  * @param {Array<string>} [params.preferredAirlines] - Preferred airline codes (e.g., ['AI', 'UK'])
  * @param {boolean} [params.directOnly=false] - Return only direct flights
  * @param {boolean} [params.oneStopOnly=false] - Return flights with maximum one stop
@@ -285,8 +448,34 @@ async function searchFlights(params) {
     const searchId = `search_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
 
     try {
+        const journeyType = Object.values(CONFIG.JOURNEY_TYPES).includes(parseInt(params.journey_type))
+            ? parseInt(params.journey_type)
+            : CONFIG.JOURNEY_TYPES.ONE_WAY;
+        const isMultiCity = journeyType === CONFIG.JOURNEY_TYPES.MULTI_CITY;
+
         // Input validation
-        if (!params.origin || !params.destination || !params.departure_date) {
+        if (isMultiCity) {
+            if (!Array.isArray(params.legs) || params.legs.length < 2 || params.legs.length > CONFIG.MAX_MULTI_CITY_LEGS) {
+                throw new Error(`Multi-city searches need between 2 and ${CONFIG.MAX_MULTI_CITY_LEGS} legs`);
+            }
+
+            params.legs.forEach((leg, index) => {
+                if (!leg || !leg.origin || !leg.destination || !leg.departure_date) {
+                    throw new Error(`Leg ${index + 1}: origin, destination and departure_date are required`);
+                }
+                if (index > 0 && new Date(leg.departure_date) < new Date(params.legs[index - 1].departure_date)) {
+                    throw new Error(`Leg ${index + 1}: departure date cannot be before the previous leg`);
+                }
+            });
+
+            // The first leg drives the date checks and log lines below
+            params = {
+                ...params,
+                origin: params.legs[0].origin,
+                destination: params.legs[params.legs.length - 1].destination,
+                departure_date: params.legs[0].departure_date
+            };
+        } else if (!params.origin || !params.destination || !params.departure_date) {
             throw new Error('Missing required parameters: origin, destination, and departure_date are required');
         }
 
@@ -294,7 +483,6 @@ async function searchFlights(params) {
         const adultCount = Math.min(Math.max(parseInt(params.adults) || 1, 1), 9);
         const childCount = Math.min(Math.max(parseInt(params.children) || 0, 0), 9);
         const infantCount = Math.min(Math.max(parseInt(params.infants) || 0, 0), 9);
-        const journeyType = parseInt(params.journey_type) === 2 ? 2 : 1;
         const maxResults = Math.min(Math.max(parseInt(params.maxResults) || 100, 1), 100);
 
         // Validate passenger configuration
@@ -335,14 +523,21 @@ async function searchFlights(params) {
         }
 
         // Create segments array
-        const segments = [
-            createFlightSegment(
-                params.origin,
-                params.destination,
+        const segments = isMultiCity
+            ? params.legs.map(leg => createFlightSegment(
+                leg.origin,
+                leg.destination,
                 params.travelclass,
-                params.departure_date
-            )
-        ];
+                leg.departure_date
+            ))
+            : [
+                createFlightSegment(
+                    params.origin,
+                    params.destination,
+                    params.travelclass,
+                    params.departure_date
+                )
+            ];
 
         // Add return segment for round trips
         if (journeyType === 2 && returnDate) {
@@ -416,17 +611,30 @@ async function searchFlights(params) {
                 searchId,
                 data: {
                     results: results.slice(0, maxResults),
+                    // Normalized offers, see utils/flightOffer.js
+                    offers: mapTboResultsToOffers(results.slice(0, maxResults), {
+                        traceId: response.Response.TraceId
+                    }),
                     traceId: response.Response.TraceId,
                     resultIndex: results[0]?.ResultIndex,
                     isDomestic: response.Response.IsDomestic,
                     isLCC: response.Response.IsLCC,
                     isRefundable: response.Response.IsRefundable,
                     currency: params.currency || CONFIG.DEFAULT_CURRENCY,
+                    ...(isMultiCity && { legs: groupResultsByLeg(results, params.legs) }),
                     searchParams: {
                         origin: params.origin,
                         destination: params.destination,
                         departureDate: params.departure_date,
                         returnDate: params.return_date,
+                        journeyType,
+                        ...(isMultiCity && {
+                            legs: params.legs.map(leg => ({
+                                origin: leg.origin,
+                                destination: leg.destination,
+                                departureDate: leg.departure_date
+                            }))
+                        }),
                         adults: adultCount,
                         children: childCount,
                         infants: infantCount,
@@ -466,6 +674,9 @@ async function searchFlights(params) {
         // Enhance error with more context
         const enhancedError = new Error(`Flight search failed: ${error.message}`);
         enhancedError.code = error.code || 'FLIGHT_SEARCH_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.searchId = searchId;
         enhancedError.isRetryable = error.isRetryable !== false; // Default to retryable unless explicitly set to false
@@ -580,6 +791,9 @@ async function getFareRules(resultIndex, traceId, options = {}) {
 
         const enhancedError = new Error(`Failed to get fare rules: ${error.message}`);
         enhancedError.code = error.code || 'FARE_RULES_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.requestId = requestId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -604,6 +818,233 @@ async function getFareQuote(resultIndex, traceId) {
     return response.Response?.Results || null;
 }
 
+/**
+ * Seat availability codes returned by TBO in SeatDynamic (AvailablityType)
+ */
+const SEAT_AVAILABLE = 1;
+
+const SEAT_TYPES = { 1: 'window', 2: 'aisle', 3: 'middle' };
+
+/**
+ * Build the option id used by clients to select an SSR item
+ * @param {string} type - seat, meal, baggage, seatPreference or mealPreference
+ * @param {string} origin - Segment origin
+ * @param {string} destination - Segment destination
+ * @param {string} code - Supplier SSR code
+ * @returns {string} Option id (e.g. seat:DEL-BOM:12A)
+ */
+function buildSSROptionId(type, origin, destination, code) {
+    return `${type}:${origin || 'ALL'}-${destination || 'ALL'}:${code}`;
+}
+
+/**
+ * Flatten TBO SSR payloads (LCC dynamic lists and GDS preferences) into a single
+ * list of selectable options that keep a reference to the supplier object
+ * @param {Object} ssrData - TBO SSR `Response` object
+ * @returns {Array<Object>} Options with id, type, price and the raw supplier object
+ */
+function collectSSROptions(ssrData = {}) {
+    const options = [];
+    const flatten = list => (Array.isArray(list) ? list.flat(Infinity) : []);
+
+    flatten(ssrData.Baggage)
+        .filter(item => item && item.Code && item.Code !== 'NoBaggage')
+        .forEach(item => options.push({
+            id: buildSSROptionId('baggage', item.Origin, item.Destination, item.Code),
+            type: 'baggage',
+            code: item.Code,
+            description: item.Description,
+            weight: item.Weight,
+            origin: item.Origin,
+            destination: item.Destination,
+            price: Number(item.Price) || 0,
+            currency: item.Currency || CONFIG.DEFAULT_CURRENCY,
+            raw: item
+        }));
+
+    flatten(ssrData.MealDynamic)
+        .filter(item => item && item.Code && item.Code !== 'NoMeal')
+        .forEach(item => options.push({
+            id: buildSSROptionId('meal', item.Origin, item.Destination, item.Code),
+            type: 'meal',
+            code: item.Code,
+            description: item.AirlineDescription || item.Description,
+            origin: item.Origin,
+            destination: item.Destination,
+            price: Number(item.Price) || 0,
+            currency: item.Currency || CONFIG.DEFAULT_CURRENCY,
+            raw: item
+        }));
+
+    (ssrData.SeatDynamic || []).forEach(seatDynamic => {
+        (seatDynamic.SegmentSeat || []).forEach(segmentSeat => {
+            (segmentSeat.RowSeats || []).forEach(rowSeat => {
+                (rowSeat.Seats || [])
+                    .filter(seat => seat && seat.Code && seat.Code !== 'NoSeat')
+                    .forEach(seat => options.push({
+                        id: buildSSROptionId('seat', seat.Origin, seat.Destination, seat.Code),
+                        type: 'seat',
+                        code: seat.Code,
+                        seatNo: seat.SeatNo,
+                        rowNo: seat.RowNo,
+                        seatType: SEAT_TYPES[seat.SeatType] || 'other',
+                        airline: seat.AirlineCode,
+                        flightNumber: seat.FlightNumber,
+                        origin: seat.Origin,
+                        destination: seat.Destination,
+                        isAvailable: seat.AvailablityType === SEAT_AVAILABLE,
+                        price: Number(seat.Price) || 0,
+                        currency: seat.Currency || CONFIG.DEFAULT_CURRENCY,
+                        raw: seat
+                    }));
+            });
+        });
+    });
+
+    // Non-LCC (GDS) fares only expose free preferences
+    (ssrData.Meal || []).forEach(item => options.push({
+        id: buildSSROptionId('mealPreference', null, null, item.Code),
+        type: 'mealPreference',
+        code: item.Code,
+        description: item.Description,
+        price: 0,
+        currency: CONFIG.DEFAULT_CURRENCY,
+        raw: { Code: item.Code, Description: item.Description }
+    }));
+
+    (ssrData.SeatPreference || []).forEach(item => options.push({
+        id: buildSSROptionId('seatPreference', null, null, item.Code),
+        type: 'seatPreference',
+        code: item.Code,
+        description: item.Description,
+        price: 0,
+        currency: CONFIG.DEFAULT_CURRENCY,
+        raw: { Code: item.Code, Description: item.Description }
+    }));
+
+    return options;
+}
+
+/**
+ * Group seat options into per-segment seat maps ordered by row
+ * @param {Array<Object>} seatOptions - Seat options from collectSSROptions (without raw data)
+ * @returns {Array<Object>} Seat maps
+ */
+function buildSeatMaps(seatOptions) {
+    const maps = new Map();
+
+    seatOptions.forEach(seat => {
+        const key = `${seat.origin}-${seat.destination}`;
+        if (!maps.has(key)) {
+            maps.set(key, {
+                origin: seat.origin,
+                destination: seat.destination,
+                airline: seat.airline,
+                flightNumber: seat.flightNumber,
+                rows: new Map()
+            });
+        }
+
+        const map = maps.get(key);
+        if (!map.rows.has(seat.rowNo)) {
+            map.rows.set(seat.rowNo, { rowNo: seat.rowNo, seats: [] });
+        }
+        map.rows.get(seat.rowNo).seats.push(seat);
+    });
+
+    return Array.from(maps.values()).map(map => ({
+        ...map,
+        rows: Array.from(map.rows.values()).sort((a, b) => Number(a.rowNo) - Number(b.rowNo))
+    }));
+}
+
+/**
+ * Attach the selected SSR options to each passenger in the format TBO expects
+ * and total their price. Selections are option ids returned by getSSRDetails.
+ * @param {Array<Object>} passengers - TBO passengers, each with optional SSRSelections
+ * @param {Array<Object>} ssrOptions - Options from collectSSROptions
+ * @returns {Object} Passengers with SSR attached and the ancillary summary
+ */
+function applySSRSelections(passengers, ssrOptions) {
+    const selectionError = message => {
+        const error = new Error(message);
+        error.code = 'INVALID_SSR_SELECTION';
+        error.statusCode = 400;
+        error.isRetryable = false;
+        return error;
+    };
+    const optionsById = new Map(ssrOptions.map(option => [option.id, option]));
+    const takenSeats = new Set();
+    const items = [];
+
+    const updatedPassengers = passengers.map((passenger, index) => {
+        const { SSRSelections: selections = [], ...rest } = passenger;
+        const selectedKeys = new Set();
+        const updated = { ...rest };
+
+        selections.forEach(optionId => {
+            const option = optionsById.get(optionId);
+            if (!option) {
+                throw selectionError(`Passenger ${index + 1}: SSR option '${optionId}' is not available for this flight`);
+            }
+
+            // One item of each type per segment and passenger
+            const selectionKey = `${option.type}:${option.origin}-${option.destination}`;
+            if (selectedKeys.has(selectionKey)) {
+                throw selectionError(`Passenger ${index + 1}: only one ${option.type} can be selected per segment`);
+            }
+            selectedKeys.add(selectionKey);
+
+            if (option.type === 'seat') {
+                if (passenger.PassengerType === 'INF') {
+                    throw selectionError(`Passenger ${index + 1}: infants cannot select a seat`);
+                }
+                if (!option.isAvailable || takenSeats.has(option.id)) {
+                    throw selectionError(`Passenger ${index + 1}: seat ${option.code} is no longer available`);
+                }
+                takenSeats.add(option.id);
+            }
+
+            const field = {
+                seat: 'SeatDynamic',
+                meal: 'MealDynamic',
+                baggage: 'Baggage'
+            }[option.type];
+
+            if (field) {
+                updated[field] = [...(updated[field] || []), option.raw];
+            } else if (option.type === 'mealPreference') {
+                updated.Meal = option.raw;
+            } else if (option.type === 'seatPreference') {
+                updated.Seat = option.raw;
+            }
+
+            items.push({
+                passengerIndex: index,
+                id: option.id,
+                type: option.type,
+                code: option.code,
+                description: option.description || option.seatNo,
+                origin: option.origin,
+                destination: option.destination,
+                price: option.price,
+                currency: option.currency
+            });
+        });
+
+        return updated;
+    });
+
+    return {
+        passengers: updatedPassengers,
+        ancillaries: {
+            total: items.reduce((total, item) => total + item.price, 0),
+            currency: items[0]?.currency || CONFIG.DEFAULT_CURRENCY,
+            items
+        }
+    };
+}
+
 /**
  * Get Special Service Requests (SSR) and ancillary services for a flight
  * @param {string} resultIndex - Result index from search
@@ -670,6 +1111,22 @@ async function getSSRDetails(resultIndex, traceId, options = {}) {
             }
         };
 
+        // Normalize LCC seat maps, meals and baggage and GDS preferences
+        const ssrOptions = collectSSROptions(ssrData).map(({ raw, ...option }) => option);
+        formattedResponse.seatMaps = options.includeSeats !== false
+            ? buildSeatMaps(ssrOptions.filter(option => option.type === 'seat'))
+            : [];
+        if (options.includeMeals !== false) {
+            formattedResponse.meals.push(...ssrOptions.filter(option => option.type === 'meal'));
+            formattedResponse.mealPreferences = ssrOptions.filter(option => option.type === 'mealPreference');
+        }
+        if (options.includeSeats !== false) {
+            formattedResponse.seatPreferences = ssrOptions.filter(option => option.type === 'seatPreference');
+        }
+        if (options.includeBaggage !== false) {
+            formattedResponse.baggage.push(...ssrOptions.filter(option => option.type === 'baggage'));
+        }
+
         // Process SSR data
         if (Array.isArray(ssrData.SSRDetails)) {
             ssrData.SSRDetails.forEach(ssr => {
@@ -751,6 +1208,9 @@ async function getSSRDetails(resultIndex, traceId, options = {}) {
 
         const enhancedError = new Error(`Failed to get SSR details: ${error.message}`);
         enhancedError.code = error.code || 'SSR_DETAILS_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.requestId = requestId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -765,6 +1225,7 @@ async function getSSRDetails(resultIndex, traceId, options = {}) {
  * @param {string} bookingData.ResultIndex - Result index from search
  * @param {string} bookingData.TraceId - Trace ID from search
  * @param {Array<Object>} bookingData.Passengers - Array of passenger details
+ * @param {Array<string>} [bookingData.Passengers[].SSRSelections] - Seat, meal and baggage option ids from getSSRDetails
  * @param {Object} [options] - Additional options
  * @param {boolean} [options.sendEmail=true] - Whether to send booking confirmation email
  * @param {string} [options.bookingSource='WEB'] - Source of the booking (WEB, MOBILE, AGENT, etc.)
@@ -846,11 +1307,24 @@ async function bookFlight(bookingData, options = {}) {
             throw new Error('Infant passengers must be accompanied by at least one adult');
         }
 
+        // Price and attach the selected seats, meals and baggage
+        const hasSSRSelections = validPassengers.some(p => Array.isArray(p.SSRSelections) && p.SSRSelections.length > 0);
+        let ssrOptions = [];
+        if (hasSSRSelections) {
+            const ssrParams = await createParams({
+                ResultIndex: bookingData.ResultIndex,
+                TraceId: bookingData.TraceId
+            });
+            const ssrResponse = await makeRequest('SSR', ssrParams);
+            ssrOptions = collectSSROptions(ssrResponse?.Response);
+        }
+        const { passengers: bookingPassengers, ancillaries } = applySSRSelections(validPassengers, ssrOptions);
+
         // Prepare the booking request
         const bookingRequest = await createParams({
             ResultIndex: bookingData.ResultIndex,
             TraceId: bookingData.TraceId,
-            Passengers: validPassengers,
+            Passengers: bookingPassengers,
             BookingDetails: {
                 BookingId: bookingId,
                 BookingSource: options.bookingSource || 'WEB',
@@ -863,10 +1337,10 @@ async function bookFlight(bookingData, options = {}) {
                 PaymentDetails: bookingData.PaymentDetails || {}
             },
             // Additional booking options
-            IsHoldBooking: options.holdBooking || false,
+            IsHoldBooking: bookingData.IsHoldBooking ?? options.holdBooking ?? false,
             IsInstantPayment: options.instantPayment || true,
             IsLCC: bookingData.IsLCC || false,
-            IsDomestic: bookingData.IsDomestic || true,
+            IsDomestic: bookingData.IsDomestic ?? true,
             // Add any additional parameters from the original booking data
             ...(bookingData.AdditionalParams || {})
         });
@@ -890,7 +1364,8 @@ async function bookFlight(bookingData, options = {}) {
                 Passengers: bookingRequest.Passengers.map(p => ({
                     ...p,
                     PassportNumber: p.PassportNumber ? '***REDACTED***' : undefined,
-                    PassportExpiry: p.PassportExpiry ? '***REDACTED***' : undefined
+                    PassportExpiry: p.PassportExpiry ? '***REDACTED***' : undefined,
+                    PAN: p.PAN ? '***REDACTED***' : undefined
                 }))
             }
         });
@@ -922,7 +1397,10 @@ async function bookFlight(bookingData, options = {}) {
                 pnr: bookingResponse.PNR,
                 status: bookingResponse.BookingStatus,
                 bookingDate: new Date().toISOString(),
-                passengers: validPassengers.map(p => ({
+                // Held (non-LCC) bookings must be ticketed before this date
+                lastTicketDate: bookingResponse.LastTicketDate || bookingResponse.FlightItinerary?.LastTicketDate || null,
+                source: bookingResponse.Source ?? bookingResponse.FlightItinerary?.Source ?? null,
+                passengers: bookingPassengers.map(p => ({
                     title: p.Title,
                     firstName: p.FirstName,
                     lastName: p.LastName,
@@ -932,11 +1410,13 @@ async function bookFlight(bookingData, options = {}) {
                 })),
                 flights: bookingResponse.Segments || [],
                 fareDetails: bookingResponse.FareDetails || {},
+                ancillaries,
                 paymentDetails: bookingResponse.PaymentDetails || {},
                 cancellationPolicy: bookingResponse.CancellationPolicy || {},
                 metadata: {
                     responseTime: `${responseTime}ms`,
                     timestamp: new Date().toISOString(),
+                    isHold: Boolean(bookingData.IsHoldBooking),
                     isTicketed: bookingResponse.IsTicketed || false,
                     isVoidable: bookingResponse.IsVoidable || false,
                     isRefundable: bookingResponse.IsRefundable || false
@@ -972,6 +1452,9 @@ async function bookFlight(bookingData, options = {}) {
         enhancedError.details = error.details || error.response?.data;
         enhancedError.bookingId = bookingId;
         enhancedError.isRetryable = error.isRetryable !== false;
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
 
         throw enhancedError;
     }
@@ -1116,6 +1599,9 @@ async function confirmTicket(params, options = {}) {
         // Enhance error with more context
         const enhancedError = new Error(`Ticket confirmation failed: ${error.message}`);
         enhancedError.code = error.code || 'TICKETING_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.confirmationId = confirmationId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -1316,6 +1802,9 @@ async function getBookingDetails(params, options = {}) {
         // Enhance error with more context
         const enhancedError = new Error(`Failed to get booking details: ${error.message}`);
         enhancedError.code = error.code || 'BOOKING_DETAILS_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.requestId = requestId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -1498,6 +1987,9 @@ async function getCancellationCharges(params, options = {}) {
         // Enhance error with more context
         const enhancedError = new Error(`Failed to get cancellation charges: ${error.message}`);
         enhancedError.code = error.code || 'CANCELLATION_CHARGES_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.requestId = requestId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -1672,6 +2164,9 @@ async function cancelBooking(params, options = {}) {
         // Enhance error with more context
         const enhancedError = new Error(`Cancellation failed: ${error.message}`);
         enhancedError.code = error.code || 'CANCELLATION_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.cancellationId = cancellationId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -1832,6 +2327,9 @@ async function getCancellationStatus(params, options = {}) {
         // Enhance error with more context
         const enhancedError = new Error(`Failed to get cancellation status: ${error.message}`);
         enhancedError.code = error.code || 'CANCELLATION_STATUS_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
         enhancedError.details = error.details || error.response?.data;
         enhancedError.requestId = requestId;
         enhancedError.isRetryable = error.isRetryable !== false;
@@ -1840,6 +2338,79 @@ async function getCancellationStatus(params, options = {}) {
     }
 }
 
+/**
+ * Release a held (booked but not ticketed) PNR so it is not ticketed or charged
+ * @param {Object} params - Release parameters
+ * @param {string} params.BookingId - Booking ID returned by Book
+ * @param {string} [params.Source] - Booking source (GDS) returned by Book
+ * @returns {Promise<Object>} Release result
+ */
+async function releasePNR(params) {
+    const startTime = Date.now();
+    const requestId = `release_${Date.now()}`;
+
+    try {
+        if (!params.BookingId) {
+            throw new Error('BookingId is required to release a PNR');
+        }
+
+        logMessage(`[${requestId}] Releasing PNR for booking ${params.BookingId}`, null, 'info');
+
+        const requestData = await createParams({
+            BookingId: params.BookingId,
+            Source: params.Source
+        });
+
+        const response = await makeRequest('ReleasePNRRequest', requestData, true);
+        const responseTime = Date.now() - startTime;
+
+        if (!response || !response.Response) {
+            throw new Error('Invalid response from release PNR API');
+        }
+
+        // Anything but 1 means TBO kept the PNR; the hold must stay so it can be retried
+        if (response.Response.ResponseStatus !== 1) {
+            const releaseError = new Error(response.Response.Error?.ErrorMessage || `PNR not released (ResponseStatus ${response.Response.ResponseStatus})`);
+            releaseError.details = response.Response;
+            throw releaseError;
+        }
+
+        logMessage(`[${requestId}] PNR released in ${responseTime}ms`, null, 'info');
+
+        return {
+            success: true,
+            requestId,
+            data: {
+                bookingReference: params.BookingId,
+                pnr: params.PNR,
+                status: 'RELEASED',
+                metadata: {
+                    responseTime: `${responseTime}ms`,
+                    timestamp: new Date().toISOString()
+                }
+            }
+        };
+    } catch (error) {
+        logMessage(
+            `[${requestId}] Failed to release PNR for booking ${params.BookingId}: ${error.message}`,
+            'release_pnr_errors.log',
+            'error'
+        );
+
+        logger.error('Release PNR error:', { requestId, bookingId: params.BookingId, pnr: params.PNR, error: error.message });
+
+        const enhancedError = new Error(`Failed to release PNR: ${error.message}`);
+        enhancedError.code = error.code || 'RELEASE_PNR_ERROR';
+        if (error.statusCode) {
+            enhancedError.statusCode = error.statusCode;
+        }
+        enhancedError.details = error.details || error.response?.data;
+        enhancedError.requestId = requestId;
+
+        throw enhancedError;
+    }
+}
+
 export {
     searchFlights,
     getFareRules,
@@ -1851,5 +2422,7 @@ export {
     getCancellationCharges,
     cancelBooking,
     getCancellationStatus,
+    releasePNR,
+    getSupplierHealth,
     logMessage
 };
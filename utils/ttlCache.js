@@ -0,0 +1,94 @@
+/**
+ * Small in-memory cache whose entries expire after a fixed time.
+ * When full, the oldest entry is evicted first.
+ */
+class TTLCache {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMs=60000] - Default time to live in milliseconds
+   * @param {number} [options.maxEntries=500] - Maximum number of entries kept
+   */
+  constructor({ ttlMs = 60 * 1000, maxEntries = 500 } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value, or undefined when it is missing or expired
+   * @param {string} key - Cache key
+   * @returns {*} Cached value
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.value;
+  }
+
+  /**
+   * Get when a key expires
+   * @param {string} key - Cache key
+   * @returns {?Date} Expiry date, or null when the key is not cached
+   */
+  getExpiry(key) {
+    return this.get(key) === undefined ? null : new Date(this.entries.get(key).expiresAt);
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} [ttlMs] - Time to live, defaults to the cache TTL
+   * @returns {TTLCache}
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+
+    if (this.entries.size >= this.maxEntries) {
+      this.prune();
+    }
+    if (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    return this;
+  }
+
+  has(key) {
+    return this.get(key) !== undefined;
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Remove all expired entries
+   */
+  prune() {
+    const now = Date.now();
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+
+  get size() {
+    this.prune();
+    return this.entries.size;
+  }
+}
+
+export default TTLCache;